@@ -0,0 +1,122 @@
+/*!
+ * Copyright (c) 2017-2021 Digital Bazaar, Inc. All rights reserved.
+ */
+'use strict';
+
+const crypto = require('crypto');
+const {util: {BedrockError}} = require('bedrock');
+
+// the maximum number of hash functions a filter may use
+const MAX_HASHES = 32;
+
+/**
+ * A bloom filter over strings (e.g., event hashes). A random `seed` is mixed
+ * into every hash so that different filters over the same values produce
+ * different false positives.
+ */
+module.exports = class BloomFilter {
+  /**
+   * @param size {Number} - The number of bits in the filter, a multiple of 8.
+   * @param hashes {Number} - The number of hash functions to use.
+   * @param [seed] {string} - The seed to mix into every hash, defaults to a
+   *   random value.
+   * @param [bits] {Buffer} - The filter's bits, defaults to all unset.
+   */
+  constructor({size, hashes, seed, bits} = {}) {
+    if(!(Number.isInteger(size) && size > 0 && size % 8 === 0)) {
+      throw new TypeError('"size" must be a positive multiple of 8.');
+    }
+    if(!(Number.isInteger(hashes) && hashes > 0 && hashes <= MAX_HASHES)) {
+      throw new TypeError(
+        `"hashes" must be an integer from 1 to ${MAX_HASHES}.`);
+    }
+    if(seed === undefined) {
+      seed = crypto.randomBytes(16).toString('hex');
+    } else if(typeof seed !== 'string') {
+      throw new TypeError('"seed" must be a string.');
+    }
+    if(bits === undefined) {
+      bits = Buffer.alloc(size / 8);
+    } else if(!(Buffer.isBuffer(bits) && bits.length === size / 8)) {
+      throw new TypeError(`"bits" must be a Buffer of ${size / 8} bytes.`);
+    }
+    this.size = size;
+    this.hashes = hashes;
+    this.seed = seed;
+    this.bits = bits;
+  }
+
+  /**
+   * Creates an empty filter sized for `count` values.
+   *
+   * @param count {Number} - The number of values that will be added.
+   * @param falsePositiveRate {Number} - The desired false positive rate.
+   * @param maxSize {Number} - The maximum number of bits; if the filter
+   *   would be larger, it is capped and the false positive rate increases.
+   *
+   * @return {BloomFilter} The new filter.
+   */
+  static create({count, falsePositiveRate, maxSize = Infinity} = {}) {
+    count = Math.max(1, count);
+    let size = Math.ceil(
+      -count * Math.log(falsePositiveRate) / (Math.LN2 * Math.LN2));
+    // round up to a whole number of bytes
+    size = Math.min(Math.ceil(size / 8) * 8, Math.floor(maxSize / 8) * 8);
+    size = Math.max(8, size);
+    const hashes = Math.min(
+      MAX_HASHES, Math.max(1, Math.round(size / count * Math.LN2)));
+    return new BloomFilter({size, hashes});
+  }
+
+  /**
+   * Creates a filter from its JSON representation, as received from an
+   * untrusted peer.
+   *
+   * @param json {Object} - The output of `toJSON`.
+   *
+   * @return {BloomFilter} The filter.
+   */
+  static fromJSON({size, hashes, seed, bits} = {}) {
+    try {
+      return new BloomFilter(
+        {size, hashes, seed, bits: Buffer.from(bits, 'base64')});
+    } catch(e) {
+      throw new BedrockError(
+        'Invalid bloom filter.', 'DataError', {
+          httpStatusCode: 400,
+          public: true
+        }, e);
+    }
+  }
+
+  add(value) {
+    for(const index of this._indexes(value)) {
+      this.bits[index >>> 3] |= 1 << (index & 7);
+    }
+  }
+
+  has(value) {
+    for(const index of this._indexes(value)) {
+      if((this.bits[index >>> 3] & (1 << (index & 7))) === 0) {
+        return false;
+      }
+    }
+    return true;
+  }
+
+  toJSON() {
+    const {size, hashes, seed, bits} = this;
+    return {size, hashes, seed, bits: bits.toString('base64')};
+  }
+
+  // uses double hashing to derive `hashes` bit indexes from one digest
+  * _indexes(value) {
+    const digest = crypto.createHash('sha256')
+      .update(this.seed).update(value).digest();
+    const h1 = digest.readUInt32BE(0);
+    const h2 = digest.readUInt32BE(4);
+    for(let i = 0; i < this.hashes; ++i) {
+      yield (h1 + i * h2) % this.size;
+    }
+  }
+};
@@ -0,0 +1,202 @@
+/*!
+ * Copyright (c) 2017-2021 Digital Bazaar, Inc. All rights reserved.
+ */
+'use strict';
+
+const _cache = require('./cache');
+const _metrics = require('./metrics');
+const _util = require('./util');
+const bedrock = require('bedrock');
+const {config} = bedrock;
+const database = require('bedrock-mongodb');
+const logger = require('./logger');
+
+const COLLECTION = 'continuity2017_operation_queue';
+
+/**
+ * An operation queue that is stored in MongoDB so that accepted operations
+ * are not lost if Redis is flushed or fails over. It has the same interface
+ * as the Redis `OperationQueue`.
+ *
+ * Each queued operation is a document. The operations for the next chunk are
+ * marked as `selected` when the chunk is retrieved and are only removed once
+ * they have been written to a local regular event. If a work session fails
+ * before then, the next work session selects the same chunk again, which
+ * results in the same event hash.
+ */
+module.exports = class MongoOperationQueue {
+  constructor({ledgerNodeId}) {
+    this.chunk = null;
+    this.chunkCached = false;
+    this.ledgerNodeId = ledgerNodeId;
+    // hashes of all operations in the next chunk in the queue
+    this.operationHashes = null;
+    this.basisBlockHeight = null;
+    // tracks whether or not there are more operations after the next chunk
+    this.hasMore = false;
+  }
+
+  static get collectionName() {
+    return COLLECTION;
+  }
+
+  /**
+   * Returns whether or not there is another chunk of operations that can
+   * be put into a local regular event.
+   *
+   * @return a Promise that resolves to `true` or `false`.
+   */
+  async hasNextChunk() {
+    if(Array.isArray(this.operationHashes) &&
+      this.operationHashes.length > 0) {
+      return true;
+    }
+
+    const {ledgerNodeId} = this;
+    const collection = database.collections[COLLECTION];
+    const projection = {
+      _id: 0, 'meta.operationHash': 1, 'meta.basisBlockHeight': 1,
+      'meta.operationBytes': 1, 'meta.created': 1
+    };
+
+    // first, see if a chunk was selected by a previous work session but was
+    // not popped off the queue, likely because event creation failed... so
+    // we can resume here
+    const selected = await collection.find(
+      {ledgerNodeId, selected: true}, {projection}).toArray();
+    if(selected.length > 0) {
+      this.chunkCached = true;
+      this.operationHashes = selected.map(r => r.meta.operationHash);
+      this.basisBlockHeight = selected[0].meta.basisBlockHeight;
+      this.hasMore = await collection.countDocuments(
+        {ledgerNodeId, selected: false}, {limit: 1}) > 0;
+      return true;
+    }
+
+    // no chunk selected yet, so create one that will be selected when
+    // `getNextChunk` is called and its operations are retrieved; the chunk
+    // is taken from a lane selected by weight among the lanes with operations
+    const [queueLength, queued] = await Promise.all([
+      collection.countDocuments({ledgerNodeId}),
+      collection.distinct('lane', {ledgerNodeId})
+    ]);
+    _metrics.setOperationQueueDepth({ledgerNodeId, depth: queueLength});
+    if(queued.length === 0) {
+      // no new operations
+      this.operationHashes = null;
+      return false;
+    }
+    // lanes are stored by their index so they sort in priority order
+    const {lanes} = config['ledger-consensus-continuity'].operations;
+    const lane = lanes.indexOf(await _cache.operations.selectLane({
+      ledgerNodeId,
+      lanes: queued.sort((a, b) => a - b).map(index => lanes[index])
+    }));
+    const {maxOperations} = _util.getEventLimits();
+    const next = await collection.find({ledgerNodeId, lane}, {projection})
+      .sort({_id: 1}).limit(maxOperations).toArray();
+
+    // drop any operations that have waited too long to get into an event
+    const now = Date.now();
+    const expired = next.filter(
+      ({meta}) => _cache.operations.isExpired({meta, now}));
+    if(expired.length > 0) {
+      await this._expire(
+        {operationHashes: expired.map(({meta}) => meta.operationHash)});
+      return this.hasNextChunk();
+    }
+
+    // since each lane is FIFO, the chunk only has operations from one lane,
+    // packed by size and stopping at a different basisBlockHeight value
+    const basisBlockHeight = this.basisBlockHeight =
+      next[0].meta.basisBlockHeight;
+    const opCount = _util.packOperations({
+      operations: next.map(({meta}) => ({
+        basisBlockHeight: meta.basisBlockHeight,
+        bytes: meta.operationBytes
+      }))
+    });
+    logger.debug('New operations found.', {basisBlockHeight, opCount});
+
+    // record that a subset of the available operations is being returned
+    this.hasMore = queueLength > opCount;
+    this.operationHashes = next.slice(0, opCount).map(
+      r => r.meta.operationHash);
+
+    return true;
+  }
+
+  /**
+   * Get the next set of operations to insert into a local regular event.
+   *
+   * @return {Promise} that resolves to an object with:
+   *   operations - an array of operations lexicographically ordered by hash.
+   *   hasMore - true if there are even more operations after the next
+   *     chunk of operations.
+   */
+  async getNextChunk() {
+    if(this.chunk) {
+      // next chunk already retrieved, return it
+      return this.chunk;
+    }
+
+    const {ledgerNodeId, operationHashes} = this;
+    const collection = database.collections[COLLECTION];
+    const query = {ledgerNodeId, 'meta.operationHash': {$in: operationHashes}};
+    if(!this.chunkCached) {
+      // select the operations so the same chunk is used if the work session
+      // fails before the chunk is popped
+      await collection.updateMany(query, {$set: {selected: true}});
+    }
+    const records = await collection.find(
+      query, {projection: {_id: 0, meta: 1, operation: 1}}).toArray();
+    const operations = records.map(({meta, operation}) => ({meta, operation}));
+    // lexicographic sort on the hash of the operation determines the
+    // order of operations in events
+    _util.sortOperations(operations);
+    return this.chunk = {
+      basisBlockHeight: this.basisBlockHeight,
+      hasMore: this.hasMore,
+      operations
+    };
+  }
+
+  /**
+   * Removes expired operations from the queue and records their expiry.
+   *
+   * @param operationHashes {string[]} - The hashes of the expired operations.
+   *
+   * @return {Promise} resolves once the operation completes.
+   */
+  async _expire({operationHashes}) {
+    const {ledgerNodeId} = this;
+    const collection = database.collections[COLLECTION];
+    const query = {ledgerNodeId, 'meta.operationHash': {$in: operationHashes}};
+    const records = await collection.find(
+      query, {projection: {_id: 0, meta: 1, operation: 1}}).toArray();
+    await collection.deleteMany(query);
+    await _cache.operations.expire({
+      ledgerNodeId,
+      operations: records.map(({meta, operation}) => ({
+        operationHash: meta.operationHash, reason: 'timeout', meta, operation
+      }))
+    });
+  }
+
+  /**
+   * Pop the next chunk of operations off of the queue. This method should
+   * only be called once the operations have been successfully written to
+   * a local regular event.
+   *
+   * @return {Promise} resolves once the operation completes.
+   */
+  async popChunk() {
+    if(this.chunk) {
+      const {ledgerNodeId, operationHashes} = this;
+      await database.collections[COLLECTION].deleteMany(
+        {ledgerNodeId, 'meta.operationHash': {$in: operationHashes}});
+      this.operationHashes = this.chunk = null;
+      this.chunkCached = false;
+    }
+  }
+};
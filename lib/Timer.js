@@ -4,6 +4,7 @@
 'use strict';
 
 const _cacheKey = require('./cache/cacheKey');
+const _metrics = require('./metrics');
 const cache = require('bedrock-redis');
 
 module.exports = class Timer {
@@ -27,6 +28,7 @@ module.exports = class Timer {
     const duration = Date.now() - startTime;
     const key = _cacheKey.timer({name, ledgerNodeId});
     cache.client.set(key, duration).catch(() => {});
+    _metrics.observeDuration({name, ledgerNodeId, duration});
     return duration;
   }
 };
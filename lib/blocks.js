@@ -5,6 +5,9 @@
 
 const _ = require('lodash');
 const _cache = require('./cache');
+const _continuity = require('./continuity');
+const _metrics = require('./metrics');
+const _operations = require('./operations');
 const _util = require('./util');
 const bedrock = require('bedrock');
 const {BedrockError} = bedrock.util;
@@ -186,20 +189,32 @@ api.write = async ({worker, consensusResult}) => {
       blockHash,
       consensus: true,
       consensusDate: now,
-      continuity2017: {witness: witnesses}
+      continuity2017: {witness: [...witnesses]}
     }
   };
 
   await ledgerNode.storage.blocks.add(blockRecord);
 
-  // if there is a configuration event in the block, ensure that the sequence
-  // for the new configuration is correct and mark the configuration as valid
-  const {setEffectiveConfiguration} = ledgerNode.storage.events
-    .plugins['continuity-storage'];
-  const {hasEffectiveConfigurationEvent} = await setEffectiveConfiguration({
-    blockHeight,
-    sequence: ledgerConfig.sequence + 1
-  });
+  let hasEffectiveConfigurationEvent;
+  if(ledgerConfig.configurationApproval) {
+    // configuration proposals must be approved by witnesses first
+    ({hasEffectiveConfigurationEvent} = await _setApprovedConfiguration(
+      {ledgerNode, ledgerConfig, blockHeight, witnesses}));
+  } else {
+    // if there is a configuration event in the block, ensure that the
+    // sequence for the new configuration is correct and mark the
+    // configuration as valid
+    const {setEffectiveConfiguration} = ledgerNode.storage.events
+      .plugins['continuity-storage'];
+    ({hasEffectiveConfigurationEvent} = await setEffectiveConfiguration({
+      blockHeight,
+      sequence: ledgerConfig.sequence + 1
+    }));
+  }
+
+  _metrics.recordBlock({ledgerNodeId: ledgerNode.id});
+  await _operations.publishConsensus(
+    {ledgerNode, blockHeight, localPeerId: worker.localPeerId});
 
   return {blockRecord, blockHeight, hasEffectiveConfigurationEvent};
 };
@@ -214,6 +229,94 @@ api.writeGenesis = async ({block, creator, ledgerNode}) => {
   await ledgerNode.storage.blocks.add({block, meta});
 };
 
+/**
+ * Makes the first configuration proposal for the next ledger configuration
+ * that has been approved by enough of the block's witnesses the effective
+ * configuration. The creator of a proposal approves it implicitly. Only
+ * proposals and approvals that have reached consensus are counted.
+ *
+ * @param ledgerNode the ledger node.
+ * @param ledgerConfig the current ledger configuration.
+ * @param blockHeight the height of the block that was just written.
+ * @param witnesses the Set of witnesses for the block.
+ *
+ * @return a Promise that resolves to `{hasEffectiveConfigurationEvent}`.
+ */
+// FIXME: move to bedrock-ledger-consensus-continuity-storage
+async function _setApprovedConfiguration({
+  ledgerNode, ledgerConfig, blockHeight, witnesses
+}) {
+  const {collection} = ledgerNode.storage.events;
+
+  // the outcome can only change if the block has configuration events
+  // FIXME: make this a covered query
+  const configEventCount = await collection.countDocuments({
+    'meta.blockHeight': blockHeight,
+    'meta.continuity2017.type': 'c'
+  });
+  if(configEventCount === 0) {
+    return {hasEffectiveConfigurationEvent: false};
+  }
+
+  // FIXME: make this a covered query
+  const proposals = await collection.find({
+    'meta.consensus': true,
+    'meta.continuity2017.type': 'c',
+    'event.ledgerConfiguration.sequence': ledgerConfig.sequence + 1
+  }, {
+    projection: {
+      _id: 0, 'meta.eventHash': 1, 'meta.continuity2017.creator': 1
+    }
+  }).sort({'meta.blockHeight': 1, 'meta.blockOrder': 1}).toArray();
+  if(proposals.length === 0) {
+    return {hasEffectiveConfigurationEvent: false};
+  }
+
+  // proposal hash => witnesses that approved it
+  const approvals = new Map();
+  for(const {meta: {eventHash, continuity2017: {creator}}} of proposals) {
+    approvals.set(eventHash, new Set(witnesses.has(creator) ? [creator] : []));
+  }
+  // FIXME: make this a covered query
+  const approvalRecords = await collection.find({
+    'meta.consensus': true,
+    'meta.continuity2017.type': 'c',
+    'event.ledgerConfigurationApproval.proposalHash': {
+      $in: [...approvals.keys()]
+    }
+  }, {
+    projection: {
+      _id: 0, 'event.ledgerConfigurationApproval.proposalHash': 1,
+      'meta.continuity2017.creator': 1
+    }
+  }).toArray();
+  for(const {event, meta} of approvalRecords) {
+    const {creator} = meta.continuity2017;
+    if(witnesses.has(creator)) {
+      approvals.get(event.ledgerConfigurationApproval.proposalHash)
+        .add(creator);
+    }
+  }
+
+  const {configurationApproval: {threshold}} = ledgerConfig;
+  const required = threshold === 'fPlusOne' ?
+    _continuity.maximumFailures(witnesses.size) + 1 :
+    _continuity.supermajority(witnesses.size);
+  for(const [eventHash, approvers] of approvals) {
+    if(approvers.size >= required) {
+      await ledgerNode.storage.events.update({
+        eventHash,
+        patch: [{
+          op: 'set',
+          changes: {meta: {effectiveConfiguration: true}}
+        }]
+      });
+      return {hasEffectiveConfigurationEvent: true};
+    }
+  }
+  return {hasEffectiveConfigurationEvent: false};
+}
+
 function _generateBlockId({blockHeight, ledgerId}) {
   return `${ledgerId}/blocks/${blockHeight}`;
 }
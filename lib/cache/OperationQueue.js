@@ -4,8 +4,11 @@
 'use strict';
 
 const _cacheKey = require('./cacheKey');
-const _continuityConstants = require('../continuityConstants');
+const _metrics = require('../metrics');
+const _operations = require('./operations');
 const _util = require('../util');
+const bedrock = require('bedrock');
+const {config} = bedrock;
 const cache = require('bedrock-redis');
 const logger = require('../logger');
 
@@ -18,8 +21,10 @@ module.exports = class OperationQueue {
     this.chunkCacheKey = _cacheKey.operationSelectedList(ledgerNodeId);
     // keys for all operations in the next chunk in the queue
     this.opKeys = null;
-    // key to master operation list (list of keys for all pending operations)
-    this.opListKey = _cacheKey.operationList(ledgerNodeId);
+    // operations in the next chunk, if retrieved when the chunk was created
+    this.operations = null;
+    // key to the operation list for the lane the next chunk is taken from
+    this.opListKey = null;
     // tracks whether or not there are more operations after the next chunk
     this.basisBlockHeight = null;
     this.hasMore = false;
@@ -48,36 +53,90 @@ module.exports = class OperationQueue {
     }
 
     // no next chunk of operations cached yet, so create one that will be
-    // cached when `getNextChunk` is called and its operations are retrieved
-    const {events: {maxOperations}} = _continuityConstants;
-    const [listLength, nextKeys] = await cache.client.multi()
-      .llen(this.opListKey)
-      .lrange(this.opListKey, 0, maxOperations - 1)
-      .exec();
-    if(listLength === 0) {
+    // cached when `getNextChunk` is called and its operations are retrieved;
+    // the chunk is taken from a lane selected by weight among the lanes with
+    // operations
+    const {ledgerNodeId} = this;
+    const {maxOperations} = _util.getEventLimits();
+    const {lanes} = config['ledger-consensus-continuity'].operations;
+    const opListKeys = _operations.getOperationListKeys({ledgerNodeId});
+    const txn = cache.client.multi();
+    for(const opListKey of opListKeys) {
+      txn.llen(opListKey).lrange(opListKey, 0, maxOperations - 1);
+    }
+    const results = await txn.exec();
+    let queueLength = 0;
+    const queued = [];
+    for(let i = 0; i < opListKeys.length; ++i) {
+      const length = results[i * 2];
+      queueLength += length;
+      if(length > 0) {
+        queued.push(lanes[i]);
+      }
+    }
+    _metrics.setOperationQueueDepth({ledgerNodeId, depth: queueLength});
+    if(queueLength === 0) {
       // no new operations
       this.opKeys = null;
       return false;
     }
+    const lane = lanes.indexOf(
+      await _operations.selectLane({ledgerNodeId, lanes: queued}));
+    this.opListKey = opListKeys[lane];
+    const nextKeys = results[lane * 2 + 1];
+
+    // get the candidate operations so that expired operations can be dropped
+    // and the chunk can be packed by size
+    const opJsons = await cache.client.mget(nextKeys);
+    const now = Date.now();
+    const expired = [];
+    const candidates = [];
+    for(let i = 0; i < nextKeys.length; ++i) {
+      const opKey = nextKeys[i];
+      const operationHash = _cacheKey.operationHashFromOperationKey(opKey);
+      if(opJsons[i] === null) {
+        // the operation was evicted from or otherwise lost by the cache
+        expired.push({opKey, operationHash, reason: 'lost'});
+        continue;
+      }
+      const {meta, operation} = JSON.parse(opJsons[i]);
+      if(_operations.isExpired({meta, now})) {
+        expired.push(
+          {opKey, operationHash, reason: 'timeout', meta, operation});
+        continue;
+      }
+      // operations queued before their size was recorded use their JSON size
+      const bytes = meta.operationBytes === undefined ?
+        Buffer.byteLength(opJsons[i], 'utf8') : meta.operationBytes;
+      candidates.push({opKey, bytes, record: {meta, operation}});
+    }
+    if(expired.length > 0) {
+      await this._expire({expired});
+      if(candidates.length === 0) {
+        // every candidate expired, try again with the rest of the queue
+        this.opKeys = null;
+        return this.hasNextChunk();
+      }
+      queueLength -= expired.length;
+    }
 
     // record the basisBlockHeight of the first operation,
     const basisBlockHeight = this.basisBlockHeight = _cacheKey
-      .basisBlockHeightFromOperationKey(nextKeys[0]);
+      .basisBlockHeightFromOperationKey(candidates[0].opKey);
 
-    // since the queue is FIFO, we can stop when we hit an operation with a
-    // different basisBlockHeight value
-    let opCount;
-    for(opCount = 1; opCount < nextKeys.length; ++opCount) {
-      const bbh = _cacheKey.basisBlockHeightFromOperationKey(nextKeys[opCount]);
-      if(bbh !== basisBlockHeight) {
-        break;
-      }
-    }
+    const opCount = _util.packOperations({
+      operations: candidates.map(({opKey, bytes}) => ({
+        basisBlockHeight: _cacheKey.basisBlockHeightFromOperationKey(opKey),
+        bytes
+      }))
+    });
     logger.debug('New operations found.', {basisBlockHeight, opCount});
 
     // record that a subset of the available operations is being returned
-    this.hasMore = listLength > maxOperations || nextKeys.length > opCount;
-    this.opKeys = nextKeys.slice(0, opCount);
+    this.hasMore = queueLength > opCount;
+    const chunk = candidates.slice(0, opCount);
+    this.opKeys = chunk.map(({opKey}) => opKey);
+    this.operations = chunk.map(({record}) => record);
 
     return true;
   }
@@ -96,25 +155,37 @@ module.exports = class OperationQueue {
       return this.chunk;
     }
 
-    // create an atomic redis transaction that will:
-    // 1. Get all operations matching `opKeys`.
-    // Then, if the next chunk of operations hasn't been cached yet...
-    // 2. Remove the operation keys from the master operation key list.
-    // 3. Cache the next chunk of operations by storing their keys in a list.
-    const getOperationsTxn = cache.client.multi().mget(this.opKeys);
-    if(!this.chunkCached) {
-      // remove next chunk ops from the master operation list
-      // ltrim *keeps* items from start to end
-      getOperationsTxn.ltrim(this.opListKey, this.opKeys.length, -1);
-      // create the next chunk
-      getOperationsTxn.rpush(this.chunkCacheKey, this.opKeys);
+    let {operations} = this;
+    if(this.chunkCached) {
+      // get all operations matching `opKeys`
+      const opJsons = await cache.client.mget(this.opKeys);
+      // Note: tested different methods for fastest parsing, this was the
+      // winner https://github.com/digitalbazaar/loop-bench
+      operations = opJsons.filter(json => json !== null).map(JSON.parse);
+      if(operations.length < opJsons.length) {
+        // operations in the cached chunk were evicted from or otherwise lost
+        // by the cache
+        await this._expire({
+          expired: this.opKeys.filter((opKey, i) => opJsons[i] === null)
+            .map(opKey => ({
+              opKey,
+              operationHash: _cacheKey.operationHashFromOperationKey(opKey),
+              reason: 'lost'
+            }))
+        });
+      }
+    } else {
+      // the operations were retrieved when the chunk was created; only this
+      // queue removes operations from the front of the list so it is safe to
+      // do so now in an atomic redis transaction that will:
+      // 1. Remove the operation keys from the master operation key list.
+      // 2. Cache the next chunk of operations by storing their keys in a list.
+      await cache.client.multi()
+        // ltrim *keeps* items from start to end
+        .ltrim(this.opListKey, this.opKeys.length, -1)
+        .rpush(this.chunkCacheKey, this.opKeys)
+        .exec();
     }
-
-    // execute the redis transaction and get the operations for the chunk
-    const [opJsons] = await getOperationsTxn.exec();
-    // Note: tested different methods for fastest parsing, this was the winner
-    // https://github.com/digitalbazaar/loop-bench
-    const operations = opJsons.map(JSON.parse);
     // lexicographic sort on the hash of the operation determines the
     // order of operations in events
     _util.sortOperations(operations);
@@ -125,6 +196,35 @@ module.exports = class OperationQueue {
     };
   }
 
+  /**
+   * Removes expired operations from the queue and records their expiry.
+   *
+   * @param expired {Object[]} - The expired operations, each with `opKey`,
+   *   `operationHash`, `reason`, and, if it was not lost, `meta` and
+   *   `operation`.
+   *
+   * @return {Promise} resolves once the operation completes.
+   */
+  async _expire({expired}) {
+    const {ledgerNodeId, opListKey} = this;
+    // the submitters of lost operations are recorded with their hashes,
+    // which must be read before they are removed
+    const lost = expired.filter(({meta}) => !meta);
+    const lostSubmitters = lost.length === 0 ? [] : await cache.client.mget(
+      lost.map(({operationHash}) => _cacheKey.operationHash(
+        {ledgerNodeId, operationHash})));
+    await _operations.removeExpired(
+      {ledgerNodeId, opListKey, opKeys: expired.map(({opKey}) => opKey)});
+    // the submitter is unknown if the hash was lost too
+    await _operations.removeSubmitted({
+      ledgerNodeId,
+      submitters: expired.filter(({meta}) => meta)
+        .map(({meta: {submitter = ''}}) => submitter)
+        .concat(lostSubmitters.filter(submitter => submitter !== null))
+    });
+    await _operations.expire({ledgerNodeId, operations: expired});
+  }
+
   /**
    * Pop the next chunk of operations off of the queue. This method should
    * only be called once the operations have been successfully written to
@@ -134,7 +234,7 @@ module.exports = class OperationQueue {
    */
   async popChunk() {
     if(this.chunk) {
-      const {ledgerNodeId} = this;
+      const {chunk: {operations}, ledgerNodeId} = this;
       const opHashKeys = this.opKeys.map(key => {
         const operationHash = _cacheKey.operationHashFromOperationKey(key);
         return _cacheKey.operationHash({ledgerNodeId, operationHash});
@@ -148,7 +248,12 @@ module.exports = class OperationQueue {
         // delete the keys used to track the existence of operations by hash
         .del(opHashKeys)
         .exec();
-      this.opKeys = this.chunk = null;
+      // operations queued before submitters were tracked have no submitter
+      await _operations.removeSubmitted({
+        ledgerNodeId,
+        submitters: operations.map(({meta: {submitter = ''}}) => submitter)
+      });
+      this.opKeys = this.operations = this.chunk = null;
       this.chunkCached = false;
     }
   }
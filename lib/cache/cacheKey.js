@@ -9,6 +9,12 @@ module.exports = api;
 // used to track the participants of a block
 api.blockParticipants = ledgerNodeId => `bp|${_lni(ledgerNodeId)}`;
 
+// a scheduled ledger configuration change and its status
+api.configurationChange = ({ledgerNodeId, changeId}) =>
+  `cc|${_lni(ledgerNodeId)}|${changeId}`;
+// list of IDs of scheduled configuration changes in the order they are added
+api.configurationChangeList = ledgerNodeId => `ccl|${_lni(ledgerNodeId)}`;
+
 api.opCountLocal = ({ledgerNodeId, second}) =>
   `ocl|${_lni(ledgerNodeId)}|${second}`;
 api.opCountPeer = ({ledgerNodeId, second}) =>
@@ -26,8 +32,26 @@ api.operationHashFromOperationKey = key => key.split('|')[3];
 api.operationHash = ({ledgerNodeId, operationHash}) =>
   `oh|${_lni(ledgerNodeId)}|${operationHash}`;
 
-// set of operation hashes before they are written to events
-api.operationList = ledgerNodeId => `ol|${_lni(ledgerNodeId)}`;
+// receipt for a local operation, used to report operations that were dropped
+api.operationReceipt = ({ledgerNodeId, operationHash}) =>
+  `or|${_lni(ledgerNodeId)}|${operationHash}`;
+// expiry of a local operation that was dropped from the queue
+api.operationExpiry = ({ledgerNodeId, operationHash}) =>
+  `oe|${_lni(ledgerNodeId)}|${operationHash}`;
+// hash of the most recent local operation for a (hashed) record ID
+api.operationRecordReceipt = ({ledgerNodeId, recordId}) =>
+  `orr|${_lni(ledgerNodeId)}|${recordId}`;
+
+// set of operation hashes before they are written to events; the default
+// lane uses the list without a lane
+api.operationList = (ledgerNodeId, lane = null) => lane === null ?
+  `ol|${_lni(ledgerNodeId)}` : `ol|${_lni(ledgerNodeId)}|${lane}`;
+
+// hash of lane => credit used to select the lane for the next chunk
+api.operationLaneCredits = ledgerNodeId => `olc|${_lni(ledgerNodeId)}`;
+
+// hash of submitter => number of queued operations
+api.operationSubmitters = ledgerNodeId => `osc|${_lni(ledgerNodeId)}`;
 
 // set of operation hashes used to record operations selected for an event
 api.operationSelectedList = ledgerNodeId => `osl|${_lni(ledgerNodeId)}`;
@@ -0,0 +1,107 @@
+/*!
+ * Copyright (c) 2017-2021 Digital Bazaar, Inc. All rights reserved.
+ */
+'use strict';
+
+const {config, util: {BedrockError}} = require('bedrock');
+const cache = require('bedrock-redis');
+const _cacheKey = require('./cacheKey');
+
+const configurationsConfig =
+  config['ledger-consensus-continuity'].configurations;
+
+/**
+ * Adds a scheduled configuration change to the end of the queue.
+ *
+ * @param change {Object} - The change, including its `id`, `status`, and
+ *   `ledgerConfiguration`.
+ * @param ledgerNodeId {string} - The ID of the ledger node.
+ *
+ * @returns {Promise} resolves once the operation completes.
+ */
+exports.add = async ({ledgerNodeId, change}) => {
+  const changeKey = _cacheKey.configurationChange(
+    {ledgerNodeId, changeId: change.id});
+  const listKey = _cacheKey.configurationChangeList(ledgerNodeId);
+
+  const queueSize = await cache.client.llen(listKey);
+  if(queueSize >= configurationsConfig.maxQueueSize) {
+    throw new BedrockError(
+      'The node is not accepting configuration changes. Try again later.',
+      'OperationError', {
+        httpStatusCode: 503,
+        public: true,
+      });
+  }
+
+  return cache.client.multi()
+    .set(changeKey, JSON.stringify(change))
+    .rpush(listKey, change.id)
+    .publish(`continuity2017|needsMerge|${ledgerNodeId}`, 'configuration')
+    .exec();
+};
+
+/**
+ * Gets a scheduled configuration change.
+ *
+ * @param changeId {string} - The ID of the change.
+ * @param ledgerNodeId {string} - The ID of the ledger node.
+ *
+ * @returns {Promise<Object>} The change or `null` if it does not exist or its
+ *   status has expired.
+ */
+exports.get = async ({changeId, ledgerNodeId}) => {
+  const changeKey = _cacheKey.configurationChange({ledgerNodeId, changeId});
+  const json = await cache.client.get(changeKey);
+  return json ? JSON.parse(json) : null;
+};
+
+/**
+ * Gets the configuration change at the front of the queue.
+ *
+ * @param ledgerNodeId {string} - The ID of the ledger node.
+ *
+ * @returns {Promise<Object>} The change or `null` if the queue is empty.
+ */
+exports.getNext = async ({ledgerNodeId}) => {
+  const listKey = _cacheKey.configurationChangeList(ledgerNodeId);
+  const changeId = await cache.client.lindex(listKey, 0);
+  if(changeId === null) {
+    return null;
+  }
+  return exports.get({changeId, ledgerNodeId});
+};
+
+/**
+ * Updates a configuration change that is still in the queue.
+ *
+ * @param change {Object} - The change.
+ * @param ledgerNodeId {string} - The ID of the ledger node.
+ *
+ * @returns {Promise} resolves once the operation completes.
+ */
+exports.update = async ({ledgerNodeId, change}) => {
+  const changeKey = _cacheKey.configurationChange(
+    {ledgerNodeId, changeId: change.id});
+  return cache.client.set(changeKey, JSON.stringify(change));
+};
+
+/**
+ * Removes a configuration change from the queue and stores its final status
+ * so that it can be polled until `statusTtl` expires.
+ *
+ * @param change {Object} - The change.
+ * @param ledgerNodeId {string} - The ID of the ledger node.
+ *
+ * @returns {Promise} resolves once the operation completes.
+ */
+exports.complete = async ({ledgerNodeId, change}) => {
+  const changeKey = _cacheKey.configurationChange(
+    {ledgerNodeId, changeId: change.id});
+  const listKey = _cacheKey.configurationChangeList(ledgerNodeId);
+  return cache.client.multi()
+    .set(changeKey, JSON.stringify(change), 'EX',
+      configurationsConfig.statusTtl)
+    .lrem(listKey, 1, change.id)
+    .exec();
+};
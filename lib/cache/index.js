@@ -15,4 +15,5 @@ api.Timer = require('../Timer');
 api.OperationQueue = require('./OperationQueue');
 
 api.blocks = require('./blocks');
+api.configurations = require('./configurations');
 api.operations = require('./operations');
@@ -3,14 +3,69 @@
  */
 'use strict';
 
-const {config, util: {BedrockError}} = require('bedrock');
+const bedrock = require('bedrock');
+const {config, util: {BedrockError}} = bedrock;
 const cache = require('bedrock-redis');
 const _cacheKey = require('./cacheKey');
+const _metrics = require('../metrics');
+const logger = require('../logger');
 
 const operationsConfig = config['ledger-consensus-continuity'].operations;
 
+// decrements the queued operation count of each submitter in `ARGV` (given
+// as `submitter, count` pairs) and removes submitters that no longer have
+// queued operations; run as a script so that an operation added concurrently
+// is never dropped from the count
+const REMOVE_SUBMITTED_SCRIPT = `
+for i = 1, #ARGV, 2 do
+  local n = redis.call('HINCRBY', KEYS[1], ARGV[i], -tonumber(ARGV[i + 1]))
+  if n <= 0 then
+    redis.call('HDEL', KEYS[1], ARGV[i])
+  end
+end
+return 0`;
+
+// queues an operation if the queue admits it, see `checkAdmission`; `KEYS`
+// are the submitters, operation, operation hash, lane operation list, local
+// operation count, receipt, and record receipt keys followed by the
+// operation list of every lane; `ARGV` are the submitter, `maxQueueSize`,
+// `fairShareThreshold`, the operation record, the counter ttl, the receipt,
+// the receipt ttl, the operation hash, the merge notification channel, and
+// the operation key to queue (without the key prefix that `KEYS` have);
+// run as a script so that concurrent operations are never admitted based on
+// the same counts; returns whether the operation was admitted followed by
+// the counts it was admitted or rejected with
+const ADD_SCRIPT = `
+local queueSize = 0
+for i = 8, #KEYS do
+  queueSize = queueSize + redis.call('LLEN', KEYS[i])
+end
+local submitterQueueSize = tonumber(redis.call('HGET', KEYS[1], ARGV[1])) or 0
+local submitterCount = redis.call('HLEN', KEYS[1])
+if submitterQueueSize == 0 then
+  submitterCount = submitterCount + 1
+end
+local maxQueueSize = tonumber(ARGV[2])
+if queueSize >= maxQueueSize or (submitterCount > 1 and
+  queueSize >= maxQueueSize * tonumber(ARGV[3]) and
+  submitterQueueSize >= queueSize / submitterCount) then
+  return {0, queueSize, submitterQueueSize, submitterCount}
+end
+redis.call('INCR', KEYS[5])
+redis.call('EXPIRE', KEYS[5], ARGV[5])
+redis.call('SET', KEYS[2], ARGV[4])
+redis.call('SET', KEYS[3], ARGV[1])
+redis.call('RPUSH', KEYS[4], ARGV[10])
+redis.call('HINCRBY', KEYS[1], ARGV[1], 1)
+redis.call('SET', KEYS[6], ARGV[6], 'EX', ARGV[7])
+redis.call('SET', KEYS[7], ARGV[8], 'EX', ARGV[7])
+redis.call('PUBLISH', ARGV[9], 'operation')
+return {1, queueSize, submitterQueueSize, submitterCount}`;
+
 /**
- * Adds an operation to the cache.
+ * Adds an operation to the cache. The operation is added to the lane for
+ * `meta.priority` and counts toward the queued operations for
+ * `meta.submitter`.
  *
  * @param operation {Object} - The operation data.
  * @param meta {Object} - The operation meta data.
@@ -19,16 +74,70 @@ const operationsConfig = config['ledger-consensus-continuity'].operations;
  * @returns {Promise} resolves once the operation completes.
  */
 exports.add = async ({ledgerNodeId, operation, meta}) => {
-  const {basisBlockHeight, operationHash} = meta;
+  const {basisBlockHeight, operationHash, priority, recordId, submitter} = meta;
   const opHashKey = _cacheKey.operationHash({ledgerNodeId, operationHash});
+  const receiptKey = _cacheKey.operationReceipt({ledgerNodeId, operationHash});
+  const recordReceiptKey = _cacheKey.operationRecordReceipt(
+    {ledgerNodeId, recordId});
   const opKey = _cacheKey.operation(
     {basisBlockHeight, ledgerNodeId, operationHash});
-  const opListKey = _cacheKey.operationList(ledgerNodeId);
+  const opListKey = exports.getOperationListKey({ledgerNodeId, lane: priority});
+  const submittersKey = _cacheKey.operationSubmitters(ledgerNodeId);
   const opCountKey = _cacheKey.opCountLocal(
     {ledgerNodeId, second: Math.round(Date.now() / 1000)});
 
-  const operationQueueSize = await cache.client.llen(opListKey);
-  if(operationQueueSize >= operationsConfig.maxQueueSize) {
+  // the submitter is recorded with the hash so that the submitter's count
+  // can be decremented even if the operation itself is lost by the cache;
+  // the script runs in a transaction so that the transaction is aborted if
+  // the operation hash key watched by `exists` has changed
+  const {
+    counter: {ttl: counterTtl}, fairShareThreshold, maxQueueSize,
+    receipts: {ttl: receiptTtl}
+  } = operationsConfig;
+  const keys = [
+    submittersKey, opKey, opHashKey, opListKey, opCountKey, receiptKey,
+    recordReceiptKey, ...exports.getOperationListKeys({ledgerNodeId})
+  ];
+  const result = await cache.client.multi()
+    .eval(ADD_SCRIPT, keys.length, ...keys,
+      submitter, maxQueueSize, fairShareThreshold,
+      JSON.stringify({meta, operation}), counterTtl,
+      JSON.stringify({created: Date.now()}), receiptTtl, operationHash,
+      `continuity2017|needsMerge|${ledgerNodeId}`, opKey)
+    .exec();
+  if(result === null) {
+    return null;
+  }
+  const [[admitted, queueSize, submitterQueueSize, submitterCount]] = result;
+  if(!admitted) {
+    exports.checkAdmission(
+      {queueSize, submitter, submitterQueueSize, submitterCount});
+  }
+
+  _metrics.setOperationQueueDepth({ledgerNodeId, depth: queueSize + 1});
+
+  return result;
+};
+
+/**
+ * Throws an error if a submitter may not add another operation to a queue.
+ * All operations are rejected when the queue is full. Once the queue is
+ * filled past `fairShareThreshold`, operations from a submitter that already
+ * has an equal share or more of the queued operations are rejected so that
+ * the heaviest submitters are rejected first.
+ *
+ * @param queueSize {Number} - The number of queued operations.
+ * @param submitter {string} - The submitter of the new operation.
+ * @param submitterQueueSize {Number} - The number of queued operations from
+ *   the submitter.
+ * @param submitterCount {Number} - The number of submitters with queued
+ *   operations, including the submitter.
+ */
+exports.checkAdmission = ({
+  queueSize, submitter, submitterQueueSize, submitterCount
+}) => {
+  const {fairShareThreshold, maxQueueSize} = operationsConfig;
+  if(queueSize >= maxQueueSize) {
     throw new BedrockError(
       'The node is not accepting operations. Try again later.',
       'OperationError', {
@@ -36,15 +145,119 @@ exports.add = async ({ledgerNodeId, operation, meta}) => {
         public: true,
       });
   }
+  if(submitterCount > 1 && queueSize >= maxQueueSize * fairShareThreshold &&
+    submitterQueueSize >= queueSize / submitterCount) {
+    throw new BedrockError(
+      'The submitter has too many queued operations. Try again later.',
+      'OperationError', {
+        httpStatusCode: 503,
+        public: true,
+        submitter
+      });
+  }
+};
 
-  return cache.client.multi()
-    .incr(opCountKey)
-    .expire(opCountKey, operationsConfig.counter.ttl)
-    .set(opKey, JSON.stringify({meta, operation}))
-    .set(opHashKey, '')
-    .rpush(opListKey, opKey)
-    .publish(`continuity2017|needsMerge|${ledgerNodeId}`, 'operation')
-    .exec();
+/**
+ * Gets the key for the list of queued operations in a lane.
+ *
+ * @param ledgerNodeId {string} - The ID of the ledger node.
+ * @param lane {string} - The lane.
+ *
+ * @returns {string} The key.
+ */
+exports.getOperationListKey = ({ledgerNodeId, lane}) =>
+  _cacheKey.operationList(
+    ledgerNodeId, lane === operationsConfig.defaultLane ? null : lane);
+
+/**
+ * Gets the keys for the lists of queued operations in every lane in priority
+ * order.
+ *
+ * @param ledgerNodeId {string} - The ID of the ledger node.
+ *
+ * @returns {string[]} The keys.
+ */
+exports.getOperationListKeys = ({ledgerNodeId}) =>
+  operationsConfig.lanes.map(
+    lane => exports.getOperationListKey({ledgerNodeId, lane}));
+
+/**
+ * Selects the lane to take the next chunk of operations from. Lanes with
+ * queued operations are selected in proportion to their weights in
+ * `operations.laneWeights` using a smooth weighted round-robin whose credits
+ * are kept in the cache; ties are broken in priority order.
+ *
+ * @param ledgerNodeId {string} - The ID of the ledger node.
+ * @param lanes {string[]} - The lanes that have queued operations, in
+ *   priority order.
+ *
+ * @returns {Promise<string>} The selected lane.
+ */
+exports.selectLane = async ({ledgerNodeId, lanes}) => {
+  if(lanes.length === 1) {
+    return lanes[0];
+  }
+  const {laneWeights} = operationsConfig;
+  const creditsKey = _cacheKey.operationLaneCredits(ledgerNodeId);
+  const credits = await cache.client.hmget(creditsKey, lanes);
+  let total = 0;
+  let selected = 0;
+  for(let i = 0; i < lanes.length; ++i) {
+    const weight = laneWeights[lanes[i]] || 1;
+    total += weight;
+    credits[i] = (parseInt(credits[i], 10) || 0) + weight;
+    if(credits[i] > credits[selected]) {
+      selected = i;
+    }
+  }
+  credits[selected] -= total;
+  const args = [];
+  for(let i = 0; i < lanes.length; ++i) {
+    args.push(lanes[i], credits[i]);
+  }
+  await cache.client.hmset(creditsKey, args);
+  return lanes[selected];
+};
+
+/**
+ * Gets the number of queued operations in every lane.
+ *
+ * @param ledgerNodeId {string} - The ID of the ledger node.
+ *
+ * @returns {Promise<Number>} The number of queued operations.
+ */
+exports.getQueueSize = async ({ledgerNodeId}) => {
+  const txn = cache.client.multi();
+  for(const key of exports.getOperationListKeys({ledgerNodeId})) {
+    txn.llen(key);
+  }
+  const lengths = await txn.exec();
+  return lengths.reduce((total, length) => total + length, 0);
+};
+
+/**
+ * Removes operations that have been written to an event from the queued
+ * operation counts of their submitters.
+ *
+ * @param ledgerNodeId {string} - The ID of the ledger node.
+ * @param submitters {string[]} - The submitter of each operation.
+ *
+ * @returns {Promise} resolves once the operation completes.
+ */
+exports.removeSubmitted = async ({ledgerNodeId, submitters}) => {
+  const submittersKey = _cacheKey.operationSubmitters(ledgerNodeId);
+  const counts = new Map();
+  for(const submitter of submitters) {
+    counts.set(submitter, (counts.get(submitter) || 0) + 1);
+  }
+  if(counts.size === 0) {
+    return;
+  }
+  const args = [];
+  for(const [submitter, count] of counts) {
+    args.push(submitter, count);
+  }
+  await cache.client.eval(REMOVE_SUBMITTED_SCRIPT, 1, submittersKey, ...args);
 };
 
 /**
@@ -78,7 +291,190 @@ exports.exists = async ({ledgerNodeId, operationHash}) => {
  *   not.
  */
 exports.isEmpty = async ({ledgerNodeId}) => {
-  const opListKey = _cacheKey.operationList(ledgerNodeId);
-  const listLength = await cache.client.llen(opListKey);
-  return listLength === 0;
+  return await exports.getQueueSize({ledgerNodeId}) === 0;
+};
+
+/**
+ * Records a local operation that was added to a queue other than the cache.
+ * Receipts are added for the operation, it is counted as a local operation,
+ * and the ledger node is notified that it has something to merge.
+ *
+ * @param ledgerNodeId {string} - The ID of the ledger node.
+ * @param operationHash {string} - The hash of the operation.
+ * @param recordId {string} - The hashed ID of the operation's record.
+ *
+ * @returns {Promise} resolves once the operation completes.
+ */
+exports.addExternal = async ({ledgerNodeId, operationHash, recordId}) => {
+  const receiptKey = _cacheKey.operationReceipt({ledgerNodeId, operationHash});
+  const recordReceiptKey = _cacheKey.operationRecordReceipt(
+    {ledgerNodeId, recordId});
+  const opCountKey = _cacheKey.opCountLocal(
+    {ledgerNodeId, second: Math.round(Date.now() / 1000)});
+  return cache.client.multi()
+    .incr(opCountKey)
+    .expire(opCountKey, operationsConfig.counter.ttl)
+    .set(receiptKey, JSON.stringify({created: Date.now()}),
+      'EX', operationsConfig.receipts.ttl)
+    .set(recordReceiptKey, operationHash, 'EX', operationsConfig.receipts.ttl)
+    .publish(`continuity2017|needsMerge|${ledgerNodeId}`, 'operation')
+    .exec();
+};
+
+/**
+ * Check if an operation is in the queue waiting to be added to a local
+ * regular event. Unlike `exists`, this does not watch the operation.
+ *
+ * @param ledgerNodeId {string} - The ID of the ledger node.
+ * @param operationHash {string} - The hash of the operation.
+ *
+ * @returns {Promise<Boolean>} True if the operation is queued, otherwise false.
+ */
+exports.isQueued = async ({ledgerNodeId, operationHash}) => {
+  const opHashKey = _cacheKey.operationHash({ledgerNodeId, operationHash});
+  return !!(await cache.client.exists(opHashKey));
+};
+
+/**
+ * Gets the receipt for a local operation.
+ *
+ * @param ledgerNodeId {string} - The ID of the ledger node.
+ * @param operationHash {string} - The hash of the operation.
+ *
+ * @returns {Promise<Object>} The receipt, `{created}`, or `null` if there is
+ *   no receipt or it has expired.
+ */
+exports.getReceipt = async ({ledgerNodeId, operationHash}) => {
+  const receiptKey = _cacheKey.operationReceipt({ledgerNodeId, operationHash});
+  const json = await cache.client.get(receiptKey);
+  return json ? JSON.parse(json) : null;
+};
+
+/**
+ * Gets the hash of the most recent local operation for a record.
+ *
+ * @param ledgerNodeId {string} - The ID of the ledger node.
+ * @param recordId {string} - The hashed ID of the record.
+ *
+ * @returns {Promise<string>} The operation hash or `null` if there is no
+ *   receipt for the record or it has expired.
+ */
+exports.getOperationHashForRecord = async ({ledgerNodeId, recordId}) => {
+  return cache.client.get(
+    _cacheKey.operationRecordReceipt({ledgerNodeId, recordId}));
+};
+
+/**
+ * Publishes the status of local operations that have reached consensus.
+ *
+ * @param ledgerNodeId {string} - The ID of the ledger node.
+ * @param statuses {Object[]} - The status of each operation.
+ *
+ * @returns {Promise} resolves once the operation completes.
+ */
+exports.publishConsensus = async ({ledgerNodeId, statuses}) => {
+  const channel = `continuity2017|operationConsensus|${ledgerNodeId}`;
+  const txn = cache.client.multi();
+  for(const status of statuses) {
+    txn.publish(channel, JSON.stringify(status));
+  }
+  return txn.exec();
+};
+
+/**
+ * Records the expiry of local operations that were dropped from the queue
+ * and emits a `bedrock-ledger-consensus-continuity.operationExpired` event
+ * for each of them. When `operations.receipts.publish` is set, the expiry is
+ * also published on the `continuity2017|operationExpired|<ledgerNodeId>`
+ * channel.
+ *
+ * @param ledgerNodeId {string} - The ID of the ledger node.
+ * @param operations {Object[]} - The expired operations, each with
+ *   `operationHash`, `reason`, and, if it was not lost, `operation` and
+ *   `meta`.
+ *
+ * @returns {Promise} resolves once the operation completes.
+ */
+exports.expire = async ({ledgerNodeId, operations}) => {
+  const expired = Date.now();
+  const channel = `continuity2017|operationExpired|${ledgerNodeId}`;
+  const txn = cache.client.multi();
+  for(const {operationHash, reason} of operations) {
+    const expiry = JSON.stringify({expired, reason});
+    txn.set(_cacheKey.operationExpiry({ledgerNodeId, operationHash}), expiry,
+      'EX', operationsConfig.receipts.ttl);
+    if(operationsConfig.receipts.publish) {
+      txn.publish(channel, JSON.stringify({operationHash, expired, reason}));
+    }
+  }
+  await txn.exec();
+
+  for(const {operation = null, meta = null, operationHash, reason} of
+    operations) {
+    logger.debug('Local operation expired.', {operationHash, reason});
+    try {
+      await bedrock.events.emit(
+        'bedrock-ledger-consensus-continuity.operationExpired', {
+          ledgerNodeId, operationHash, reason, expired, operation,
+          recordId: meta && meta.recordId,
+          submitter: meta && meta.submitter
+        });
+    } catch(e) {
+      // a failing listener must not affect the work session
+      logger.error('Error in operation expiry listener.', {error: e});
+    }
+  }
+};
+
+/**
+ * Check if a queued operation has waited longer than `operations.expiry.ttl`
+ * to be added to a local regular event.
+ *
+ * @param meta {Object} - The operation meta data.
+ * @param now {Number} - The current time in ms since the epoch.
+ *
+ * @returns {Boolean} True if the operation has expired, otherwise false.
+ */
+exports.isExpired = ({meta: {created}, now}) => {
+  const {ttl} = operationsConfig.expiry;
+  // operations queued before their creation time was recorded never expire
+  return ttl > 0 && created !== undefined && now - created > ttl * 1000;
+};
+
+/**
+ * Gets the expiry of a local operation.
+ *
+ * @param ledgerNodeId {string} - The ID of the ledger node.
+ * @param operationHash {string} - The hash of the operation.
+ *
+ * @returns {Promise<Object>} The expiry, `{expired, reason}`, or `null` if
+ *   the operation has not been recorded as expired.
+ */
+exports.getExpiry = async ({ledgerNodeId, operationHash}) => {
+  const json = await cache.client.get(
+    _cacheKey.operationExpiry({ledgerNodeId, operationHash}));
+  return json ? JSON.parse(json) : null;
+};
+
+/**
+ * Removes expired operations from a lane of the queue.
+ *
+ * @param ledgerNodeId {string} - The ID of the ledger node.
+ * @param [opListKey] {string} - The key for the lane's operation list, if the
+ *   operations are still in it.
+ * @param opKeys {string[]} - The keys for the expired operations.
+ *
+ * @returns {Promise} resolves once the operation completes.
+ */
+exports.removeExpired = async ({ledgerNodeId, opListKey, opKeys}) => {
+  const txn = cache.client.multi();
+  for(const opKey of opKeys) {
+    const operationHash = _cacheKey.operationHashFromOperationKey(opKey);
+    if(opListKey) {
+      txn.lrem(opListKey, 1, opKey);
+    }
+    txn.del(opKey)
+      .del(_cacheKey.operationHash({ledgerNodeId, operationHash}));
+  }
+  return txn.exec();
 };
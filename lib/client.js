@@ -4,14 +4,13 @@
 'use strict';
 
 const _ = require('lodash');
+const _gossipEncoding = require('./gossipEncoding');
 const {httpsAgent} = require('bedrock-https-agent');
 const {httpClient} = require('@digitalbazaar/http-client');
 const https = require('https');
 const bedrock = require('bedrock');
 const {config, util: {BedrockError}} = bedrock;
 const LRU = require('lru-cache');
-const {pipeline} = require('stream');
-const split2 = require('split2');
 const {validate} = require('bedrock-validation');
 const {URL} = require('url');
 const {signRequest, getKeyPair} = require('./signature');
@@ -32,20 +31,32 @@ bedrock.events.on('bedrock.ready', async () => {
   }
 });
 
-// TODO: document; returns a stream
-exports.getEventStream = async ({eventHash, remotePeer}) => {
+/**
+ * Requests events from a remote peer. The request is signed with the key of
+ * the local peer.
+ *
+ * @param eventHash the hashes of the events to get.
+ * @param ledgerNodeId the ID of the local ledger node.
+ * @param remotePeer the remote peer.
+ *
+ * @return a Promise that resolves to an async iterator of `{event}` messages.
+ */
+exports.getEventStream = async ({eventHash, ledgerNodeId, remotePeer}) => {
   const url = remotePeer.url + '/events-query';
-  const data = {eventHash};
+  const data = _addEncoding({eventHash});
   const {'ledger-consensus-continuity': {client: {timeout}}} = config;
+  const headers = await _getSignedGossipHeaders(
+    {ledgerNodeId, url, json: data});
   const response = await httpClient.post(url, {
     agent: httpsAgent,
+    headers,
     json: data,
     timeout
   });
   if(!response.ok) {
     throw new Error(`Error retrieving events from peer: "${remotePeer.id}"`);
   }
-  return response.body;
+  return _gossipEncoding.readMessages({response});
 };
 
 exports.validateEvent = async ({event, ledgerNodeId, localPeerId, session}) => {
@@ -66,39 +77,25 @@ exports.validateEvent = async ({event, ledgerNodeId, localPeerId, session}) => {
 };
 
 exports.getHistory = async ({
-  basisBlockHeight, localPeerId, peerHeadsMap, remotePeer, localEventNumber
+  basisBlockHeight, ledgerNodeId, localPeerId, peerHeadsMap, peerHeadsFilter,
+  remotePeer, localEventNumber
 } = {}) => {
   if(!localPeerId) {
     throw new TypeError('"localPeerId" is required.');
   }
   const {id: remotePeerId} = remotePeer;
   const url = `${remotePeer.url}/gossip`;
-  // send only the event hashes for the peer heads, the server would have
-  // to validate any other information anyway because it will assume we are
-  // an untrusted peer
-  const peerHeads = [];
-  for(const heads of peerHeadsMap.values()) {
-    for(const head of heads) {
-      peerHeads.push(head.eventHash);
-    }
-  }
-  const data = {
-    // this is the latest block height that has reached consensus on the client
-    basisBlockHeight,
-    // the peerId sent to the peer node is the peerId of the local node
-    peerId: localPeerId,
-    peerHeads
-  };
-  // if `localEventNumber` is specified, include it for skipping events
-  // that have already been received
-  if(localEventNumber !== undefined) {
-    data.localEventNumber = localEventNumber;
-  }
+  const data = _createHistoryRequest({
+    basisBlockHeight, localPeerId, peerHeadsMap, peerHeadsFilter,
+    localEventNumber
+  });
   const {'ledger-consensus-continuity': {client: {timeout}}} = config;
+  const headers = await _signGossipRequest({ledgerNodeId, url, json: data});
   let res;
   try {
     res = await httpClient.post(url, {
       json: data,
+      headers,
       timeout,
       agent: httpsAgent
     });
@@ -121,6 +118,50 @@ exports.getHistory = async ({
   return res.data;
 };
 
+/**
+ * Requests a stream of consecutive batches of history, including full
+ * events, from a remote peer. The request is the same as for `getHistory`
+ * and is signed with the key of the local peer.
+ *
+ * @return a Promise that resolves to an async iterator that first yields
+ *   `{type: 'info', blockHeight, blockHash, samplePeers}` and then yields
+ *   `{type: 'batch', eventHash, cursor, events}` for each batch in the
+ *   order the remote peer sent them; the iterator throws a `NetworkError` or
+ *   `DataError` if the stream fails or violates protocol.
+ */
+exports.getHistoryStream = async ({
+  basisBlockHeight, ledgerNodeId, localPeerId, peerHeadsMap, peerHeadsFilter,
+  remotePeer, localEventNumber
+} = {}) => {
+  if(!localPeerId) {
+    throw new TypeError('"localPeerId" is required.');
+  }
+  const {id: remotePeerId} = remotePeer;
+  const url = `${remotePeer.url}/gossip-stream`;
+  const data = _addEncoding(_createHistoryRequest({
+    basisBlockHeight, localPeerId, peerHeadsMap, peerHeadsFilter,
+    localEventNumber
+  }));
+  const {'ledger-consensus-continuity': {client: {timeout}}} = config;
+  const headers = await _getSignedGossipHeaders(
+    {ledgerNodeId, url, json: data});
+  let response;
+  try {
+    response = await httpClient.post(url, {
+      json: data,
+      headers,
+      timeout,
+      agent: httpsAgent
+    });
+  } catch(error) {
+    const {cause, httpStatusCode} = _processHTTPError(error);
+    throw new BedrockError(
+      'Could not get peer history.', 'NetworkError',
+      {httpStatusCode, localPeerId, remotePeerId}, cause);
+  }
+  return _readHistoryStream({response, localPeerId, remotePeerId});
+};
+
 exports.notifyPeer = async ({ledgerNodeId, remotePeer}) => {
   const {id: remotePeerId} = remotePeer;
   const url = `${remotePeer.url}/notify`;
@@ -145,7 +186,7 @@ exports.notifyPeer = async ({ledgerNodeId, remotePeer}) => {
   }
 };
 
-exports.getEvents = async function({eventHashes, remotePeer}) {
+exports.getEvents = async function({eventHashes, ledgerNodeId, remotePeer}) {
   /* Note: Here we connect to the peer and download all requested events. The
   events currently must be added in order (TODO: handle ordering later and
   just put them into the cache as quickly as possible to optimize).
@@ -153,22 +194,26 @@ exports.getEvents = async function({eventHashes, remotePeer}) {
   If an error occurs with adding the events (since they must be added
   in order), we should terminate the connection to the peer immediately and
   bail out. */
+  if(!ledgerNodeId) {
+    throw new TypeError('"ledgerNodeId" is required.');
+  }
   const events = [];
+  let eventBytes = 0;
 
   // request events in chunks for size `maxEvents`
   const {'ledger-consensus-continuity': {gossip: {maxEvents}}} = config;
   const chunks = _.chunk(eventHashes, maxEvents);
   for(const eventHash of chunks) {
     try {
-      const stream = await exports.getEventStream({eventHash, remotePeer});
-      const eventIterator = pipeline(stream, split2(), _pipelineComplete);
-      for await (const e of eventIterator) {
-        const eventJson = JSON.parse(e);
+      const eventIterator = await exports.getEventStream(
+        {eventHash, ledgerNodeId, remotePeer});
+      for await (const eventJson of eventIterator) {
         const result = validate('continuity.webLedgerEvents', eventJson.event);
         if(!result.valid) {
           throw result.error;
         }
         events.push(eventJson.event);
+        eventBytes += _gossipEncoding.getMessageSize(eventJson);
       }
     } catch(error) {
       if(error.response) {
@@ -207,8 +252,8 @@ exports.getEvents = async function({eventHashes, remotePeer}) {
         remotePeer,
       });
   }
-  // return the accumulated events
-  return events;
+  // return the accumulated events and their encoded size
+  return {events, eventBytes};
 };
 
 exports.getValidationServiceUrl = ({localPeerId}) => {
@@ -237,8 +282,126 @@ exports.getValidationServiceUrl = ({localPeerId}) => {
   return eventsValidationUrl;
 };
 
-function _pipelineComplete(/* err */) {
-  // error is handled before this handler is called, this is a no-op
+// requests events in the configured encoding
+function _addEncoding(data) {
+  const {'ledger-consensus-continuity': {gossip: {encoding}}} = config;
+  if(encoding !== 'json') {
+    data.encoding = encoding;
+  }
+  return data;
+}
+
+function _getGossipHeaders() {
+  const {'ledger-consensus-continuity': {gossip: {compression}}} = config;
+  // the HTTP client requests and decompresses compressed responses by default
+  return compression.enabled ? {} : {'accept-encoding': 'identity'};
+}
+
+async function _getSignedGossipHeaders({ledgerNodeId, url, json}) {
+  return {
+    ..._getGossipHeaders(),
+    ...await _signGossipRequest({ledgerNodeId, url, json})
+  };
+}
+
+// signs a gossip request with the key of the local peer so the remote peer
+// can authenticate it
+async function _signGossipRequest({ledgerNodeId, url, json}) {
+  if(!ledgerNodeId) {
+    throw new TypeError('"ledgerNodeId" is required.');
+  }
+  const key = await getKeyPair({ledgerNodeId});
+  return signRequest({url, json, signer: key.signer()});
+}
+
+function _createHistoryRequest({
+  basisBlockHeight, localPeerId, peerHeadsMap, peerHeadsFilter,
+  localEventNumber
+}) {
+  // send only the event hashes for the peer heads, the server would have
+  // to validate any other information anyway because it will assume we are
+  // an untrusted peer
+  const peerHeads = [];
+  for(const heads of peerHeadsMap.values()) {
+    for(const head of heads) {
+      peerHeads.push(head.eventHash);
+    }
+  }
+  const data = {
+    // this is the latest block height that has reached consensus on the client
+    basisBlockHeight,
+    // the peerId sent to the peer node is the peerId of the local node
+    peerId: localPeerId,
+    peerHeads
+  };
+  // if `localEventNumber` is specified, include it for skipping events
+  // that have already been received
+  if(localEventNumber !== undefined) {
+    data.localEventNumber = localEventNumber;
+  }
+  // if a bloom filter over all non-consensus events is given, include it so
+  // events from creators that have no head in `peerHeads` can be skipped
+  if(peerHeadsFilter) {
+    data.peerHeadsFilter = peerHeadsFilter.toJSON();
+  }
+  return data;
+}
+
+async function* _readHistoryStream({response, localPeerId, remotePeerId}) {
+  const {'ledger-consensus-continuity': {gossip: {maxEvents}}} = config;
+  const protocolError = message => new BedrockError(
+    message, 'DataError', {localPeerId, remotePeerId});
+  const messages = _gossipEncoding.readMessages({response});
+  // the batch whose events are currently being read
+  let batch = null;
+  let info = false;
+  try {
+    for await (const message of messages) {
+      if(!(message && typeof message === 'object')) {
+        throw protocolError('Gossip stream contained an invalid message.');
+      }
+      if(!info) {
+        if(!(message.type === 'info' && Array.isArray(message.samplePeers))) {
+          throw protocolError('Gossip stream did not start with "info".');
+        }
+        info = true;
+        yield message;
+        continue;
+      }
+      if(!batch) {
+        const {type, eventHash, cursor} = message;
+        if(!(type === 'batch' && Array.isArray(eventHash) &&
+          eventHash.length <= maxEvents && cursor &&
+          typeof cursor === 'object')) {
+          throw protocolError('Invalid gossip stream batch.');
+        }
+        batch = {type, eventHash, cursor, events: []};
+      } else {
+        const result = validate('continuity.webLedgerEvents', message.event);
+        if(!result.valid) {
+          throw result.error;
+        }
+        batch.events.push(message.event);
+      }
+      if(batch.events.length === batch.eventHash.length) {
+        yield batch;
+        batch = null;
+      }
+    }
+  } catch(error) {
+    if(error instanceof BedrockError) {
+      throw error;
+    }
+    const message = error.message || 'A network error occurred.';
+    throw new BedrockError(
+      message, 'NetworkError', {localPeerId, remotePeerId}, error);
+  }
+  if(batch) {
+    // likely a dropped connection, not a protocol violation
+    throw new BedrockError(
+      'Gossip stream ended before the batch was complete.', 'NetworkError',
+      {localPeerId, remotePeerId});
+  }
 }
 
 function _processHTTPError(error) {
@@ -5,6 +5,7 @@
 
 const bedrock = require('bedrock');
 const config = bedrock.config;
+const os = require('os');
 const path = require('path');
 
 const cfg = config['ledger-consensus-continuity'] = {};
@@ -14,7 +15,15 @@ cfg.routes.root = '/consensus/continuity2017/voters/:voterId';
 cfg.routes.eventsQuery = cfg.routes.root + '/events-query';
 cfg.routes.eventsValidation = cfg.routes.root + '/events-validation';
 cfg.routes.gossip = cfg.routes.root + '/gossip';
+cfg.routes.gossipStream = cfg.routes.root + '/gossip-stream';
 cfg.routes.notify = cfg.routes.root + '/notify';
+cfg.routes.status = cfg.routes.root + '/status';
+// Prometheus metrics for all ledger nodes, only available if
+// `metrics.enabled` is set
+cfg.routes.metrics = '/consensus/continuity2017/metrics';
+
+cfg.metrics = {};
+cfg.metrics.enabled = false;
 
 cfg.worker = {
   session: {
@@ -23,6 +32,25 @@ cfg.worker = {
   }
 };
 
+cfg.consensus = {};
+// the name of the `continuityConsensusEngine` plugin used to find consensus;
+// plugins are registered via `brLedgerNode.use`
+cfg.consensus.engine = 'Continuity2017Engine';
+// the name of an optional `continuityConsensusEngine` plugin to run in shadow
+// mode alongside `engine`; divergences are recorded but its results are never
+// used to write blocks
+cfg.consensus.shadowEngine = null;
+// the maximum size in bytes of a persisted shadow divergence record; larger
+// records store hashes in place of their input history and results to stay
+// below the MongoDB document size limit
+cfg.consensus.shadowMaxRecordSize = 4 * 1024 * 1024;
+// `worker_threads` pool used by the `Continuity2017PoolEngine` engine
+cfg.consensus.pool = {};
+// the number of threads; each ledger node always uses the same thread
+cfg.consensus.pool.size = Math.max(1, os.cpus().length - 1);
+// the maximum number of incremental consensus states kept per thread
+cfg.consensus.pool.maxStates = 100;
+
 cfg.client = {};
 // connection timeout in ms
 cfg.client.timeout = 2500;
@@ -67,6 +95,12 @@ const notification = cfg.gossip.notification = {};
 // the max number of jobs that can add a new peer received via notification
 notification.addNewPeerConcurrency = 10;
 
+cfg.gossip.reputation = {};
+// the name of the `continuityReputationPolicy` plugin used to compute peer
+// reputations after each gossip pull; plugins are registered via
+// `brLedgerNode.use`
+cfg.gossip.reputation.policy = 'Continuity2017ReputationPolicy';
+
 // how long to wait (ms) before contacting the same peer again
 cfg.gossip.coolDownPeriod = 250;
 // this is used in the server to limit the number of events and event hashes
@@ -76,19 +110,136 @@ cfg.gossip.coolDownPeriod = 250;
 // from at most N parents, then this must be >= N); this is set to a multiple
 // of `16` based on the continuity constants making 16 the max merge event size
 cfg.gossip.maxEvents = 64;
+// options for streaming gossip history
+const stream = cfg.gossip.stream = {};
+// `true` to pull history from peers via the streaming gossip route, falling
+// back to the `gossip` route for peers that do not support it
+stream.enabled = true;
+// the maximum number of consecutive `maxEvents` batches the server will send
+// in a single streaming gossip response
+stream.maxBatches = 16;
+// options for compressing gossip responses; clients request compression via
+// `Accept-Encoding` and servers use the first of `encodings` that is accepted
+const compression = cfg.gossip.compression = {};
+compression.enabled = true;
+compression.encodings = ['br', 'gzip'];
+// lower than the default quality (11) as responses are compressed on the fly
+compression.brotliQuality = 4;
+compression.gzipLevel = 6;
+// the encoding to request events in, either `json` or `cbor`; `cbor` must only
+// be used when every peer supports it
+cfg.gossip.encoding = 'json';
+// options for sending a bloom filter over all known non-consensus merge
+// events with each gossip request so that peers can skip sending events that
+// are already known even when there are too many creators to send a head for
+// each one; must only be enabled when every peer supports it
+const peerHeadsFilter = cfg.gossip.peerHeadsFilter = {};
+peerHeadsFilter.enabled = false;
+peerHeadsFilter.falsePositiveRate = 0.001;
+// the maximum size of the filter in bits (64 KiB)
+peerHeadsFilter.maxSize = 64 * 1024 * 8;
+// options for the HTTP signatures that peers use to sign `gossip`,
+// `gossip-stream`, and `events-query` requests with their peer key
+const signedRequests = cfg.gossip.signedRequests = {};
+// `true` to reject requests that are not signed by the peer they are from;
+// signed requests are always verified, but this must only be enabled once
+// every peer signs these requests
+signedRequests.required = false;
 cfg.gossip.peerCache = {
   max: 1000,
   // ensures this cache is refreshed every second
   maxAge: 1000
 };
 
+// limits on the peers stored in each ledger node's peers collection; peers
+// are onboarded with a reputation of `0` and become persistent once they have
+// been successfully pulled from
+cfg.peers = {};
+// the max number of persistent peers (reputation > 0)
+cfg.peers.maxPersistent = 100;
+// the max number of peers being onboarded (reputation === 0)
+cfg.peers.onboardingSlots = 10;
+// how to make room for a peer that is ready to become persistent when
+// `maxPersistent` has been reached: `null` drops the new peer,
+// `lowestReputation` evicts the persistent peer with the lowest reputation
+// and `leastRecentlyPulled` evicts the persistent peer that was pulled from
+// least recently; witnesses and pinned peers are never evicted
+cfg.peers.eviction = null;
+// peers (`{id, url, pinned}`) that are added to the peers collection when a
+// ledger node's first work session starts; pinned peers are never deleted,
+// only backed off
+cfg.peers.bootstrap = [];
+// the fraction of gossip pull selections reserved for pinned peers
+cfg.peers.pinnedShare = 0.2;
+// access control for peers that gossip with, notify, or are added to the
+// peers collection; entries are peer IDs or the `did:key` DIDs that control
+// them and are combined with the optional `peerAccess` of the ledger
+// configuration
+cfg.peers.access = {};
+// `true` to only allow peers in `allow`
+cfg.peers.access.permissioned = false;
+cfg.peers.access.allow = [];
+// peers that are never allowed
+cfg.peers.access.deny = [];
+// overrides for any of the above options, keyed by ledger node ID
+cfg.peers.ledgerNodes = {};
+
 cfg.operations = {};
-// ttl (sec) for cached counter; determines how long an operation will stay
-// in the cache waiting to make it into a regular event... if this expires,
-// then the operation gets dropped and will never get into the ledger
+// ttl (sec) for cached counters of local operations added per second
 cfg.operations.counter = {ttl: 6000};
+cfg.operations.expiry = {
+  // ttl (sec) for a local operation waiting to make it into a regular
+  // event... if this expires, then the operation gets dropped, its expiry is
+  // recorded, and a `bedrock-ledger-consensus-continuity.operationExpired`
+  // event is emitted so it can be resubmitted; 0 to never expire operations
+  ttl: 6000
+};
 // the maximum number of operations to buffer before rejection
 cfg.operations.maxQueueSize = 3750;
+// operations are queued in priority lanes selected via `meta.priority`
+cfg.operations.lanes = ['high', 'normal'];
+cfg.operations.defaultLane = 'normal';
+// lanes with queued operations are selected for local regular events in
+// proportion to their positive integer weights (lanes without a weight have
+// a weight of `1`) so that a backlog in an earlier lane does not starve the
+// lanes after it
+cfg.operations.laneWeights = {high: 4};
+// once at least this fraction of `maxQueueSize` operations are queued,
+// operations from submitters (`meta.submitter`) that have an equal share or
+// more of the queued operations are rejected
+cfg.operations.fairShareThreshold = 0.5;
+cfg.operations.queue = {
+  // the backend for pending local operations: `redis` or `mongodb`; the
+  // `mongodb` backend keeps accepted operations if Redis is flushed or fails
+  // over
+  backend: 'redis'
+};
+cfg.operations.receipts = {
+  // ttl (sec) for receipts of local operations; an operation that is no
+  // longer in the cache or storage is reported as `expired` until its
+  // receipt expires
+  ttl: 24 * 60 * 60,
+  // publish a message on the `continuity2017|operationConsensus|<ledgerNodeId>`
+  // channel for each local operation that reaches consensus
+  publish: false
+};
+
+// limits for packing local operations into local regular events; they are
+// bounded by the limits that peers accept (see `continuityConstants.events`);
+// every peer must accept events with more than 10 operations before
+// `maxOperations` is raised above 10
+cfg.events = {};
+cfg.events.maxOperations = 10;
+// 1 MiB; an event always gets at least one operation even if it is larger
+cfg.events.maxBytes = 1024 * 1024;
+
+cfg.configurations = {};
+// the maximum number of scheduled configuration changes to buffer before
+// rejection
+cfg.configurations.maxQueueSize = 10;
+// ttl (sec) for the status of a configuration change once it has reached
+// consensus or failed
+cfg.configurations.statusTtl = 24 * 60 * 60;
 
 // common validation schemas
 config.validation.schema.paths.push(
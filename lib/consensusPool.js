@@ -0,0 +1,197 @@
+/*!
+ * Copyright (c) 2017-2021 Digital Bazaar, Inc. All rights reserved.
+ */
+'use strict';
+
+const bedrock = require('bedrock');
+const logger = require('./logger');
+const path = require('path');
+const {Worker} = require('worker_threads');
+
+// load config defaults
+require('./config');
+
+// module API
+const api = {};
+module.exports = api;
+
+const THREAD_SCRIPT = path.join(__dirname, 'consensusPoolThread.js');
+
+let _threads = null;
+let _nextKey = 0;
+
+bedrock.events.on('bedrock.exit', async () => {
+  if(!_threads) {
+    return;
+  }
+  const threads = _threads;
+  _threads = null;
+  await Promise.all(threads.filter(t => t).map(t => t.worker.terminate()));
+});
+
+/**
+ * Runs the continuity algorithm in a `worker_threads` pool so that the main
+ * event loop is not blocked. This function has the same signature as
+ * `continuity.findConsensus` except that it is async and `logger` is not
+ * used by the thread.
+ *
+ * Every call for the same ledger node is run in the same thread. When
+ * `state` is given, that thread keeps the history and continuity state
+ * between calls and only merge events that have not yet been sent to it are
+ * sent on each call; if the thread no longer has the state, the whole
+ * history is sent again.
+ *
+ * @param ledgerNodeId the ID of the local ledger node.
+ * @param history recent history (see `continuity.findConsensus`).
+ * @param blockHeight the block height to find consensus for.
+ * @param witnesses the current witnesses.
+ * @param [state=null] an optional object that tracks what has been sent to
+ *   the thread for the same `blockHeight`.
+ *
+ * @return a Promise that resolves to a result object (see
+ *   `continuity.findConsensus`).
+ */
+api.findConsensus = async ({
+  ledgerNodeId, history, blockHeight, witnesses, state = null
+}) => {
+  const thread = _getThread({ledgerNodeId});
+  const message = {
+    key: null, full: true, count: 0, events: null,
+    ledgerNodeId, blockHeight, witnesses: [...witnesses]
+  };
+
+  // no state, send whole history
+  if(!state) {
+    message.events = history.events.map(_toSummary);
+    const {result} = await _send({thread, message});
+    return result;
+  }
+
+  if(!state.init) {
+    state.init = true;
+    state.key = `${process.pid}|${++_nextKey}`;
+    state.blockHeight = blockHeight;
+    state.sent = new Set();
+  } else if(state.blockHeight !== blockHeight) {
+    throw new Error(
+      `Given "state" is blockHeight "${state.blockHeight}", ` +
+      `not expected blockHeight "${blockHeight}".`);
+  }
+
+  // send only events that have not been sent before unless some of those
+  // events are no longer in history
+  let events = [];
+  let seen = 0;
+  for(const e of history.events) {
+    if(state.sent.has(e.eventHash)) {
+      seen++;
+    } else {
+      events.push(e);
+    }
+  }
+  message.key = state.key;
+  if(seen === state.sent.size) {
+    message.full = state.sent.size === 0;
+    message.count = state.sent.size;
+  } else {
+    state.sent.clear();
+    events = history.events;
+  }
+  message.events = events.map(_toSummary);
+
+  let response = await _send({thread, message});
+  if(response.resend) {
+    // thread does not have the state, send whole history
+    state.sent.clear();
+    events = history.events;
+    message.full = true;
+    message.count = 0;
+    message.events = events.map(_toSummary);
+    response = await _send({thread, message});
+  }
+  for(const {eventHash} of events) {
+    state.sent.add(eventHash);
+  }
+
+  const {result} = response;
+  if(result.consensus) {
+    // thread has dropped the state
+    state.init = false;
+  }
+  return result;
+};
+
+function _getThread({ledgerNodeId}) {
+  const {consensus: {pool}} = bedrock.config['ledger-consensus-continuity'];
+  if(!_threads) {
+    _threads = new Array(pool.size).fill(null);
+  }
+  // use the same thread for the same ledger node to reuse its state
+  let hash = 0;
+  for(let i = 0; i < ledgerNodeId.length; ++i) {
+    hash = (hash * 31 + ledgerNodeId.charCodeAt(i)) >>> 0;
+  }
+  const index = hash % _threads.length;
+  if(!_threads[index]) {
+    _threads[index] = _createThread({index, maxStates: pool.maxStates});
+  }
+  return _threads[index];
+}
+
+function _createThread({index, maxStates}) {
+  const worker = new Worker(THREAD_SCRIPT, {workerData: {maxStates}});
+  // do not keep the process running because of the pool
+  worker.unref();
+  const thread = {worker, nextId: 0, pending: new Map()};
+  worker.on('message', ({id, error, ...response}) => {
+    const task = thread.pending.get(id);
+    if(!task) {
+      return;
+    }
+    thread.pending.delete(id);
+    if(error) {
+      const e = new Error(error.message);
+      e.stack = error.stack;
+      return task.reject(e);
+    }
+    task.resolve(response);
+  });
+  const fail = error => {
+    if(_threads && _threads[index] === thread) {
+      // replace the thread on next use
+      _threads[index] = null;
+    }
+    for(const task of thread.pending.values()) {
+      task.reject(error);
+    }
+    thread.pending.clear();
+  };
+  worker.on('error', error => {
+    logger.error('Consensus pool thread error.', {error});
+    fail(error);
+  });
+  worker.on('exit', code => fail(
+    new Error(`Consensus pool thread exited with code "${code}".`)));
+  return thread;
+}
+
+function _send({thread, message}) {
+  return new Promise((resolve, reject) => {
+    const id = thread.nextId++;
+    thread.pending.set(id, {resolve, reject});
+    thread.worker.postMessage({id, ...message});
+  });
+}
+
+// only send the information used by the continuity algorithm
+function _toSummary({eventHash, event, meta}) {
+  return {
+    eventHash,
+    event: {
+      basisBlockHeight: event.basisBlockHeight,
+      parentHash: event.parentHash,
+      treeHash: event.treeHash
+    },
+    meta: {continuity2017: {creator: meta.continuity2017.creator}}
+  };
+}
@@ -0,0 +1,59 @@
+/*!
+ * Copyright (c) 2017-2021 Digital Bazaar, Inc. All rights reserved.
+ */
+'use strict';
+
+// Note: This module runs in a `worker_threads` thread started by
+// `./consensusPool.js`; it must not require `bedrock` or any module that
+// depends on it.
+
+const _continuity = require('./continuity');
+const LRU = require('lru-cache');
+const {parentPort, workerData} = require('worker_threads');
+
+// incremental continuity states, key'd by the state key given by the pool;
+// each entry holds the events received so far and the continuity state
+const STATES = new LRU({max: workerData.maxStates});
+
+parentPort.on('message', message => {
+  const {id} = message;
+  try {
+    parentPort.postMessage({id, ..._run(message)});
+  } catch(e) {
+    parentPort.postMessage({id, error: {message: e.message, stack: e.stack}});
+  }
+});
+
+function _run({
+  key, full, count, events, ledgerNodeId, blockHeight, witnesses
+}) {
+  witnesses = new Set(witnesses);
+
+  // no state, run over the given history only
+  if(key === null) {
+    const result = _continuity.findConsensus(
+      {ledgerNodeId, history: {events}, blockHeight, witnesses});
+    return {result};
+  }
+
+  let entry = full ? null : STATES.get(key);
+  if(!full && !(entry && entry.events.length === count)) {
+    // state was evicted or is out of sync, full history is required
+    return {resend: true};
+  }
+  if(!entry) {
+    entry = {events: [], state: {init: false}};
+    STATES.set(key, entry);
+  }
+  entry.events.push(...events);
+
+  const result = _continuity.findConsensus({
+    ledgerNodeId, history: {events: entry.events}, blockHeight, witnesses,
+    state: entry.state
+  });
+  if(result.consensus) {
+    // a new block will be created, the state will not be used again
+    STATES.del(key);
+  }
+  return {result};
+}
@@ -0,0 +1,327 @@
+/*!
+ * Copyright (c) 2017-2021 Digital Bazaar, Inc. All rights reserved.
+ */
+'use strict';
+
+const _ = require('lodash');
+const _continuity = require('./continuity');
+const _signature = require('./signature');
+const _util = require('./util');
+const _witnesses = require('./witnesses');
+const bedrock = require('bedrock');
+const {BedrockError} = bedrock.util;
+
+// load config defaults
+require('./config');
+
+// module API
+const api = {};
+module.exports = api;
+
+// exposed for testing
+api._decide = _decide;
+
+const PROOF_TYPE = 'Continuity2017ConsensusProof';
+
+/**
+ * Creates a self-contained consensus proof for the block at the given
+ * `blockHeight`. The proof includes the block, its witnesses, every merge
+ * event needed to re-run the Continuity2017 decision for the block, and the
+ * support and endorsement evidence produced by that decision. The proof can
+ * be checked using `verify` without access to the ledger node's database.
+ *
+ * Merge events are gathered starting with those in the block and then
+ * including those from each subsequent block (and finally those that have
+ * not yet reached consensus) until the decision for the block can be
+ * reproduced.
+ *
+ * @param {object} options - The options to use.
+ * @param {object} options.ledgerNode - The ledger node to export from.
+ * @param {number} options.blockHeight - The height of the block to prove.
+ *
+ * @returns {Promise<object>} Resolves to the consensus proof.
+ */
+api.create = async ({ledgerNode, blockHeight} = {}) => {
+  if(!(Number.isInteger(blockHeight) && blockHeight > 0)) {
+    throw new BedrockError(
+      'Consensus proofs can only be created for non-genesis blocks.',
+      'NotSupportedError', {
+        blockHeight,
+        httpStatusCode: 400,
+        public: true
+      });
+  }
+
+  const {block, meta: {blockHash, continuity2017}} =
+    await ledgerNode.storage.blocks.getByHeight(blockHeight);
+  const latest = await ledgerNode.storage.blocks.getLatestSummary();
+  const latestBlockHeight = _.get(latest, 'eventBlock.block.blockHeight');
+
+  // blocks record their witnesses; fall back to the witness selection
+  // method for blocks that did not
+  let witness = _.get(continuity2017, 'witness');
+  if(!(Array.isArray(witness) && witness.length > 0)) {
+    const {witnesses} = await _witnesses.getBlockWitnesses(
+      {ledgerNode, blockHeight});
+    witness = [...witnesses];
+  }
+
+  // grow the merge event window one block at a time until the decision
+  // for `blockHeight` is reproduced
+  const mergeEvent = [];
+  let result;
+  for(let height = blockHeight; height <= latestBlockHeight + 1; ++height) {
+    const consensus = height <= latestBlockHeight;
+    mergeEvent.push(...await _getMergeEvents(
+      {ledgerNode, blockHeight: consensus ? height : -1}));
+    result = _decide({block, witness, mergeEvent});
+    if(result.consensus) {
+      break;
+    }
+  }
+
+  if(!result.consensus) {
+    throw new BedrockError(
+      'Consensus could not be reproduced for the given block.',
+      'InvalidStateError', {blockHeight});
+  }
+
+  const proof = {
+    type: PROOF_TYPE,
+    blockHeight,
+    blockHash,
+    block,
+    witness,
+    mergeEvent,
+    evidence: result.evidence
+  };
+
+  // ensure the proof is consistent before returning it
+  const {verified, error} = _check({proof, result});
+  if(!verified) {
+    throw error;
+  }
+
+  return proof;
+};
+
+/**
+ * Verifies a consensus proof created via `create`. The Continuity2017
+ * decision is re-run over the merge events in the proof and the result must
+ * match both the block and the evidence in the proof. This function does not
+ * require a database.
+ *
+ * Neither the block nor the witnesses in the proof are trusted, so the
+ * caller must provide the hash of the block that it expects (e.g., the
+ * `previousBlockHash` of the next block) and the witnesses that it expects
+ * for the block (e.g., via its own copy of the ledger configuration). The
+ * proof is rejected if either does not match.
+ *
+ * @param {object} options - The options to use.
+ * @param {object} options.proof - The consensus proof to verify.
+ * @param {string} options.blockHash - The expected hash of the block.
+ * @param {Array|Set} options.witnesses - The IDs of the witnesses expected
+ *   for the block.
+ * @param {boolean} [options.checkHashes=true] - `true` to recompute the
+ *   merge event hashes and the block hash, `false` to trust the hashes in
+ *   the proof.
+ * @param {boolean} [options.checkSignatures=true] - `true` to verify the
+ *   signature on every merge event.
+ *
+ * @returns {Promise<object>} Resolves to `{verified, error}` where `error`
+ *   is only set when `verified` is `false`.
+ */
+api.verify = async ({
+  proof, blockHash, witnesses, checkHashes = true, checkSignatures = true
+} = {}) => {
+  try {
+    if(typeof blockHash !== 'string') {
+      throw new TypeError('"blockHash" must be a string.');
+    }
+    if(!(Array.isArray(witnesses) || witnesses instanceof Set)) {
+      throw new TypeError('"witnesses" must be an Array or a Set.');
+    }
+    if(!(proof && proof.type === PROOF_TYPE && proof.block &&
+      Array.isArray(proof.block.event) && Array.isArray(proof.witness) &&
+      Array.isArray(proof.mergeEvent))) {
+      throw new BedrockError(
+        'Invalid consensus proof.', 'DataError', {
+          httpStatusCode: 400,
+          public: true
+        });
+    }
+    const {block, mergeEvent} = proof;
+    const witness = [...new Set(witnesses)];
+    if(!_.isEqual([...new Set(proof.witness)].sort(), [...witness].sort())) {
+      throw new BedrockError(
+        'Consensus proof witnesses do not match the expected witnesses.',
+        'DataError', {
+          blockHeight: block.blockHeight,
+          httpStatusCode: 400,
+          public: true
+        });
+    }
+
+    let actualBlockHash = proof.blockHash;
+    if(checkHashes) {
+      await Promise.all(mergeEvent.map(async ({eventHash, event}) => {
+        if(await _util.hasher(event) !== eventHash) {
+          throw new BedrockError(
+            'Merge event hash mismatch.', 'DataError', {
+              eventHash,
+              httpStatusCode: 400,
+              public: true
+            });
+        }
+      }));
+      // `block.event` is stored in place of the hashed `eventHash` predicate
+      const {event: eventHash, ...rest} = block;
+      actualBlockHash = await _util.hasher({...rest, eventHash});
+    }
+    if(actualBlockHash !== blockHash) {
+      throw new BedrockError(
+        'Block hash mismatch.', 'DataError', {
+          blockHeight: block.blockHeight,
+          httpStatusCode: 400,
+          public: true
+        });
+    }
+
+    if(checkSignatures) {
+      // Note: `signature.verify` throws if a signature is invalid
+      await Promise.all(mergeEvent.map(
+        ({event}) => _signature.verify({event})));
+    }
+
+    const result = _decide({block, witness, mergeEvent});
+    return _check({proof, result});
+  } catch(error) {
+    return {verified: false, error};
+  }
+};
+
+function _decide({block, witness, mergeEvent}) {
+  // build a fresh history each time as the continuity algorithm attaches
+  // its own meta data (`_c`) to each event
+  const events = mergeEvent.map(({eventHash, event}) => ({
+    eventHash,
+    event: {
+      basisBlockHeight: event.basisBlockHeight,
+      parentHash: event.parentHash,
+      treeHash: event.treeHash
+    },
+    // the creator is the key that signed the event
+    meta: {continuity2017: {creator: event.proof.verificationMethod}}
+  }));
+  const result = _continuity.findConsensus({
+    // no event in the proof is local, so use the proof type as a local ID
+    // that can never match a creator
+    ledgerNodeId: PROOF_TYPE,
+    history: {events},
+    blockHeight: block.blockHeight,
+    witnesses: new Set(witness)
+  });
+  if(!result.consensus) {
+    return result;
+  }
+  return {...result, evidence: _getEvidence({events})};
+}
+
+function _getEvidence({events}) {
+  // gather the support and endorsement information computed by
+  // `_experiment`, `_tallySupport`, and `_findEndorsement`
+  const evidence = [];
+  for(const {eventHash, _c} of events) {
+    const {
+      decision, endorsers, proposal, proposalEndorsement, support
+    } = _c;
+    if(support === null && endorsers === null && !decision) {
+      continue;
+    }
+    const entry = {eventHash};
+    if(support !== null) {
+      entry.support = support ? _toHashes(support) : false;
+    }
+    if(proposal) {
+      entry.proposal = proposal.eventHash;
+    }
+    if(proposalEndorsement) {
+      entry.proposalEndorsement = _toHashes(proposalEndorsement);
+    }
+    if(endorsers) {
+      entry.endorsers = [...endorsers].sort();
+    }
+    if(decision) {
+      entry.decision = true;
+    }
+    evidence.push(entry);
+  }
+  return evidence;
+}
+
+function _check({proof, result}) {
+  const {block} = proof;
+  let error;
+  if(!result.consensus) {
+    error = new BedrockError(
+      'Consensus proof does not reach consensus.', 'DataError', {
+        blockHeight: block.blockHeight,
+        httpStatusCode: 400,
+        public: true
+      });
+    return {verified: false, error};
+  }
+
+  // every event in the block must be ordered by the consensus result, in
+  // the same relative order, and every merge event that reached consensus
+  // must be in the block; the block ordering also includes parents that
+  // reached consensus in earlier blocks, so those may be absent
+  const blockEvents = new Set(block.event);
+  const ordered = result.eventHashes.blockOrdering.filter(
+    h => blockEvents.has(h));
+  if(!(_.isEqual(ordered, block.event) &&
+    result.eventHashes.mergeEventHashes.every(h => blockEvents.has(h)))) {
+    error = new BedrockError(
+      'Consensus merge events do not match the block.', 'DataError', {
+        blockHeight: block.blockHeight,
+        httpStatusCode: 400,
+        public: true
+      });
+  } else if(!_.isEqual(
+    [...result.consensusProofHashes].sort(),
+    [...block.consensusProofHash].sort())) {
+    error = new BedrockError(
+      'Consensus proof hashes do not match the block.', 'DataError', {
+        blockHeight: block.blockHeight,
+        httpStatusCode: 400,
+        public: true
+      });
+  } else if(!_.isEqual(result.evidence, proof.evidence)) {
+    error = new BedrockError(
+      'Consensus evidence does not match the proof.', 'DataError', {
+        blockHeight: block.blockHeight,
+        httpStatusCode: 400,
+        public: true
+      });
+  }
+  return error ? {verified: false, error} : {verified: true};
+}
+
+// FIXME: move to `bedrock-ledger-consensus-continuity-storage`
+async function _getMergeEvents({ledgerNode, blockHeight}) {
+  // sort by consensus order when available so that the history is always
+  // given to the continuity algorithm in the same order
+  const sort = blockHeight === -1 ?
+    {'meta.continuity2017.localEventNumber': 1} : {'meta.blockOrder': 1};
+  const records = await ledgerNode.storage.events.collection.find({
+    'meta.blockHeight': blockHeight,
+    'meta.continuity2017.type': 'm'
+  }, {
+    projection: {_id: 0, event: 1, 'meta.eventHash': 1}
+  }).sort(sort).toArray();
+  return records.map(({event, meta: {eventHash}}) => ({eventHash, event}));
+}
+
+function _toHashes(events) {
+  return events.map(({eventHash}) => eventHash).sort();
+}
@@ -25,7 +25,10 @@ api._findConsensusSet = _findConsensusSet;
  *   events.
  * @param witnesses the current witnesses.
  * @param [state=null] an optional object for storing state information that
- *   can be reused for the same `blockHeight`.
+ *   can be reused for the same `blockHeight`; when given, the events and
+ *   computations from previous calls are kept in it and only events in
+ *   `history` that have not been seen before are processed, so `history`
+ *   must include every event from previous calls or the state is reset.
  * @param logger the logger to use.
  *
  * @return a result object with the following properties:
@@ -45,22 +48,14 @@ api.findConsensus = ({
   // initialize/validate state as needed
   if(state) {
     if(!state.init) {
-      state.init = true;
-      state.eventMap = null;
-      // guard against misusing state for the wrong block height
-      state.blockHeight = blockHeight;
-      // maps that enable lookups/reverse lookups of pairs of `eventHash` and
-      // memo containing the hash and a unique identifier (Symbol) to enable
-      // caches to share memory
-      state.hashToMemo = new Map();
-      state.symbolToMemo = new Map();
-      // cached support sets for events, key'd by memo Symbol associated with
-      // the event's hash
-      state.supportCache = new Map();
+      _initState({state, blockHeight, witnesses});
     } else if(state.blockHeight !== blockHeight) {
       throw new Error(
         `Given "state" is blockHeight "${state.blockHeight}", ` +
         `not expected blockHeight "${blockHeight}".`);
+    } else if(!_isSameSet(state.witnesses, witnesses)) {
+      // witnesses changed, nothing can be reused
+      _initState({state, blockHeight, witnesses});
     }
 
     // prevent V8 wrongMap deoptimizations triggered by hidden class transitions
@@ -87,21 +82,8 @@ api.findConsensus = ({
     duration: Date.now() - startTime
   });*/
 
-  if(state) {
-    // clear event map as it cannot be reused and we want to allow the memory
-    // to be reclaimed; do not preserve after `_findConsensusSet`
-    state.eventMap = null;
-  }
-
   // consensus not found
   if(result.consensus.length === 0) {
-    if(state) {
-      // cache support for future reuse
-      for(const event of history.events) {
-        _cacheSupport({state, event});
-      }
-    }
-
     // calculate priority peer information to report
     const priorityPeers = _getPriorityPeers({
       ledgerNodeId, history, witnessTails, blockHeight,
@@ -113,6 +95,12 @@ api.findConsensus = ({
   }
   //logger.verbose('findConsensus result found, proceeding...');
 
+  if(state) {
+    // consensus has been found and computing the block order below modifies
+    // the events, so the state must not be reused
+    state.init = false;
+  }
+
   // gather events that have achieved consensus; consider `x` events to have
   // achieved consensus (these are the same as `y` events anyway)
   const events = [];
@@ -183,114 +171,214 @@ function _getTails({history, witnesses, state = null}) {
     throw new TypeError('`history` and `witnesses` are required.');
   }
 
+  if(state) {
+    return _updateTails({history, witnesses, state});
+  }
+
   const witnessTails = new Map();
 
   // build history links
   const eventMap = new Map();
-  if(state) {
-    state.eventMap = eventMap;
-  }
   for(const e of history.events) {
-    // initialize consensus information for event
-    e._c = {
-      // basic navigation
-      parents: [],
-      generation: 0,
-      head: null,
-      headGeneration: 0,
-      treeParent: null,
-      treeChildren: [],
-
-      // support
-      decision: false,
-      endorsers: null,
-      endorsesProposal: null,
-      proposal: null,
-      proposalEndorsed: false,
-      proposalEndorsement: null,
-      mostRecentWitnessAncestors: null,
-      support: null,
-      witness: witnesses.has(_getCreator(e)),
-      y: false,
-
-      // consensus order
-      hashBuffer: null,
-      consensusSortHash: null,
-      externalParents: null
-    };
-
-    // prevent V8 wrongMap deoptimizations triggered by hidden class transitions
-    Object.seal(e._c);
-
+    _initEvent({event: e, witnesses});
     eventMap.set(e.eventHash, e);
   }
   for(const e of history.events) {
-    for(const parentHash of e.event.parentHash) {
-      const parent = eventMap.get(parentHash);
-      if(!parent) {
-        continue;
-      }
-      e._c.parents.push(parent);
-    }
+    _linkParents({event: e, eventMap});
   }
 
   // find all tails and build `treeParent` index
   const tails = new Map();
   for(const e of history.events) {
-    // find parent from the same branch
-    const treeHash = e.event.treeHash;
-    for(const parent of e._c.parents) {
-      if(parent.eventHash === treeHash) {
-        e._c.treeParent = parent;
-        break;
-      }
-    }
-    if(e._c.treeParent) {
-      e._c.treeParent._c.treeChildren.push(e);
-    } else {
-      // event has no tree parent, so it is a tail (the earliest event in
-      // recent history created by the witness)
-      const creator = _getCreator(e);
-      const tail = tails.get(creator);
-      if(tail) {
-        // note that there is only one tail for correct nodes but we must
-        // account here for byzantine nodes reporting more than one
-        tail.push(e);
-      } else {
-        tails.set(creator, [e]);
-      }
-    }
+    _linkTreeParent({event: e, tails});
   }
 
   // set generations for each branch and set witness tails
   for(const [creator, tail] of tails) {
-    let generation = 1;
-    let next = tail;
-    let head = null;
-    while(next.length > 0) {
-      const current = next;
-      next = [];
-      for(const event of current) {
-        event._c.generation = generation;
-        next.push(...event._c.treeChildren);
-      }
-      generation++;
-      if(next.length === 0) {
-        head = current;
-      }
-    }
+    _setGenerations({tail});
     if(witnesses.has(creator)) {
       witnessTails.set(creator, tail);
     }
-    for(const e of tail) {
-      e._c.headGeneration = generation - 1;
-      e._c.head = head;
+  }
+
+  return {tails, witnessTails};
+}
+
+/**
+ * Adds any events in `history` that are not yet in `state` to the tails
+ * and indexes kept in `state`. The result is the same as if `_getTails` had
+ * been called without `state` on the whole history.
+ *
+ * @param {object} history - Recent history.
+ * @param {Set<string>} witnesses - The current witnesses.
+ * @param {object} state - The state to update.
+ *
+ * @return a map containing {tails, witnessTails} (see `_getTails`).
+ */
+function _updateTails({history, witnesses, state}) {
+  // find new events; ensure every previously seen event is still present
+  let {eventMap} = state;
+  let added = [];
+  let seen = 0;
+  for(const e of history.events) {
+    const existing = eventMap.get(e.eventHash);
+    if(existing) {
+      // expose computed meta data on the given event
+      e._c = existing._c;
+      seen++;
+    } else {
+      added.push(e);
+    }
+  }
+  if(seen !== eventMap.size) {
+    // history is not a superset of what has been seen, start over
+    _initState({state, blockHeight: state.blockHeight, witnesses});
+    ({eventMap} = state);
+    added = history.events;
+  }
+  if(added.length === 0) {
+    return {tails: state.tails, witnessTails: state.witnessTails};
+  }
+
+  for(const e of added) {
+    _initEvent({event: e, witnesses});
+    eventMap.set(e.eventHash, e);
+  }
+  for(const e of added) {
+    _linkParents({event: e, eventMap});
+  }
+
+  const {tails, witnessTails} = state;
+  for(const e of added) {
+    const creator = _getCreator(e);
+    _linkTreeParent({event: e, tails});
+    if(!e._c.treeParent && !witnessTails.has(creator) &&
+      witnesses.has(creator)) {
+      // tail arrays are shared with `tails` so later tails are included
+      witnessTails.set(creator, tails.get(creator));
     }
   }
 
+  const changed = new Set();
+  for(const e of added) {
+    let creator = _getCreator(e);
+    if(!tails.has(creator)) {
+      // branch is rooted at a tail from another creator
+      let tail = e;
+      while(tail._c.treeParent) {
+        tail = tail._c.treeParent;
+      }
+      creator = _getCreator(tail);
+    }
+    // track forks as their proposal endorsements must be recomputed
+    if(tails.get(creator).length > 1 ||
+      (e._c.treeParent && e._c.treeParent._c.treeChildren.length > 1)) {
+      state.forks.add(_getCreator(e));
+    }
+    changed.add(creator);
+  }
+
+  // recompute generations and heads for changed branches
+  for(const creator of changed) {
+    _setGenerations({tail: tails.get(creator)});
+  }
+
+  state.unindexed.push(...added);
+
   return {tails, witnessTails};
 }
 
+function _initEvent({event, witnesses}) {
+  // initialize consensus information for event
+  event._c = {
+    // basic navigation
+    parents: [],
+    generation: 0,
+    head: null,
+    headGeneration: 0,
+    treeParent: null,
+    treeChildren: [],
+
+    // support
+    decision: false,
+    endorsers: null,
+    endorsesProposal: null,
+    proposal: null,
+    proposalEndorsed: false,
+    proposalEndorsement: null,
+    mostRecentWitnessAncestors: null,
+    support: null,
+    witness: witnesses.has(_getCreator(event)),
+    y: false,
+
+    // consensus order
+    hashBuffer: null,
+    consensusSortHash: null,
+    externalParents: null
+  };
+
+  // prevent V8 wrongMap deoptimizations triggered by hidden class transitions
+  Object.seal(event._c);
+}
+
+function _linkParents({event, eventMap}) {
+  for(const parentHash of event.event.parentHash) {
+    const parent = eventMap.get(parentHash);
+    if(!parent) {
+      continue;
+    }
+    event._c.parents.push(parent);
+  }
+}
+
+function _linkTreeParent({event, tails}) {
+  // find parent from the same branch
+  const treeHash = event.event.treeHash;
+  for(const parent of event._c.parents) {
+    if(parent.eventHash === treeHash) {
+      event._c.treeParent = parent;
+      break;
+    }
+  }
+  if(event._c.treeParent) {
+    event._c.treeParent._c.treeChildren.push(event);
+  } else {
+    // event has no tree parent, so it is a tail (the earliest event in
+    // recent history created by the witness)
+    const creator = _getCreator(event);
+    const tail = tails.get(creator);
+    if(tail) {
+      // note that there is only one tail for correct nodes but we must
+      // account here for byzantine nodes reporting more than one
+      tail.push(event);
+    } else {
+      tails.set(creator, [event]);
+    }
+  }
+}
+
+function _setGenerations({tail}) {
+  let generation = 1;
+  let next = tail;
+  let head = null;
+  while(next.length > 0) {
+    const current = next;
+    next = [];
+    for(const event of current) {
+      event._c.generation = generation;
+      next.push(...event._c.treeChildren);
+    }
+    generation++;
+    if(next.length === 0) {
+      head = current;
+    }
+  }
+  for(const e of tail) {
+    e._c.headGeneration = generation - 1;
+    e._c.head = head;
+  }
+}
+
 // helper that gets all hashes for the given events and their ancestors
 function _getAncestorHashes({events, ledgerNodeId}) {
   // get all ancestor hashes from every consensus X merge event; track
@@ -529,14 +617,16 @@ function _findConsensusCandidates({
  * This helper function determines the most recent events from each witness
  * and stores them in `event._c.mostRecentWitnessAncestor`.
  */
-function _computeMostRecentWitnessAncestors({ledgerNodeId, tails}) {
+function _computeMostRecentWitnessAncestors({ledgerNodeId, tails, events}) {
   // walk tails to heads, computing most recent witness ancestors for all
   // events; this index enables finding the events to use to calculate support
   // and enables finding endorsements; non-witnesses are walked as well as
-  // it is the quickest way to build the index
+  // it is the quickest way to build the index; if `events` is given, start
+  // with those events instead of the tails
   // Note: Flattening using this approach has been tested here and is faster
   // than doing `[].concat(...[...tails.values()])`
-  let next = [].concat(...Object.values(Object.fromEntries(tails)));
+  let next = events ||
+    [].concat(...Object.values(Object.fromEntries(tails)));
   while(next.length > 0) {
     const current = new Set(next);
     next = [];
@@ -626,7 +716,16 @@ function _findConsensusMergeEvents({
   }
 
   // compute most recent witness ancestors index
-  _computeMostRecentWitnessAncestors({ledgerNodeId, tails});
+  if(!state) {
+    _computeMostRecentWitnessAncestors({ledgerNodeId, tails});
+  } else if(state.unindexed.length > 0) {
+    // only index events that were added since the last call
+    _computeMostRecentWitnessAncestors(
+      {ledgerNodeId, events: state.unindexed});
+    state.unindexed = [];
+    // new events may provide endorsements for existing proposals
+    _updateProposalEndorsements({ledgerNodeId, witnesses, state});
+  }
 
   //let startTime = Date.now();
   //logger.verbose('Start sync _runExperiments');
@@ -764,8 +863,9 @@ function _runExperiments({
   // to determine consensus; these influential witnesses have a `y` event
   const tailsArray = [].concat(...[...yByWitness.values()]);
 
-  // keep a set of support set instances
-  const supportSets = new Set();
+  // keep a set of support set instances; these must be reused with any
+  // previously computed support as support sets are compared by instance
+  const supportSets = state ? state.supportSets : new Set();
 
   // iterate through events from all influential witnesses, performing
   // computations and tallying toward consensus
@@ -872,7 +972,7 @@ function _experiment({
 
   // choose support
   const nextChoice = _chooseSupport(
-    {event, tally, supportSets, fPlusOneSupport, state});
+    {event, tally, supportSets, fPlusOneSupport});
 
   /*console.log('SUPPORT at ', event.eventHash, 'IS FOR',
     nextChoice.set.map(e => e._c.generation));*/
@@ -938,6 +1038,10 @@ function _experiment({
     proposal = event;
     _computeProposalEndorsement(
       {ledgerNodeId, event, witnesses, supermajority});
+    if(state) {
+      // track proposal in case its endorsement changes as events are added
+      state.proposals.push(event);
+    }
   }
 
   // set event's proposal
@@ -1016,7 +1120,7 @@ function _tallySupport({event, f, fPlusOne}) {
   return {tally, fPlusOneSupport: [...fPlusOneSupport]};
 }
 
-function _chooseSupport({event, tally, supportSets, fPlusOneSupport, state}) {
+function _chooseSupport({event, tally, supportSets, fPlusOneSupport}) {
   /* Choose support:
     1. If >= `f+1` support for any same set, union all sets with >= `f+1`
        support.
@@ -1029,43 +1133,39 @@ function _chooseSupport({event, tally, supportSets, fPlusOneSupport, state}) {
     return fPlusOneSupport[0];
   }
 
-  // use cached support if available
-  let set = _getCachedSupportSet({state, event, supportSets});
-  if(!set) {
-    // either union `f+1` sets or all sets...
-    let union;
-    if(fPlusOneSupport.length > 1) {
-      // Note: Part of support branch 1. (union `f+1` support sets)
-      // compute union of all sets with >= `f+1` support
-      // union multiple sets (at most 2 sets, since `3f+1 - (f+1)*2 = f-1`)
-      union = new Set(fPlusOneSupport[0].set);
-      for(const e of fPlusOneSupport[1].set) {
-        union.add(e);
-      }
-    } else {
-      // Note: Part of support branch 2. (union all support sets)
-      // compute the union of all support
-      union = new Set();
-      for(const supportEvent of event._c.mostRecentWitnessAncestors.values()) {
-        if(!supportEvent) {
-          // do not count support from byzantine nodes
-          continue;
-        }
-        // add computed support from `supportEvent`
-        for(const e of supportEvent._c.support) {
-          union.add(e);
-        }
+  // either union `f+1` sets or all sets...
+  let union;
+  if(fPlusOneSupport.length > 1) {
+    // Note: Part of support branch 1. (union `f+1` support sets)
+    // compute union of all sets with >= `f+1` support
+    // union multiple sets (at most 2 sets, since `3f+1 - (f+1)*2 = f-1`)
+    union = new Set(fPlusOneSupport[0].set);
+    for(const e of fPlusOneSupport[1].set) {
+      union.add(e);
+    }
+  } else {
+    // Note: Part of support branch 2. (union all support sets)
+    // compute the union of all support
+    union = new Set();
+    for(const supportEvent of event._c.mostRecentWitnessAncestors.values()) {
+      if(!supportEvent) {
+        // do not count support from byzantine nodes
+        continue;
       }
-      // if event is an initial `y`, include it as supporting itself
-      if(event._c.y) {
-        union.add(event);
+      // add computed support from `supportEvent`
+      for(const e of supportEvent._c.support) {
+        union.add(e);
       }
     }
-
-    // get support set instance that represents union
-    set = _getSupportSet(supportSets, union);
+    // if event is an initial `y`, include it as supporting itself
+    if(event._c.y) {
+      union.add(event);
+    }
   }
 
+  // get support set instance that represents union
+  const set = _getSupportSet(supportSets, union);
+
   // set the next choice to an existing choice or create a new one
   const nextChoice = tally.get(set);
   if(nextChoice) {
@@ -1162,6 +1262,38 @@ function _computeProposalEndorsement({
   }
 }
 
+// recomputes the endorsements of proposals that could have changed due to
+// newly added events: those without an endorsement yet and those from
+// byzantine nodes that have forked (endorsements may occur on each fork)
+function _updateProposalEndorsements({ledgerNodeId, witnesses, state}) {
+  const supermajority = api.supermajority(witnesses.size);
+  for(const proposal of state.proposals) {
+    const previous = proposal._c.proposalEndorsement;
+    if(previous && !state.forks.has(_getCreator(proposal))) {
+      continue;
+    }
+    const endorsement = _findEndorsement({
+      ledgerNodeId, x: proposal, witnesses, supermajority
+    });
+    if(!endorsement) {
+      continue;
+    }
+    // previously found endorsements are always found again, so only newly
+    // found endorsement events need to be marked
+    for(const e of endorsement) {
+      if(previous && previous.includes(e)) {
+        continue;
+      }
+      if(e._c.endorsesProposal) {
+        e._c.endorsesProposal.push(proposal);
+      } else {
+        e._c.endorsesProposal = [proposal];
+      }
+    }
+    proposal._c.proposalEndorsement = endorsement;
+  }
+}
+
 /**
  * Find the earliest merge event for a witness that includes an ancestry of
  * merge events from at least a supermajority of witnesses. This merge event is
@@ -1338,6 +1470,9 @@ function _getPriorityPeers({
   // a new merge event from them could progress consensus); if any peer has no
   // head yet, prioritize it
   const priorityPeers = new Set(nonByzantinePeers.filter(p => !heads.has(p)));
+  // potential proposal endorsers are tracked using copies of each proposal's
+  // endorsers so that the proposal itself is not modified
+  const potentialEndorsers = new Map();
   for(const [witness, head] of heads) {
     // skip any peer that is already prioritized
     if(priorityPeers.has(witness)) {
@@ -1349,7 +1484,12 @@ function _getPriorityPeers({
     // progress consensus
     let proposalEndorsers = null;
     if(head._c.proposal && !_hasEndorsedProposal(head)) {
-      proposalEndorsers = head._c.proposal._c.endorsers;
+      const {proposal} = head._c;
+      proposalEndorsers = potentialEndorsers.get(proposal);
+      if(!proposalEndorsers && proposal._c.endorsers) {
+        proposalEndorsers = new Set(proposal._c.endorsers);
+        potentialEndorsers.set(proposal, proposalEndorsers);
+      }
     }
 
     // check other heads to determine if merging them in would be beneficial
@@ -1400,9 +1540,11 @@ function _getPriorityPeers({
 
       // if `otherHead` has a proposal that `witness` can endorse, then
       // prioritize `witness`
-      if(otherHead._c.proposal && otherHead._c.proposal._c.endorsers &&
-        !_hasEndorsedProposal(otherHead) &&
-        !otherHead._c.proposal._c.endorsers.has(witness)) {
+      const otherEndorsers = otherHead._c.proposal &&
+        (potentialEndorsers.get(otherHead._c.proposal) ||
+        otherHead._c.proposal._c.endorsers);
+      if(otherEndorsers && !_hasEndorsedProposal(otherHead) &&
+        !otherEndorsers.has(witness)) {
         priorityPeers.add(witness);
         break;
       }
@@ -1442,6 +1584,42 @@ function _getCreator(event) {
   return event.meta.continuity2017.creator;
 }
 
+function _initState({state, blockHeight, witnesses}) {
+  state.init = true;
+  // guard against misusing state for the wrong block height
+  state.blockHeight = blockHeight;
+  state.witnesses = witnesses;
+  // all events seen so far, key'd by event hash
+  state.eventMap = new Map();
+  // tails for all nodes and witnesses (see `_getTails`)
+  state.tails = new Map();
+  state.witnessTails = new Map();
+  // events that have not been added to the most recent witness ancestor
+  // index yet
+  state.unindexed = [];
+  // support set instances shared by all computed support
+  state.supportSets = new Set();
+  // all proposals created so far
+  state.proposals = [];
+  // creators that have forked
+  state.forks = new Set();
+}
+
+function _isSameSet(set1, set2) {
+  if(set1 === set2) {
+    return true;
+  }
+  if(set1.size !== set2.size) {
+    return false;
+  }
+  for(const e of set1) {
+    if(!set2.has(e)) {
+      return false;
+    }
+  }
+  return true;
+}
+
 function _createBaseHashBuffer(hashBuffers) {
   const buf = hashBuffers[0].slice();
   for(let i = 1; i < hashBuffers.length; ++i) {
@@ -1483,51 +1661,6 @@ function _findConsensusMergeEventPairs({ys, supermajority}) {
   return pairs;
 }
 
-function _cacheSupport({state, event}) {
-  // do not cache byzantine or uncomputed support
-  if(!event._c.support) {
-    return;
-  }
-
-  const memo = _memoizeEventHash({state, eventHash: event.eventHash});
-  if(state.supportCache.has(memo.s)) {
-    // already cached
-    return;
-  }
-
-  const support = [];
-  for(const {eventHash} of event._c.support) {
-    support.push(_memoizeEventHash({state, eventHash}));
-  }
-  state.supportCache.set(memo.s, support);
-}
-
-function _getCachedSupportSet({state, event, supportSets}) {
-  if(!state) {
-    return;
-  }
-  const memo = _memoizeEventHash({state, eventHash: event.eventHash});
-  const support = state.supportCache.get(memo.s);
-  if(!Array.isArray(support)) {
-    return support;
-  }
-  const set = [];
-  for(const {h, s} of support) {
-    set.push(state.eventMap.get(h));
-  }
-  return _getSupportSet(supportSets, set);
-}
-
-function _memoizeEventHash({state, eventHash}) {
-  let memo = state.hashToMemo.get(eventHash);
-  if(!memo) {
-    memo = {h: eventHash, s: Symbol()};
-    state.hashToMemo.set(eventHash, memo);
-    state.symbolToMemo.set(memo.s, memo);
-  }
-  return memo;
-}
-
 function _sortIntoBlockOrder({mergeEvents, baseHashBuffer}) {
   function compareByMixedHash(a, b) {
     // sort by hash augmented via base hash (base hash is not under the
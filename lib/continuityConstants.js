@@ -12,7 +12,9 @@ module.exports = api;
 
 api.events = {
   // the maximum number of operations assigned to an event
-  maxOperations: 10,
+  maxOperations: 100,
+  // 4 MiB maximum total size of the operations assigned to an event
+  maxBytes: 4 * 1024 * 1024
 };
 
 api.mergeEvents = {
@@ -4,7 +4,7 @@
 'use strict';
 
 const _blocks = require('./blocks');
-const _cache = require('./cache');
+const _operationQueue = require('./operationQueue');
 const _operations = require('./operations');
 const _localPeers = require('./localPeers');
 const _signature = require('./signature');
@@ -183,7 +183,7 @@ api.create = async ({ledgerNode, worker}) => {
   logger.verbose('Attempting to create an operation event.');
 
   const ledgerNodeId = ledgerNode.id;
-  const queue = new _cache.OperationQueue({ledgerNodeId});
+  const queue = _operationQueue.create({ledgerNodeId});
   if(!await queue.hasNextChunk()) {
     logger.debug('No new operations.');
     return {hasMore: false};
@@ -192,6 +192,11 @@ api.create = async ({ledgerNode, worker}) => {
   // get chunk of operations to put into the event
   // FIXME: `basisBlockHeight` should be determined by the worker
   const {basisBlockHeight, hasMore, operations} = await queue.getNextChunk();
+  if(operations.length === 0) {
+    // every operation in the chunk expired
+    await queue.popChunk();
+    return {hasMore};
+  }
 
   const {head} = worker;
   const baseEvent = {
@@ -505,6 +510,8 @@ async function _addContinuityIndexes({ledgerNode}) {
 
   // add indexes specific to Continuity
   const collection = ledgerNode.storage.events.collection.collectionName;
+  const operationCollection =
+    ledgerNode.storage.operations.collection.collectionName;
   await database.createIndexes([{
     // not for searches but to ensure that local node never forks
     collection,
@@ -517,6 +524,42 @@ async function _addContinuityIndexes({ledgerNode}) {
         'meta.continuity2017.creator': localPeerId
       }
     }
+  }, {
+    // for finding the merge event that merged a regular event when getting
+    // the status of a local operation
+    collection,
+    fields: {'event.parentHash': 1, 'meta.continuity2017.type': 1},
+    options: {
+      unique: false, background: false,
+      name: 'event.continuity2017.parentHash',
+      partialFilterExpression: {'meta.continuity2017.type': 'm'}
+    }
+  }, {
+    // covers finding the regular events of a creator in a block when
+    // publishing the status of local operations
+    collection,
+    fields: {
+      'meta.blockHeight': 1,
+      'meta.continuity2017.type': 1,
+      'meta.continuity2017.creator': 1,
+      'meta.eventHash': 1,
+      'meta.blockOrder': 1
+    },
+    options: {
+      unique: false, background: false,
+      name: 'event.continuity2017.blockHeight.regularEvent',
+      partialFilterExpression: {'meta.continuity2017.type': 'r'}
+    }
+  }, {
+    // covers getting the event of an operation by its hash
+    collection: operationCollection,
+    fields: {
+      'meta.operationHash': 1, 'meta.eventHash': 1, 'meta.eventOrder': 1
+    },
+    options: {
+      unique: false, background: false,
+      name: 'operation.continuity2017.operationHash'
+    }
   }]);
 }
 
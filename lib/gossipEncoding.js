@@ -0,0 +1,311 @@
+/*!
+ * Copyright (c) 2017-2021 Digital Bazaar, Inc. All rights reserved.
+ */
+'use strict';
+
+const bedrock = require('bedrock');
+const bs58 = require('bs58');
+const cborg = require('cborg');
+const {config, util: {BedrockError}} = bedrock;
+const {pipeline} = require('stream');
+const split2 = require('split2');
+const zlib = require('zlib');
+
+// load config defaults
+require('./config');
+
+// module API
+const api = {};
+module.exports = api;
+
+api.NDJSON_CONTENT_TYPE = 'application/x-ndjson';
+// a stream of CBOR items, each prefixed with its byte length as a 32-bit
+// unsigned big endian integer
+api.CBOR_CONTENT_TYPE = 'application/x-continuity-cbor-frames';
+
+// protocol specific CBOR tags
+const TAG_DICTIONARY = 19900;
+const TAG_MULTIHASH = 19901;
+
+// frequently repeated string values; entries MUST only ever be appended as
+// the index of each entry is sent on the wire
+const DICTIONARY = [
+  config.constants.WEB_LEDGER_CONTEXT_V1_URL,
+  'ContinuityMergeEvent',
+  'WebLedgerOperationEvent',
+  'WebLedgerConfigurationEvent',
+  'Ed25519Signature2018',
+  'assertionMethod',
+  'CreateWebLedgerRecord',
+  'UpdateWebLedgerRecord'
+];
+const DICTIONARY_INDEX = new Map(DICTIONARY.map((s, i) => [s, i]));
+
+// multibase base58btc prefix and sha2-256 multihash header
+const MULTIHASH_HEADER = Buffer.from([0x12, 0x20]);
+const MULTIHASH_REGEX = /^z[1-9A-HJ-NP-Za-km-z]{46}$/;
+
+// the maximum size of a single CBOR frame
+const MAX_FRAME_SIZE = 16 * 1024 * 1024;
+
+// messages read via `readMessages` => their encoded size in bytes
+const _messageSizes = new WeakMap();
+
+const TAGS = [];
+TAGS[TAG_DICTIONARY] = index => {
+  if(!(index in DICTIONARY)) {
+    throw new Error(`Unknown dictionary index "${index}".`);
+  }
+  return DICTIONARY[index];
+};
+TAGS[TAG_MULTIHASH] = digest =>
+  'z' + bs58.encode(Buffer.concat([MULTIHASH_HEADER, digest]));
+
+// a string value to be encoded as a tagged CBOR item
+class Tagged {
+  constructor(tag, value) {
+    this.tag = tag;
+    this.value = value;
+  }
+}
+
+const TYPE_ENCODERS = {
+  Object: obj => {
+    if(!(obj instanceof Tagged)) {
+      return null;
+    }
+    const type = typeof obj.value === 'number' ?
+      cborg.Type.uint : cborg.Type.bytes;
+    return [
+      new cborg.Token(cborg.Type.tag, obj.tag),
+      new cborg.Token(type, obj.value)
+    ];
+  }
+};
+
+/**
+ * Encodes a JSON value as CBOR. Well-known strings and sha2-256 multihashes
+ * are compacted; `decode` restores the exact same JSON value so that
+ * `_util.hasher` produces identical hashes.
+ *
+ * @param value the JSON value to encode.
+ *
+ * @return a Uint8Array with the encoded value.
+ */
+api.encode = value => cborg.encode(
+  _compact(value), {typeEncoders: TYPE_ENCODERS});
+
+/**
+ * Decodes a value encoded via `encode`.
+ *
+ * @param bytes the Uint8Array to decode.
+ *
+ * @return the decoded JSON value.
+ */
+api.decode = bytes => cborg.decode(bytes, {
+  tags: TAGS, allowUndefined: false, rejectDuplicateMapKeys: true
+});
+
+/**
+ * Creates a writer for a streaming gossip response. Each message is written
+ * as a line of JSON or as a CBOR frame based on `encoding`, and the response
+ * is compressed if compression is enabled and accepted by the client.
+ *
+ * @param req the request.
+ * @param res the response.
+ * @param [encoding='json'] the encoding requested by the client, either
+ *   `json` or `cbor`.
+ *
+ * @return an object with `write(message)`, which returns a Promise that
+ *   resolves once the message can be buffered (back-pressure), `flush()`,
+ *   `end()`, and `closed()`.
+ */
+api.createWriter = ({req, res, encoding = 'json'}) => {
+  const {gossip: {compression}} = config['ledger-consensus-continuity'];
+  const cbor = encoding === 'cbor';
+  res.set('Content-Type', cbor ? api.CBOR_CONTENT_TYPE :
+    api.NDJSON_CONTENT_TYPE);
+  res.vary('Accept-Encoding');
+
+  let out = res;
+  const contentEncoding = compression.enabled &&
+    req.acceptsEncodings(compression.encodings);
+  if(contentEncoding === 'br' || contentEncoding === 'gzip') {
+    res.set('Content-Encoding', contentEncoding);
+    out = contentEncoding === 'br' ?
+      zlib.createBrotliCompress({params: {
+        [zlib.constants.BROTLI_PARAM_QUALITY]: compression.brotliQuality
+      }}) :
+      zlib.createGzip({level: compression.gzipLevel});
+    pipeline(out, res, _pipelineComplete);
+  }
+
+  return {
+    async write(message) {
+      let data;
+      if(cbor) {
+        // cached gossip events are JSON strings
+        data = _frame(api.encode(
+          typeof message === 'string' ? JSON.parse(message) : message));
+      } else {
+        data = (typeof message === 'string' ?
+          message : JSON.stringify(message)) + '\n';
+      }
+      if(out.write(data) || res.destroyed) {
+        return;
+      }
+      await new Promise(resolve => {
+        const done = () => {
+          out.off('drain', done);
+          res.off('close', done);
+          resolve();
+        };
+        out.on('drain', done);
+        res.on('close', done);
+      });
+    },
+    flush() {
+      // send everything compressed so far so the client can process it
+      if(out !== res) {
+        out.flush();
+      }
+    },
+    end() {
+      out.end();
+    },
+    closed() {
+      return res.destroyed;
+    }
+  };
+};
+
+/**
+ * Gets the encoded size of a message read via `readMessages`, not including
+ * any compression.
+ *
+ * @param message the message.
+ *
+ * @return the size of the message in bytes or `0` if it is not known.
+ */
+api.getMessageSize = message => _messageSizes.get(message) || 0;
+
+/**
+ * Reads the messages in a gossip response created via `createWriter`.
+ * Decompression has already been performed by the HTTP client.
+ *
+ * @param response the HTTP response.
+ *
+ * @return an async iterator of messages.
+ */
+api.readMessages = async function* ({response}) {
+  const contentType = response.headers.get('content-type') || '';
+  if(contentType.startsWith(api.CBOR_CONTENT_TYPE)) {
+    yield* _readFrames({stream: response.body});
+    return;
+  }
+  const lines = pipeline(response.body, split2(), _pipelineComplete);
+  for await (const line of lines) {
+    let message;
+    try {
+      message = JSON.parse(line);
+    } catch(e) {
+      throw new BedrockError(
+        'Invalid JSON gossip message.', 'DataError', {}, e);
+    }
+    _setMessageSize({message, size: Buffer.byteLength(line, 'utf8')});
+    yield message;
+  }
+};
+
+function _compact(value) {
+  if(typeof value === 'string') {
+    const index = DICTIONARY_INDEX.get(value);
+    if(index !== undefined) {
+      return new Tagged(TAG_DICTIONARY, index);
+    }
+    const digest = _decodeMultihash(value);
+    return digest ? new Tagged(TAG_MULTIHASH, digest) : value;
+  }
+  if(Array.isArray(value)) {
+    return value.map(_compact);
+  }
+  if(value && typeof value === 'object') {
+    const compacted = {};
+    for(const key in value) {
+      // like JSON, omit `undefined` values
+      if(value[key] !== undefined) {
+        compacted[key] = _compact(value[key]);
+      }
+    }
+    return compacted;
+  }
+  return value;
+}
+
+function _decodeMultihash(value) {
+  if(!MULTIHASH_REGEX.test(value)) {
+    return null;
+  }
+  const bytes = bs58.decode(value.substr(1));
+  if(!(bytes.length === 34 && bytes[0] === MULTIHASH_HEADER[0] &&
+    bytes[1] === MULTIHASH_HEADER[1])) {
+    return null;
+  }
+  const digest = bytes.slice(2);
+  // only compact values that will be restored exactly
+  if(TAGS[TAG_MULTIHASH](digest) !== value) {
+    return null;
+  }
+  return digest;
+}
+
+function _frame(bytes) {
+  const frame = Buffer.allocUnsafe(4 + bytes.length);
+  frame.writeUInt32BE(bytes.length, 0);
+  frame.set(bytes, 4);
+  return frame;
+}
+
+async function* _readFrames({stream}) {
+  let buffer = Buffer.alloc(0);
+  for await (const chunk of stream) {
+    buffer = buffer.length === 0 ? chunk : Buffer.concat([buffer, chunk]);
+    while(buffer.length >= 4) {
+      const length = buffer.readUInt32BE(0);
+      if(length > MAX_FRAME_SIZE) {
+        throw new BedrockError(
+          'CBOR gossip message is too large.', 'DataError',
+          {length, maxLength: MAX_FRAME_SIZE});
+      }
+      if(buffer.length < 4 + length) {
+        break;
+      }
+      let message;
+      try {
+        message = api.decode(buffer.subarray(4, 4 + length));
+      } catch(e) {
+        throw new BedrockError(
+          'Invalid CBOR gossip message.', 'DataError', {}, e);
+      }
+      _setMessageSize({message, size: length});
+      yield message;
+      buffer = buffer.subarray(4 + length);
+    }
+  }
+  if(buffer.length > 0) {
+    // likely a dropped connection, not a protocol violation
+    throw new BedrockError(
+      'CBOR gossip stream ended with an incomplete message.', 'NetworkError');
+  }
+}
+
+function _setMessageSize({message, size}) {
+  // only objects can be tracked; other values are not valid messages
+  if(message !== null && typeof message === 'object') {
+    _messageSizes.set(message, size);
+  }
+}
+
+function _pipelineComplete(/* err */) {
+  // error is handled by the consumer of the stream, this is a no-op
+}
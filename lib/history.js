@@ -8,11 +8,15 @@ const _blocks = require('./blocks');
 const _cache = require('./cache');
 const _continuityConstants = require('./continuityConstants');
 const _witnesses = require('./witnesses');
+const BloomFilter = require('./BloomFilter');
 const bedrock = require('bedrock');
 
 const api = {};
 module.exports = api;
 
+// exposed for testing
+api._filterByPeerHeads = _filterByPeerHeads;
+
 bedrock.events.on('bedrock.init', () => {
   const {'ledger-consensus-continuity': {gossip}} = bedrock.config;
   const {mergeEvents: {maxParents}} = _continuityConstants;
@@ -27,7 +31,8 @@ bedrock.events.on('bedrock.init', () => {
 });
 
 // returns a partition of the DAG for a (remote) peer with the given
-// remoteInfo: {basisBlockHeight, localEventNumber, peerId, peerHeads}
+// remoteInfo: {basisBlockHeight, localEventNumber, peerId, peerHeads,
+//   peerHeadsFilter}
 api.partition = async ({ledgerNode, remoteInfo} = {}) => {
   const result = {
     blockHeight: 0,
@@ -116,6 +121,11 @@ api._getEventHistory = async function({
   // they cannot be used to filter event history and they are ignored
   const {knownHeads} = await api._getKnownPeerHeads(
     {ledgerNode, peerHeads: remoteInfo.peerHeads});
+  // the optional bloom filter over the remote peer's non-consensus merge
+  // events complements `peerHeads` when it has too many creators to send
+  // heads for
+  const filter = remoteInfo.peerHeadsFilter ?
+    BloomFilter.fromJSON(remoteInfo.peerHeadsFilter) : null;
 
   // fetch event summary info up to `maxEvents` where
   // `localEventNumber >= ` remote peer provided number, defaulting to 0
@@ -151,7 +161,7 @@ api._getEventHistory = async function({
   // filter by remote peer ID and any known peer heads from the remote peer
   const {peerId: remotePeerId} = remoteInfo;
   const filtered = _filterByPeerHeads(
-    {records, remotePeerId, peerHeads: knownHeads});
+    {records, remotePeerId, peerHeads: knownHeads, filter});
 
   // if there is an `overflowRecord`, update the limit to match the current
   // `filtered.length` and then append the `overflowRecord` so that when
@@ -496,7 +506,9 @@ async function _filterHashes(
   return filteredHashes;
 }
 
-function _filterByPeerHeads({records, remotePeerId, peerHeads} = {}) {
+function _filterByPeerHeads({
+  records, remotePeerId, peerHeads, filter = null
+} = {}) {
   // return early if there are no records to filter
   if(records.length === 0) {
     return [];
@@ -606,6 +618,12 @@ function _filterByPeerHeads({records, remotePeerId, peerHeads} = {}) {
       if(skip) {
         continue;
       }
+      // skip events the remote peer has according to its bloom filter; a
+      // false positive is not a protocol violation, the remote peer will
+      // send a different filter in its next request
+      if(filter && filter.has(eventHash)) {
+        continue;
+      }
 
       // include event in the partition of history, including any non-merge
       // events it descends from
@@ -30,24 +30,52 @@ api.storagePlugin = 'continuity-storage';
 api._blocks = require('./blocks');
 api._cache = require('./cache');
 api._client = require('./client');
+api._consensusPool = require('./consensusPool');
+api._consensusProof = require('./consensusProof');
 api._continuity = require('./continuity');
 api._events = require('./events');
+api._gossipEncoding = require('./gossipEncoding');
 api._hasher = brLedgerNode.consensus._hasher;
 api._history = require('./history');
 api._localPeers = require('./localPeers');
+api._metrics = require('./metrics');
+api._operationQueue = require('./operationQueue');
 api._peers = require('./peers');
 api._peerEvents = require('./peerEvents');
+api._reputationPolicy = require('./reputationPolicy');
 api._server = require('./server');
 api._witnesses = require('./witnesses');
+api._witnessSelection = require('./witnessSelection');
 api._worker = require('./worker/index.js');
 
 // expose external APIs
 api.config = require('./ledgerConfiguration');
+api.consensusProof = {
+  create: api._consensusProof.create,
+  verify: api._consensusProof.verify
+};
 api.getPeerId = api._localPeers.getPeerId;
 api.events = {add: api._events.add};
 api.operations = require('./operations');
 api.scheduleWork = api._worker.scheduleWork;
 
-// register this ledger plugin
-bedrock.events.on('bedrock.start', () =>
-  brLedgerNode.use('Continuity2017', {api, type: 'consensus'}));
+// register this ledger plugin, the built-in consensus engines, the built-in
+// witness selection methods, and the default reputation policy
+bedrock.events.on('bedrock.start', () => {
+  brLedgerNode.use('Continuity2017', {api, type: 'consensus'});
+  brLedgerNode.use('Continuity2017Engine', {
+    api: api._continuity,
+    type: 'continuityConsensusEngine'
+  });
+  brLedgerNode.use('Continuity2017PoolEngine', {
+    api: api._consensusPool,
+    type: 'continuityConsensusEngine'
+  });
+  for(const [name, methodApi] of api._witnessSelection) {
+    brLedgerNode.use(name, {api: methodApi, type: 'electorSelection'});
+  }
+  brLedgerNode.use('Continuity2017ReputationPolicy', {
+    api: api._reputationPolicy,
+    type: 'continuityReputationPolicy'
+  });
+});
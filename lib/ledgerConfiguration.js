@@ -4,22 +4,32 @@
 'use strict';
 
 const {config, util: {BedrockError}} = require('bedrock');
+const crypto = require('crypto');
 const {validate} = require('bedrock-validation');
+const _cache = require('./cache');
 const _events = require('./events');
 const _localPeers = require('./localPeers');
 const _util = require('./util');
+const logger = require('./logger');
 
 const api = {};
 module.exports = api;
 
 /**
- * Adds a new ledger configuration event.
+ * Changes the ledger configuration. A genesis configuration event is added
+ * immediately. Otherwise, the change is scheduled and its configuration
+ * event is added by the next work session; the returned handle can be passed
+ * to `getChange` to poll the status of the change.
  *
- * @param event the event to add.
+ * @param ledgerConfiguration the new ledger configuration.
  * @param ledgerNode the node that is tracking this event.
- * @param options the options to use.
+ * @param [genesis] true if this is the genesis configuration.
+ * @param [genesisBlock] the genesis block when joining an existing ledger.
+ * @param [worker] the worker for the current work session; if given, the
+ *   configuration event is added immediately instead of being scheduled.
  *
- * @return a Promise that resolves once the operation completes.
+ * @return a Promise that resolves to `{id, status}` for a scheduled change
+ *   and to `undefined` otherwise.
  */
 api.change = async ({
   basisBlockHeight, genesis, genesisBlock, ledgerConfiguration, ledgerNode,
@@ -31,16 +41,192 @@ api.change = async ({
   // a work session could cause database corruption and invalidation of the
   // peer on the network because a concurrently running work session assumes
   // it is the only process adding events
-  // FIXME: getting `worker` here is a hack to allow tests to pass, this
-  // function must be refactored to only schedule a config change and the
-  // tests must be refactored to account for that
   worker = worker || ledgerNode.worker;
   if(!genesis && !worker) {
+    return _schedule({ledgerConfiguration, ledgerNode});
+  }
+  await _add({
+    basisBlockHeight, genesis, genesisBlock, ledgerConfiguration, ledgerNode,
+    worker
+  });
+};
+
+/**
+ * Gets the status of a scheduled configuration change. The status is one of:
+ *
+ * `pending`: the configuration event has not been added yet.
+ * `added`: the configuration event (`eventHash`) has been added and is
+ *   waiting to reach consensus.
+ * `consensus`: the configuration event reached consensus in the block at
+ *   `blockHeight`.
+ * `failed`: the configuration was invalid when the work session tried to
+ *   add it, see `error`.
+ *
+ * @param id the ID of the change returned by `change`.
+ * @param ledgerNode the node the change was scheduled on.
+ *
+ * @return a Promise that resolves to the change.
+ */
+api.getChange = async ({id, ledgerNode}) => {
+  const change = await _cache.configurations.get(
+    {changeId: id, ledgerNodeId: ledgerNode.id});
+  if(!change) {
+    throw new BedrockError(
+      'Configuration change not found.', 'NotFoundError', {
+        id,
+        httpStatusCode: 404,
+        public: true,
+      });
+  }
+  return change;
+};
+
+/**
+ * Adds the configuration events for scheduled configuration changes. Changes
+ * are added one at a time in the order they were scheduled because each one
+ * must increment the `sequence` of the previous one. This must only be called
+ * from within a work session.
+ *
+ * @param ledgerNode the ledger node.
+ * @param worker the worker for the current work session.
+ *
+ * @return a Promise that resolves once the operation completes.
+ */
+api.addScheduledChanges = async ({ledgerNode, worker}) => {
+  const ledgerNodeId = ledgerNode.id;
+  let change;
+  while((change = await _cache.configurations.getNext({ledgerNodeId}))) {
+    if(change.status === 'added') {
+      // the next change cannot be added until this one reaches consensus
+      const {meta} = await ledgerNode.storage.events.get(change.eventHash);
+      if(!meta.consensus) {
+        return;
+      }
+      change.status = 'consensus';
+      change.blockHeight = meta.blockHeight;
+      await _cache.configurations.complete({ledgerNodeId, change});
+      continue;
+    }
+
+    const {ledgerConfiguration} = change;
+    try {
+      const {eventHash} = await _add({
+        basisBlockHeight: worker.consensusState.blockHeight,
+        ledgerConfiguration, ledgerNode, worker
+      });
+      change.status = 'added';
+      change.eventHash = eventHash;
+      await _cache.configurations.update({ledgerNodeId, change});
+    } catch(e) {
+      if(!['SyntaxError', 'ValidationError'].includes(e.name)) {
+        throw e;
+      }
+      logger.verbose(
+        'A scheduled configuration change is invalid.',
+        {ledgerNodeId, changeId: change.id, error: e});
+      change.status = 'failed';
+      change.error = {name: e.name, message: e.message};
+      await _cache.configurations.complete({ledgerNodeId, change});
+    }
+  }
+};
+
+/**
+ * Adds an approval of a ledger configuration proposal. A proposal is a
+ * `WebLedgerConfigurationEvent` that has not become effective. When the
+ * current ledger configuration requires `configurationApproval`, a proposal
+ * only becomes effective once it and approvals from the required number of
+ * witnesses have reached consensus. The local peer is the approval's creator
+ * and the approval is signed via the local peer's merge event that merges it.
+ *
+ * @param ledgerNode the node that is tracking this event.
+ * @param proposalHash the hash of the proposal's event.
+ * @param [basisBlockHeight] the block height to use as the approval's
+ *   `basisBlockHeight`, defaults to the worker's current block height.
+ * @param worker the worker for the current work session.
+ *
+ * @return a Promise that resolves once the operation completes.
+ */
+api.approve = async ({basisBlockHeight, ledgerNode, proposalHash, worker}) => {
+  // see `change` regarding the use of `worker`
+  worker = worker || ledgerNode.worker;
+  if(!worker) {
     throw new Error(
       '"worker" is required to add non-genesis events. Non-genesis events ' +
       'must not be added outside of a work session.');
   }
+  if(basisBlockHeight === undefined) {
+    ({blockHeight: basisBlockHeight} = worker.consensusState);
+  }
+
+  const [
+    {event: {ledgerConfiguration: {ledger, sequence: lastSequence}}},
+    {event: {ledgerConfiguration: proposal}, meta},
+    localPeerId
+  ] = await Promise.all([
+    ledgerNode.storage.events.getLatestConfig(),
+    ledgerNode.storage.events.get(proposalHash),
+    _localPeers.getPeerId({ledgerNodeId: ledgerNode.id})
+  ]);
+  const expectedSequence = lastSequence + 1;
+  if(!proposal || meta.effectiveConfiguration ||
+    proposal.ledger !== ledger || proposal.sequence !== expectedSequence) {
+    throw new BedrockError(
+      'The event is not a proposal for the next ledger configuration.',
+      'InvalidStateError', {
+        expectedSequence,
+        proposalHash,
+        httpStatusCode: 400,
+        public: true,
+      });
+  }
+
+  const {head} = worker;
+  const event = {
+    '@context': config.constants.WEB_LEDGER_CONTEXT_V1_URL,
+    type: 'WebLedgerConfigurationEvent',
+    basisBlockHeight,
+    ledgerConfigurationApproval: {
+      type: 'WebLedgerConfigurationApproval',
+      creator: localPeerId,
+      ledger,
+      proposalHash
+    },
+    parentHash: [head.eventHash],
+    treeHash: head.eventHash
+  };
+  const validateResult = validate(
+    'continuity.webLedgerConfigurationApprovalEvent', event);
+  if(!validateResult.valid) {
+    throw validateResult.error;
+  }
+  const eventHash = await _util.hasher(event);
+  await _events.add({event, eventHash, ledgerNode, worker});
+};
 
+async function _schedule({ledgerConfiguration, ledgerNode}) {
+  const ledgerNodeId = ledgerNode.id;
+  // `sequence` is checked when the change is added as other changes may
+  // be scheduled before it
+  const localPeerId = await _localPeers.getPeerId({ledgerNodeId});
+  const {event: {ledgerConfiguration: {ledger: expectedLedger}}} =
+    await ledgerNode.storage.events.getLatestConfig();
+  _validateLedger({expectedLedger, ledgerConfiguration});
+  _validateCreator({localPeerId, ledgerConfiguration});
+
+  const change = {
+    id: crypto.randomBytes(16).toString('hex'),
+    status: 'pending',
+    ledgerConfiguration
+  };
+  await _cache.configurations.add({ledgerNodeId, change});
+  return {id: change.id, status: change.status};
+}
+
+async function _add({
+  basisBlockHeight, genesis, genesisBlock, ledgerConfiguration, ledgerNode,
+  worker
+}) {
   let event;
   const ledgerNodeId = ledgerNode.id;
   if(genesisBlock) {
@@ -90,17 +276,8 @@ api.change = async ({
       sequence: lastSequence
     }}} = await ledgerNode.storage.events.getLatestConfig();
     const expectedSequence = lastSequence + 1;
-    const {creator, ledger, sequence} = ledgerConfiguration;
-    if(ledger !== expectedLedger) {
-      throw new BedrockError(
-        `Invalid configuration 'ledger' value.`, 'SyntaxError', {
-          expectedLedger,
-          ledger,
-          ledgerConfiguration,
-          httpStatusCode: 400,
-          public: true,
-        });
-    }
+    const {sequence} = ledgerConfiguration;
+    _validateLedger({expectedLedger, ledgerConfiguration});
     if(sequence !== expectedSequence) {
       throw new BedrockError(
         `Invalid configuration 'sequence' value.`, 'SyntaxError', {
@@ -111,18 +288,38 @@ api.change = async ({
           public: true,
         });
     }
-    if(creator !== localPeerId) {
-      throw new BedrockError(
-        `Invalid configuration 'creator' value.`, 'SyntaxError', {
-          creator,
-          expectedCreator: localPeerId,
-          ledgerConfiguration,
-          httpStatusCode: 400,
-          public: true,
-        });
-    }
+    _validateCreator({localPeerId, ledgerConfiguration});
   }
   const eventHash = await _util.hasher(event);
   await _events.add(
     {event, eventHash, genesis, genesisBlock, ledgerNode, worker});
-};
+  return {eventHash};
+}
+
+function _validateLedger({expectedLedger, ledgerConfiguration}) {
+  const {ledger} = ledgerConfiguration;
+  if(ledger !== expectedLedger) {
+    throw new BedrockError(
+      `Invalid configuration 'ledger' value.`, 'SyntaxError', {
+        expectedLedger,
+        ledger,
+        ledgerConfiguration,
+        httpStatusCode: 400,
+        public: true,
+      });
+  }
+}
+
+function _validateCreator({localPeerId, ledgerConfiguration}) {
+  const {creator} = ledgerConfiguration;
+  if(creator !== localPeerId) {
+    throw new BedrockError(
+      `Invalid configuration 'creator' value.`, 'SyntaxError', {
+        creator,
+        expectedCreator: localPeerId,
+        ledgerConfiguration,
+        httpStatusCode: 400,
+        public: true,
+      });
+  }
+}
@@ -0,0 +1,199 @@
+/*!
+ * Copyright (c) 2017-2021 Digital Bazaar, Inc. All rights reserved.
+ */
+'use strict';
+
+const promClient = require('prom-client');
+
+// module API
+const api = {};
+module.exports = api;
+
+// metrics use their own registry so they do not conflict with other modules
+// that use the `prom-client` default registry
+const registry = api.registry = new promClient.Registry();
+
+// durations are recorded in seconds, these buckets range from 5ms to 60s
+const DURATION_BUCKETS = [
+  0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60
+];
+// upper bounds used to report the distribution of peer reputations
+const REPUTATION_BUCKETS = [0, 10, 25, 50, 75, 90, 100];
+
+// ledgerNodeId => times (in ms) of the blocks written in the last minute
+const _blockTimes = new Map();
+// ledgerNodeId => (peerId => reputation)
+const _reputations = new Map();
+let _eventValidationJobs = 0;
+let _maxEventValidationJobs = 0;
+
+// `Timer` names => histograms for their durations
+const _durations = new Map([
+  ['findConsensus', new promClient.Histogram({
+    name: 'continuity_find_consensus_duration_seconds',
+    help: 'Time taken to run the consensus algorithm.',
+    labelNames: ['ledger_node_id'],
+    buckets: DURATION_BUCKETS,
+    registers: [registry]
+  })],
+  ['partition', new promClient.Histogram({
+    name: 'continuity_history_partition_duration_seconds',
+    help: 'Time taken to partition history for a gossip request.',
+    labelNames: ['ledger_node_id'],
+    buckets: DURATION_BUCKETS,
+    registers: [registry]
+  })]
+]);
+
+const gossipPulls = new promClient.Counter({
+  name: 'continuity_gossip_pulls_total',
+  help: 'Gossip pulls from each peer by result (success or failure).',
+  labelNames: ['ledger_node_id', 'peer_id', 'result'],
+  registers: [registry]
+});
+
+const blocks = new promClient.Counter({
+  name: 'continuity_blocks_total',
+  help: 'Blocks written.',
+  labelNames: ['ledger_node_id'],
+  registers: [registry]
+});
+
+new promClient.Gauge({
+  name: 'continuity_blocks_per_minute',
+  help: 'Blocks written in the last minute.',
+  labelNames: ['ledger_node_id'],
+  registers: [registry],
+  collect() {
+    const now = Date.now();
+    for(const [ledgerNodeId, times] of _blockTimes) {
+      _pruneBlockTimes({times, now});
+      this.set({ledger_node_id: ledgerNodeId}, times.length);
+    }
+  }
+});
+
+const operationQueueDepth = new promClient.Gauge({
+  name: 'continuity_operation_queue_depth',
+  help: 'Operations waiting to be added to a local regular event.',
+  labelNames: ['ledger_node_id'],
+  registers: [registry]
+});
+
+new promClient.Gauge({
+  name: 'continuity_event_validation_jobs_max',
+  help: 'Most concurrent event validation service jobs since the last ' +
+    'scrape.',
+  registers: [registry],
+  collect() {
+    this.set(_maxEventValidationJobs);
+    // start tracking the high-water mark for the next scrape
+    _maxEventValidationJobs = _eventValidationJobs;
+  }
+});
+
+new promClient.Gauge({
+  name: 'continuity_peer_reputation',
+  help: 'Peers with a reputation less than or equal to `max_reputation`.',
+  labelNames: ['ledger_node_id', 'max_reputation'],
+  registers: [registry],
+  collect() {
+    this.reset();
+    for(const [ledgerNodeId, reputations] of _reputations) {
+      const values = [...reputations.values()];
+      for(const bound of REPUTATION_BUCKETS) {
+        this.set({
+          ledger_node_id: ledgerNodeId, max_reputation: String(bound)
+        }, values.filter(r => r <= bound).length);
+      }
+      this.set(
+        {ledger_node_id: ledgerNodeId, max_reputation: '+Inf'}, values.length);
+    }
+  }
+});
+
+/**
+ * Records the duration measured by a `Timer`; durations for timers without
+ * a histogram are ignored.
+ *
+ * @param name {string} - The name of the timer.
+ * @param ledgerNodeId {string} - The ID of the ledger node.
+ * @param duration {Number} - The duration in ms.
+ */
+api.observeDuration = ({name, ledgerNodeId, duration}) => {
+  const histogram = _durations.get(name);
+  if(histogram) {
+    histogram.observe({ledger_node_id: ledgerNodeId}, duration / 1000);
+  }
+};
+
+api.recordGossipPull = ({ledgerNodeId, peerId, success}) => {
+  gossipPulls.inc({
+    ledger_node_id: ledgerNodeId, peer_id: peerId,
+    result: success ? 'success' : 'failure'
+  });
+};
+
+api.recordBlock = ({ledgerNodeId}) => {
+  blocks.inc({ledger_node_id: ledgerNodeId});
+  let times = _blockTimes.get(ledgerNodeId);
+  if(!times) {
+    _blockTimes.set(ledgerNodeId, times = []);
+  }
+  const now = Date.now();
+  times.push(now);
+  _pruneBlockTimes({times, now});
+};
+
+api.setOperationQueueDepth = ({ledgerNodeId, depth}) => {
+  operationQueueDepth.set({ledger_node_id: ledgerNodeId}, depth);
+};
+
+api.startEventValidation = () => {
+  _eventValidationJobs++;
+  _maxEventValidationJobs = Math.max(
+    _maxEventValidationJobs, _eventValidationJobs);
+};
+
+api.endEventValidation = () => {
+  _eventValidationJobs--;
+};
+
+api.setPeerReputation = ({ledgerNodeId, peerId, reputation}) => {
+  let reputations = _reputations.get(ledgerNodeId);
+  if(!reputations) {
+    _reputations.set(ledgerNodeId, reputations = new Map());
+  }
+  reputations.set(peerId, reputation);
+};
+
+// removes all metrics for a peer that has been deleted
+api.deletePeer = ({ledgerNodeId, peerId}) => {
+  const reputations = _reputations.get(ledgerNodeId);
+  if(reputations) {
+    reputations.delete(peerId);
+  }
+  for(const result of ['success', 'failure']) {
+    gossipPulls.remove(
+      {ledger_node_id: ledgerNodeId, peer_id: peerId, result});
+  }
+};
+
+/**
+ * Gets all metrics in the Prometheus text exposition format.
+ *
+ * @return a Promise that resolves to `{contentType, metrics}`.
+ */
+api.get = async () => ({
+  contentType: registry.contentType,
+  metrics: await registry.metrics()
+});
+
+function _pruneBlockTimes({times, now}) {
+  const cutoff = now - 60 * 1000;
+  let count = 0;
+  while(count < times.length && times[count] <= cutoff) {
+    count++;
+  }
+  times.splice(0, count);
+}
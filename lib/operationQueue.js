@@ -0,0 +1,178 @@
+/*!
+ * Copyright (c) 2017-2021 Digital Bazaar, Inc. All rights reserved.
+ */
+'use strict';
+
+const _cache = require('./cache');
+const _metrics = require('./metrics');
+const bedrock = require('bedrock');
+const {config} = bedrock;
+const database = require('bedrock-mongodb');
+const MongoOperationQueue = require('./MongoOperationQueue');
+
+require('./config');
+
+// module API
+const api = {};
+module.exports = api;
+
+const COLLECTION = MongoOperationQueue.collectionName;
+
+bedrock.events.on('bedrock-mongodb.ready', async () => {
+  await database.openCollections([COLLECTION]);
+  await database.createIndexes([{
+    collection: COLLECTION,
+    fields: {ledgerNodeId: 1, 'meta.operationHash': 1},
+    options: {unique: true, background: false}
+  }, {
+    collection: COLLECTION,
+    fields: {ledgerNodeId: 1, selected: 1},
+    options: {unique: false, background: false}
+  }, {
+    collection: COLLECTION,
+    fields: {ledgerNodeId: 1, lane: 1, _id: 1},
+    options: {unique: false, background: false}
+  }, {
+    collection: COLLECTION,
+    fields: {ledgerNodeId: 1, 'meta.submitter': 1},
+    options: {unique: false, background: false}
+  }]);
+});
+
+/* Pending local operations are kept in the queue backend selected via
+`operations.queue.backend`: either `redis` (the default) or `mongodb`. The
+`mongodb` backend is durable; operations it has accepted survive the loss of
+Redis. Changing the backend does not move operations that are already queued
+in the other backend. */
+
+/**
+ * Creates a queue for getting chunks of operations to put into local regular
+ * events.
+ *
+ * @param ledgerNodeId {string} - The ID of the ledger node.
+ *
+ * @returns {OperationQueue|MongoOperationQueue} The queue.
+ */
+api.create = ({ledgerNodeId}) => {
+  if(_useMongo()) {
+    return new MongoOperationQueue({ledgerNodeId});
+  }
+  return new _cache.OperationQueue({ledgerNodeId});
+};
+
+/**
+ * Adds an operation to the queue.
+ *
+ * @param operation {Object} - The operation data.
+ * @param meta {Object} - The operation meta data.
+ * @param ledgerNodeId {string} - The ID of the ledger node.
+ *
+ * @returns {Promise} resolves to `null` if a duplicate operation was added
+ *   concurrently.
+ */
+api.add = async ({ledgerNodeId, operation, meta}) => {
+  if(!_useMongo()) {
+    return _cache.operations.add({ledgerNodeId, operation, meta});
+  }
+
+  const collection = database.collections[COLLECTION];
+  const {priority, submitter} = meta;
+  // count the queued operations, the submitters, and the submitter's queued
+  // operations in a single query
+  const [counts = {}] = await collection.aggregate([
+    {$match: {ledgerNodeId}},
+    {$group: {_id: '$meta.submitter', count: {$sum: 1}}},
+    {$group: {
+      _id: null,
+      queueSize: {$sum: '$count'},
+      submitterCount: {$sum: 1},
+      submitterQueueSize: {
+        $sum: {$cond: [{$eq: ['$_id', submitter]}, '$count', 0]}
+      }
+    }}
+  ]).toArray();
+  const {queueSize = 0, submitterCount = 0, submitterQueueSize = 0} = counts;
+  _cache.operations.checkAdmission({
+    queueSize,
+    submitter,
+    submitterQueueSize,
+    // include the submitter if it has no queued operations
+    submitterCount: submitterCount + (submitterQueueSize === 0 ? 1 : 0)
+  });
+  // lanes are stored by their index so they sort in priority order
+  const lane = config['ledger-consensus-continuity'].operations.lanes
+    .indexOf(priority);
+  try {
+    await collection.insertOne(
+      {ledgerNodeId, lane, selected: false, meta, operation});
+  } catch(e) {
+    if(!database.isDuplicateError(e)) {
+      throw e;
+    }
+    return null;
+  }
+  _metrics.setOperationQueueDepth({ledgerNodeId, depth: queueSize + 1});
+  const {operationHash, recordId} = meta;
+  await _cache.operations.addExternal({ledgerNodeId, operationHash, recordId});
+  return true;
+};
+
+/**
+ * Check for the existence of an operation in the queue.
+ *
+ * @param ledgerNodeId {string} - The ID of the ledger node.
+ * @param operationHash {string} - The hash of the operation.
+ *
+ * @returns {Promise<Boolean>} True if the operation exists, otherwise false.
+ */
+api.exists = async ({ledgerNodeId, operationHash}) => {
+  if(!_useMongo()) {
+    return _cache.operations.exists({ledgerNodeId, operationHash});
+  }
+  return _mongoExists({ledgerNodeId, operationHash});
+};
+
+/**
+ * Check if an operation is in the queue without affecting a concurrent
+ * `add`.
+ *
+ * @param ledgerNodeId {string} - The ID of the ledger node.
+ * @param operationHash {string} - The hash of the operation.
+ *
+ * @returns {Promise<Boolean>} True if the operation is queued, otherwise false.
+ */
+api.isQueued = async ({ledgerNodeId, operationHash}) => {
+  if(!_useMongo()) {
+    return _cache.operations.isQueued({ledgerNodeId, operationHash});
+  }
+  return _mongoExists({ledgerNodeId, operationHash});
+};
+
+/**
+ * Check if the operation queue is empty or not.
+ *
+ * @param ledgerNodeId {string} - The ID of the ledger node.
+ *
+ * @returns {Promise<Boolean>} True if the operation queue is empty, false if
+ *   not.
+ */
+api.isEmpty = async ({ledgerNodeId}) => {
+  if(!_useMongo()) {
+    return _cache.operations.isEmpty({ledgerNodeId});
+  }
+  const count = await database.collections[COLLECTION].countDocuments(
+    {ledgerNodeId}, {limit: 1});
+  return count === 0;
+};
+
+async function _mongoExists({ledgerNodeId, operationHash}) {
+  const record = await database.collections[COLLECTION].findOne(
+    {ledgerNodeId, 'meta.operationHash': operationHash},
+    {projection: {_id: 0, ledgerNodeId: 1}});
+  return !!record;
+}
+
+function _useMongo() {
+  return config['ledger-consensus-continuity'].operations.queue.backend ===
+    'mongodb';
+}
@@ -4,9 +4,11 @@
 'use strict';
 
 const _cache = require('./cache');
+const _continuityConstants = require('./continuityConstants');
 const _localPeers = require('./localPeers');
+const _operationQueue = require('./operationQueue');
 const _util = require('./util');
-const {util: {clone, BedrockError}} = require('bedrock');
+const {config, util: {clone, BedrockError}} = require('bedrock');
 const {getSchema, validateInstance} = require('bedrock-validation');
 
 const api = {};
@@ -17,7 +19,14 @@ module.exports = api;
  * where they are validated using the `operationValidator` defined in the
  * ledger configuration.
  *
+ * Operations are queued in the lane given by `meta.priority` (one of
+ * `operations.lanes`, the default is `operations.defaultLane`) and the queued
+ * operations of each `meta.submitter` are counted so that a submitter that
+ * queues more than its fair share of operations is rejected first.
+ *
  * @param operation the operation to add.
+ * @param [meta] the operation meta data, optionally with `priority` and
+ *   `submitter`.
  * @param ledgerNode the node that is tracking this operation.
  *
  * @return a Promise that resolves once the operation completes.
@@ -31,13 +40,51 @@ api.add = async ({meta, operation, ledgerNode}) => {
   if(!validationResult.valid) {
     throw validationResult.error;
   }
+  const {defaultLane, lanes} = config['ledger-consensus-continuity'].operations;
+  const {priority = defaultLane, submitter = ''} = meta;
+  if(!lanes.includes(priority)) {
+    throw new BedrockError(
+      'Invalid operation priority.',
+      'DataError', {
+        httpStatusCode: 400,
+        lanes,
+        priority,
+        public: true
+      });
+  }
+  if(typeof submitter !== 'string') {
+    throw new BedrockError(
+      'Operation submitter must be a string.',
+      'DataError', {
+        httpStatusCode: 400,
+        public: true
+      });
+  }
+  meta.priority = priority;
+  meta.submitter = submitter;
   meta.recordId = _util.generateRecordId({ledgerNode, operation});
-  const operationHash = await _util.hasher(operation);
+  const {hash: operationHash, canonizedBytes} =
+    await _util.rdfCanonizeAndHash(operation);
+  const {operations: {maxBytes}} = _continuityConstants;
+  if(canonizedBytes > maxBytes) {
+    throw new BedrockError(
+      'The operation exceeds the byte size limit.',
+      'DataError', {
+        canonizedBytes,
+        httpStatusCode: 400,
+        maxBytes,
+        public: true,
+      });
+  }
   meta.operationHash = operationHash;
+  // used to pack operations into local regular events
+  meta.operationBytes = canonizedBytes;
+  // used to expire operations that wait too long to get into an event
+  meta.created = Date.now();
   // determine if the operation is already in queue to be added to an event
   // a redis watch will be put on the opHashKey which will be used to detect a
   // duplicate arriving while the database is checked
-  let exists = await _cache.operations.exists({ledgerNodeId, operationHash});
+  let exists = await _operationQueue.exists({ledgerNodeId, operationHash});
   if(exists) {
     throw new BedrockError(
       'The operation already exists.',
@@ -64,7 +111,7 @@ api.add = async ({meta, operation, ledgerNode}) => {
         public: true
       });
   }
-  const result = await _cache.operations.add({meta, operation, ledgerNodeId});
+  const result = await _operationQueue.add({meta, operation, ledgerNodeId});
   // null is returned if the `add` transaction was aborted due to the redis
   // watch which indicates that another worker adds the opHashKey to the cache
   // while this worker was checking the database for duplicates above
@@ -83,6 +130,146 @@ api.add = async ({meta, operation, ledgerNode}) => {
   return {operation, meta};
 };
 
+/**
+ * Gets the status of an operation by its hash or by the ID of the record it
+ * creates or updates. When given a record ID, the status of the most recent
+ * local operation for the record is returned. The status is one of:
+ *
+ * `queued`: the operation is waiting to be added to a local regular event.
+ * `in-event`: the operation is in the regular event `eventHash` that has not
+ *   been merged yet.
+ * `merged`: the operation's event has been merged but has not reached
+ *   consensus.
+ * `consensus`: the operation's event reached consensus; `blockHeight`,
+ *   `blockOrder` (of the event), and `eventOrder` (of the operation in the
+ *   event) are included.
+ * `expired`: the local operation was dropped before it was added to an
+ *   event; if the expiry was recorded, `expired` (the time it was dropped)
+ *   and `reason` (`timeout` if it waited longer than
+ *   `operations.expiry.ttl`, `lost` if it was lost by the cache) are
+ *   included.
+ *
+ * @param ledgerNode the node that is tracking the operation.
+ * @param [operationHash] the hash of the operation.
+ * @param [recordId] the ID of the record.
+ *
+ * @return a Promise that resolves to `{operationHash, status, ...}`.
+ */
+api.getStatus = async ({ledgerNode, operationHash, recordId}) => {
+  const ledgerNodeId = ledgerNode.id;
+  if(recordId !== undefined) {
+    operationHash = await _cache.operations.getOperationHashForRecord(
+      {ledgerNodeId, recordId: ledgerNode.storage.driver.hash(recordId)});
+    if(!operationHash) {
+      throw new BedrockError(
+        'No local operation found for the record.',
+        'NotFoundError', {
+          httpStatusCode: 404,
+          ledgerNodeId,
+          public: true,
+          recordId
+        });
+    }
+  }
+
+  // the cache must be checked before storage as operations are written to
+  // storage before they are removed from the cache
+  if(await _operationQueue.isQueued({ledgerNodeId, operationHash})) {
+    return {operationHash, status: 'queued'};
+  }
+
+  // covered by the `operation.continuity2017.operationHash` index
+  const record = await ledgerNode.storage.operations.collection.findOne(
+    {'meta.operationHash': operationHash},
+    {projection: {_id: 0, 'meta.eventHash': 1, 'meta.eventOrder': 1}});
+  if(!record) {
+    const [expiry, receipt] = await Promise.all([
+      _cache.operations.getExpiry({ledgerNodeId, operationHash}),
+      _cache.operations.getReceipt({ledgerNodeId, operationHash})
+    ]);
+    if(expiry) {
+      return {operationHash, status: 'expired', ...expiry};
+    }
+    if(receipt) {
+      return {operationHash, status: 'expired'};
+    }
+    throw new BedrockError(
+      'Operation not found.',
+      'NotFoundError', {
+        httpStatusCode: 404,
+        ledgerNodeId,
+        operationHash,
+        public: true
+      });
+  }
+
+  const {meta: {eventHash, eventOrder}} = record;
+  const {meta} = await ledgerNode.storage.events.get(eventHash);
+  if(meta.consensus) {
+    const {blockHeight, blockOrder} = meta;
+    return {
+      operationHash, status: 'consensus', eventHash, eventOrder, blockHeight,
+      blockOrder
+    };
+  }
+  // uses the `event.continuity2017.parentHash` index; `event.parentHash` is
+  // an array so this query cannot be covered
+  const merged = !!(await ledgerNode.storage.events.collection.findOne({
+    'event.parentHash': eventHash,
+    'meta.continuity2017.type': 'm'
+  }, {projection: {_id: 0, 'meta.eventHash': 1}}));
+  return {
+    operationHash, status: merged ? 'merged' : 'in-event', eventHash,
+    eventOrder
+  };
+};
+
+/**
+ * Publishes the status of the local operations that reached consensus in the
+ * block at `blockHeight` when `operations.receipts.publish` is set.
+ *
+ * @param ledgerNode the ledger node.
+ * @param blockHeight the height of the block that was just written.
+ * @param localPeerId the ID of the local peer.
+ *
+ * @return {Promise} resolves once the operation completes.
+ */
+api.publishConsensus = async ({ledgerNode, blockHeight, localPeerId}) => {
+  const {receipts} = config['ledger-consensus-continuity'].operations;
+  if(!receipts.publish) {
+    return;
+  }
+  // covered by the `event.continuity2017.blockHeight.regularEvent` index
+  const events = await ledgerNode.storage.events.collection.find({
+    'meta.blockHeight': blockHeight,
+    'meta.continuity2017.type': 'r',
+    'meta.continuity2017.creator': localPeerId
+  }, {
+    projection: {_id: 0, 'meta.eventHash': 1, 'meta.blockOrder': 1}
+  }).toArray();
+  if(events.length === 0) {
+    return;
+  }
+  const blockOrders = new Map(
+    events.map(({meta: {eventHash, blockOrder}}) => [eventHash, blockOrder]));
+  // covered by the `operation.eventHash.core.1` index
+  const records = await ledgerNode.storage.operations.collection.find({
+    'meta.eventHash': {$in: [...blockOrders.keys()]}
+  }, {
+    projection: {
+      _id: 0, 'meta.eventHash': 1, 'meta.eventOrder': 1,
+      'meta.operationHash': 1
+    }
+  }).toArray();
+  const statuses = records.map(
+    ({meta: {eventHash, eventOrder, operationHash}}) => ({
+      operationHash, status: 'consensus', eventHash, eventOrder, blockHeight,
+      blockOrder: blockOrders.get(eventHash)
+    }));
+  await _cache.operations.publishConsensus(
+    {ledgerNodeId: ledgerNode.id, statuses});
+};
+
 /**
  * Writes operations to storage.
  *
@@ -103,6 +290,11 @@ api.write = async ({operations, eventHash, ledgerNode}) => {
     // basisBlockHeight is recorded on the event
     // FIXME: investigate what is going on with `basisBlockHeight` here
     delete meta.basisBlockHeight;
+    // queueing details are not stored with the operation
+    delete meta.created;
+    delete meta.operationBytes;
+    delete meta.priority;
+    delete meta.submitter;
     records.push({meta, operation, recordId});
   }
   return ledgerNode.storage.operations.addMany({operations: records});
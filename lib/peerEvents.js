@@ -19,12 +19,14 @@ const logger = require('./logger');
 const api = {};
 module.exports = api;
 
-api.addBatch = async ({worker, events, neededHashes, remotePeerId}) => {
+api.addBatch = async ({
+  worker, events, eventBytes = 0, neededHashes, remotePeerId
+}) => {
   let mergeEventsReceived = 0;
   const {valid, error, eventMap, withheld, fatal} = await _validateEvents(
     {worker, events, neededHashes, remotePeerId});
   if(!valid) {
-    return {valid, error, mergeEventsReceived, withheld, fatal};
+    return {valid, error, mergeEventsReceived, eventBytes: 0, withheld, fatal};
   }
 
   for(const {event, meta} of eventMap.values()) {
@@ -47,7 +49,7 @@ api.addBatch = async ({worker, events, neededHashes, remotePeerId}) => {
     mergeEventsReceived++;
   }
 
-  return {valid: true, mergeEventsReceived, withheld};
+  return {valid: true, mergeEventsReceived, eventBytes, withheld};
 };
 
 api.createPeerEventRecord = async function({event, ledgerNode}) {
@@ -315,6 +317,12 @@ async function _validateEvent({event, ledgerNodeId, session}) {
       args: [ledgerNode, basisBlockHeight]
     });
   } else if(meta.continuity2017.type === 'c') {
+    if(event.ledgerConfigurationApproval) {
+      // approvals are not configurations; an approval's `ledger` and
+      // `creator` are checked against its merge event when validating the
+      // DAG and it only counts toward a proposal once it reaches consensus
+      return {event: processedEvent, meta};
+    }
     const result = await ledgerNode.config.validate({
       basisBlockHeight, ledgerConfiguration: event.ledgerConfiguration,
       ledgerNode
@@ -339,10 +347,23 @@ async function _createPeerConfigurationEventRecord({event}) {
     },
     eventHash
   };
+  // a configuration event is either a configuration (proposal) or an
+  // approval of a proposal, never both
+  const {ledgerConfiguration, ledgerConfigurationApproval} = event;
+  if(!ledgerConfiguration === !ledgerConfigurationApproval) {
+    throw new BedrockError(
+      'Configuration events must include exactly one of ' +
+      '"ledgerConfiguration" or "ledgerConfigurationApproval".',
+      'DataError', {
+        eventHash,
+        httpStatusCode: 400,
+        public: true,
+      });
+  }
   // event not validated yet, try to add `creator` to meta
-  const {ledgerConfiguration} = event;
-  if(ledgerConfiguration) {
-    meta.continuity2017.creator = ledgerConfiguration.creator;
+  const {creator} = ledgerConfiguration || ledgerConfigurationApproval;
+  if(creator) {
+    meta.continuity2017.creator = creator;
   }
   return {event, meta};
 }
@@ -446,7 +467,25 @@ async function _hashOperations({ledgerNode, operations}) {
     tasks: operations, fn: _hashOperation, concurrency: 25, chunkSize: 25
   });
 
+  // the total size of the operations in an event is also limited
+  let eventBytes = 0;
+  for(const {canonizedBytes} of hashedOperations) {
+    eventBytes += canonizedBytes;
+  }
+  const {events: {maxBytes}} = _continuityConstants;
+  if(eventBytes > maxBytes) {
+    throw new BedrockError(
+      'The event exceeds the byte size limit.',
+      'DataError', {
+        eventBytes,
+        httpStatusCode: 400,
+        maxBytes,
+        public: true,
+      });
+  }
+
   for(const operation of hashedOperations) {
+    delete operation.canonizedBytes;
     // the `recordId` property is indexed in the storage layer
     const recordId = _util.generateRecordId({
       ledgerNode, operation: operation.operation
@@ -472,9 +511,9 @@ async function _hashOperation(operation) {
         public: true,
       });
   }
-  // `recordId` must be added a later point
+  // `recordId` must be added a later point and `canonizedBytes` removed
   const meta = {operationHash, eventHash: '', eventOrder: 0};
-  return {meta, operation, recordId: ''};
+  return {canonizedBytes, meta, operation, recordId: ''};
 }
 
 // iterate over the eventMap in to validate graph integrity and topological
@@ -606,8 +645,10 @@ async function _validateGraph({worker, eventMap, remotePeerId}) {
         throw new BedrockError(
           'Parent event is missing.',
           'DataError', {
+            parentHash,
             parentRecord,
             eventRecord,
+            missingParent: true,
             httpStatusCode: 400,
             public: true
           });
@@ -863,8 +904,11 @@ async function _validateParentNonMergeEvent({
     const {ledgerNode} = worker;
     const {event: {ledgerConfiguration: {ledger: expectedLedger}}} =
       await ledgerNode.storage.events.getLatestConfig();
+    // the parent is either a configuration proposal or an approval
+    const {ledgerConfiguration, ledgerConfigurationApproval} =
+      parentRecord.event;
     const {creator: configurationCreator, ledger} =
-      parentRecord.event.ledgerConfiguration;
+      ledgerConfiguration || ledgerConfigurationApproval;
     if(ledger !== expectedLedger) {
       throw new BedrockError(
         'Merge events must not descend from configuration events that ' +
@@ -4,8 +4,10 @@
 'use strict';
 
 const bedrock = require('bedrock');
-const {config} = bedrock;
+const {config, util: {BedrockError}} = bedrock;
 const {default: {LruMemoize}} = require('@digitalbazaar/lru-memoize');
+const pLimit = require('p-limit');
+const {URL} = require('url');
 
 require('./config');
 
@@ -17,6 +19,17 @@ let MAX_ADD_NEW_PEER_JOBS;
 // whether notifications should be stored
 let PEER_CACHE;
 
+// cache for the peer access policy of each ledger node
+let ACCESS_POLICY_CACHE;
+
+// per ledger node limiters that serialize checking for an onboarding slot
+// and adding a peer to it
+const ONBOARDING_LIMITERS = new Map();
+
+// IDs of ledger nodes that have had their bootstrap peers added in this
+// process
+const BOOTSTRAPPED = new Set();
+
 // module API
 const api = {};
 module.exports = api;
@@ -28,6 +41,13 @@ bedrock.events.on('bedrock.init', () => {
   MAX_ADD_NEW_PEER_JOBS = notification.addNewPeerConcurrency;
 
   PEER_CACHE = new LruMemoize(peerCache);
+  ACCESS_POLICY_CACHE = new LruMemoize(peerCache);
+
+  // fail on startup if the defaults or any ledger node overrides are invalid
+  api.getLimits();
+  for(const ledgerNodeId of Object.keys(cfg.peers.ledgerNodes || {})) {
+    api.getLimits({ledgerNodeId});
+  }
 });
 
 // updates/adds a remote peer that has sent a notification so it can be pulled
@@ -38,7 +58,7 @@ api.addNotifier = async ({ledgerNode, remotePeer, localPeerId} = {}) => {
 
   // rely on current cached value for the peer to determine whether or not
   // the peer should be updated based on the given notification
-  const {records, recordMap} = await api.getCached({ledgerNode});
+  const {recordMap} = await api.getCached({ledgerNode});
   const cachedRecord = recordMap.get(id);
 
   // only try to add peer if it is not in the cache; if it has been deleted
@@ -46,13 +66,8 @@ api.addNotifier = async ({ledgerNode, remotePeer, localPeerId} = {}) => {
   // eventually get added once the cache is updated
   if(!cachedRecord) {
     try {
-      const record = await api.optionallyAdd(
+      await api.optionallyAdd(
         {ledgerNode, remotePeer, localPeerId, notifier: true});
-      if(record) {
-        // update cache
-        records.push(record);
-        recordMap.set(record.peer.id, record);
-      }
     } catch(e) {
       if(e.name !== 'DuplicateError') {
         throw e;
@@ -117,6 +132,13 @@ api.delete = async ({ledgerNode, id} = {}) => {
   PEER_CACHE.cache.del(ledgerNode.id);
 };
 
+// get all peers, including those that are backed off; the result is not
+// cached
+api.getAll = async ({ledgerNode}) => {
+  const {records} = await _getPeers({ledgerNode, includeBackedOff: true});
+  return records;
+};
+
 // get all cached peers
 api.getCached = async ({ledgerNode}) => {
   const {id: ledgerNodeId} = ledgerNode;
@@ -126,20 +148,205 @@ api.getCached = async ({ledgerNode}) => {
   });
 };
 
+/**
+ * Adds the configured bootstrap peers (`peers.bootstrap`) to a ledger node's
+ * peers collection. This is done once per ledger node per process, before its
+ * first work session; bootstrap peers that are already in the peers
+ * collection are left unchanged. Bootstrap peers do not use onboarding slots.
+ *
+ * @param {object} options - Options to use.
+ * @param {object} options.ledgerNode - A ledgerNode.
+ * @param {string} options.localPeerId - The local peer Id.
+ *
+ * @returns {Promise} - Resolves once the bootstrap peers have been added.
+ */
+api.addBootstrapPeers = async ({ledgerNode, localPeerId} = {}) => {
+  const {id: ledgerNodeId} = ledgerNode;
+  if(BOOTSTRAPPED.has(ledgerNodeId)) {
+    return;
+  }
+  const {bootstrap} = api.getLimits({ledgerNodeId});
+  const policy = await api.getAccessPolicy({ledgerNode});
+  for(const {id, url} of bootstrap) {
+    // the local peer is never added to its own peers collection and peers
+    // that are not allowed are never added
+    if(id === localPeerId || !_isAllowed({policy, peerId: id})) {
+      continue;
+    }
+    const commitmentRequired = await _isPeerCommitmentRequired(
+      {ledgerNode, peerId: id, localPeerId});
+    const peer = {id, url, commitmentRequired, status: {}};
+    try {
+      await ledgerNode.peers.add({peer});
+    } catch(e) {
+      if(e.name !== 'DuplicateError') {
+        throw e;
+      }
+    }
+  }
+  BOOTSTRAPPED.add(ledgerNodeId);
+  // update cache
+  PEER_CACHE.cache.del(ledgerNodeId);
+};
+
+/**
+ * Checks whether a peer is pinned for a ledger node. Pinned peers are
+ * bootstrap peers with `pinned: true`; they are never deleted from the peers
+ * collection, only backed off.
+ *
+ * @param {object} options - Options to use.
+ * @param {string} options.ledgerNodeId - The ID of the ledger node.
+ * @param {string} options.peerId - The ID of the peer.
+ *
+ * @returns {boolean} - True if the peer is pinned, false if not.
+ */
+api.isPinned = ({ledgerNodeId, peerId} = {}) => {
+  const {bootstrap} = api.getLimits({ledgerNodeId});
+  return bootstrap.some(({id, pinned}) => id === peerId && pinned === true);
+};
+
+/**
+ * Gets the peer access policy for a ledger node. The policy combines
+ * `peers.access` (see `getLimits`) with the optional `peerAccess` of the
+ * latest ledger configuration: a peer is denied if either denies it and, if
+ * either is `permissioned`, a peer must be allowed by at least one of them.
+ * Entries are peer IDs or the `did:key` DIDs that control them.
+ *
+ * @param {object} options - Options to use.
+ * @param {object} options.ledgerNode - A ledgerNode.
+ *
+ * @returns {Promise<object>} - The `permissioned` flag and the `allow` and
+ *   `deny` sets.
+ */
+api.getAccessPolicy = async ({ledgerNode} = {}) => {
+  const {id: ledgerNodeId} = ledgerNode;
+  return ACCESS_POLICY_CACHE.memoize({
+    key: ledgerNodeId,
+    fn: async () => _getAccessPolicy({ledgerNode})
+  });
+};
+
+/**
+ * Checks whether a peer is allowed to gossip with, notify, or be added to the
+ * peers collection of a ledger node.
+ *
+ * @param {object} options - Options to use.
+ * @param {object} options.ledgerNode - A ledgerNode.
+ * @param {string} options.peerId - The ID of the peer.
+ *
+ * @returns {Promise<boolean>} - True if the peer is allowed, false if not.
+ */
+api.isAllowed = async ({ledgerNode, peerId} = {}) => {
+  const policy = await api.getAccessPolicy({ledgerNode});
+  return _isAllowed({policy, peerId});
+};
+
+/**
+ * Checks whether a peer is allowed by a peer access policy returned from
+ * `getAccessPolicy`.
+ *
+ * @param {object} options - Options to use.
+ * @param {object} options.policy - The peer access policy.
+ * @param {string} options.peerId - The ID of the peer.
+ *
+ * @returns {boolean} - True if the peer is allowed, false if not.
+ */
+api.isAllowedByPolicy = ({policy, peerId} = {}) => _isAllowed({policy, peerId});
+
+/**
+ * Throws a `NotAllowedError` if a peer is not allowed to gossip with or
+ * notify a ledger node.
+ *
+ * @param {object} options - Options to use.
+ * @param {object} options.ledgerNode - A ledgerNode.
+ * @param {string} options.peerId - The ID of the peer.
+ *
+ * @returns {Promise} - Resolves if the peer is allowed.
+ */
+api.checkAccess = async ({ledgerNode, peerId} = {}) => {
+  if(!await api.isAllowed({ledgerNode, peerId})) {
+    throw new BedrockError(
+      'The peer is not allowed to access this ledger node.',
+      'NotAllowedError', {
+        httpStatusCode: 403,
+        public: true,
+        peerId
+      });
+  }
+};
+
+/**
+ * Gets the peer limits and options for a ledger node: the defaults in
+ * `config['ledger-consensus-continuity'].peers` merged with any overrides
+ * for the ledger node in `peers.ledgerNodes`. An `InvalidStateError` is
+ * thrown if the merged options are invalid; all configured options are also
+ * checked when bedrock initializes.
+ *
+ * @param {object} options - Options to use.
+ * @param {string} options.ledgerNodeId - The ID of the ledger node.
+ *
+ * @returns {object} - The `maxPersistent`, `onboardingSlots`, `eviction`,
+ *   `bootstrap`, `pinnedShare`, and `access` options.
+ */
+api.getLimits = ({ledgerNodeId} = {}) => {
+  const {peers: {ledgerNodes, ...defaults}} =
+    config['ledger-consensus-continuity'];
+  const overrides = (ledgerNodes && ledgerNodes[ledgerNodeId]) || {};
+  const limits = {...defaults, ...overrides};
+  limits.access = {...defaults.access, ...overrides.access};
+  if(!['lowestReputation', 'leastRecentlyPulled', null]
+    .includes(limits.eviction)) {
+    throw new BedrockError(
+      'Peer eviction order is invalid.', 'InvalidStateError', {
+        ledgerNodeId,
+        eviction: limits.eviction
+      });
+  }
+  const {pinnedShare} = limits;
+  if(!(typeof pinnedShare === 'number' && pinnedShare >= 0 &&
+    pinnedShare <= 1)) {
+    throw new BedrockError(
+      'Pinned peer share is invalid.', 'InvalidStateError', {
+        ledgerNodeId,
+        pinnedShare
+      });
+  }
+  const {access} = limits;
+  if(!(access && typeof access.permissioned === 'boolean' &&
+    _isStringArray(access.allow) && _isStringArray(access.deny))) {
+    throw new BedrockError(
+      'Peer access configuration is invalid.', 'InvalidStateError', {
+        ledgerNodeId,
+        access
+      });
+  }
+  for(const peer of limits.bootstrap) {
+    if(!(peer && typeof peer.id === 'string' && typeof peer.url === 'string')) {
+      throw new BedrockError(
+        'Bootstrap peer is invalid.', 'InvalidStateError', {
+          ledgerNodeId,
+          peer
+        });
+    }
+  }
+  return limits;
+};
+
 // updates/adds a remote peer if too many other peers aren't being concurrently
 // added
 api.optionallyAdd = async ({
   ledgerNode, remotePeer, localPeerId, notifier = false
 } = {}) => {
-  /* Note: It is possible that the `peerCount` below could increase beyond the
-  cap since we are not adding the peer atomically with the collection size
-  check. The risk is that an attacker sends notifications for N many new
-  peers at once and they all get added. This risk is mitigated by requiring
-  all processes that could add a peer this way to be limited by a configurable
-  max concurrency factor. The total number of processes multiplied by the
-  concurrency indicates the maximum overflow size. When overflowed, any
-  unreliable peers will eventually cycle out -- and they should not
-  significantly affect existing reliable peers. */
+  /* Note: Checking for a free onboarding slot and adding the peer to it is
+  serialized per ledger node within a process, so a flood of notifications for
+  new peers cannot overflow the onboarding slots via a single process. Each
+  process has its own peer cache, however, so the onboarding slots could
+  still overflow when several processes add peers at once. This risk is
+  mitigated by requiring all processes that could add a peer this way to be
+  limited by a configurable max concurrency factor. The total number of
+  processes multiplied by the concurrency indicates the maximum overflow size.
+  When overflowed, any unreliable peers will eventually cycle out -- and they
+  should not significantly affect existing reliable peers. */
 
   // if too many other new peers are being added, do not add another one
   if(_currentAddNewPeerJobs >= MAX_ADD_NEW_PEER_JOBS) {
@@ -148,92 +355,88 @@ api.optionallyAdd = async ({
 
   _currentAddNewPeerJobs++;
 
+  const {id: ledgerNodeId} = ledgerNode;
+  let limit = ONBOARDING_LIMITERS.get(ledgerNodeId);
+  if(!limit) {
+    limit = pLimit(1);
+    ONBOARDING_LIMITERS.set(ledgerNodeId, limit);
+  }
   try {
-    // use cache to minimize database hits
-    const {records, recordMap} = await api.getCached({ledgerNode});
-    if(recordMap.has(remotePeer.id)) {
-      // peer already exists
-      return;
-    }
-
-    /* Note: A maximum of 10 peers can be onboarded concurrently. This number
-    was chosen based on it being the lowest power of ten that is acceptable
-    (powers of ten being human-friendly for analysis). Getting onboarded only
-    means that there will be at least one pull gossip opportunity for that
-    peer.
-
-    Peers are onboarded with a reputation of `0`. The first time they are
-    pulled from it will either result in success or failure. For failure, the
-    peer will be deleted, making room for more peers to onboard. For success,
-    the peer will be deleted if the maximum number of peers allowed to be
-    stored has been reached, otherwise its reputation will increase to `1`
-    causing it to become a persistent peer.
-
-    We must always reserve some space to allow for peers that are less trusted
-    or reliable to be onboarded or at least pulled from once, even if they do
-    not end up becoming persistent in the peers collection.
-
-    Peers will be cycled in and out of a ledger node's peer collection based on
-    how reliable and productive they are over time. Those that are not reliable
-    and productive will be removed enabling space for more peers to try their
-    hand at getting persisted for longer than a single pull gossip session.
-
-    If the number of available onboarding slots is too large, then we will
-    waste too much time pulling from untrusted peers that have a greater risk
-    of being unproductive. */
-    // count onboarding slots (slots where rep === 0)
-    // FIXME: make onboarding slots size configurable?
-    let peerCount = 0;
-    for(const {peer: {reputation}} of records) {
-      if(reputation === 0) {
-        peerCount++;
-        if(peerCount >= 10) {
-          return;
-        }
-      }
+    return await limit(() => _optionallyAdd(
+      {ledgerNode, remotePeer, localPeerId, notifier}));
+  } finally {
+    _currentAddNewPeerJobs--;
+    if(limit.activeCount === 0 && limit.pendingCount === 0) {
+      ONBOARDING_LIMITERS.delete(ledgerNodeId);
     }
+  }
+};
 
-    // determine if the given peer requires a commitment from the local peer
-    const commitmentRequired = await _isPeerCommitmentRequired(
-      {ledgerNode, peerId: remotePeer.id, localPeerId});
-
-    // if a commitment is required and the peer is not a notifier, do not
-    // add it -- as it has not authenticated
-    // FIXME: if we do not add the peer then we will continually run the
-    // above query until we receive a notification from the peer directly...
-    // or until it is onboarded, is that preferable to just adding it?
-    if(commitmentRequired && !notifier) {
-      return;
-    }
+/**
+ * Reserves a persistent slot for a peer that has been onboarded (its
+ * reputation is `0`) and is about to become persistent because it has been
+ * given a reputation greater than `0`. If the ledger node
+ * already has `maxPersistent` persistent peers, then a persistent peer that is
+ * neither a witness nor pinned is evicted according to the configured
+ * `eviction` order; if there is
+ * no eviction order or no peer can be evicted, no slot is reserved and the
+ * onboarded peer should be dropped.
+ *
+ * @param {object} options - Options to use.
+ * @param {object} options.ledgerNode - A ledgerNode.
+ * @param {string} options.peerId - The ID of the onboarded peer.
+ * @param {Set<string>} [options.witnesses = new Set()] - A set of witness ids;
+ *   witnesses and pinned peers are never evicted.
+ *
+ * @returns {Promise<boolean>} - True if a slot was reserved, false if not.
+ */
+api.reservePersistentSlot = async ({
+  ledgerNode, peerId, witnesses = new Set()
+} = {}) => {
+  const {maxPersistent, eviction} = api.getLimits(
+    {ledgerNodeId: ledgerNode.id});
+  // query the persistent peers directly as `getAll` is capped and may omit
+  // the persistent peer that should be evicted
+  const persistent = await ledgerNode.peers.getAll(
+    {minReputation: 1, sortReputation: 1});
+  const peerCount = persistent.length;
+  if(peerCount < maxPersistent) {
+    return true;
+  }
+  if(!eviction) {
+    return false;
+  }
 
-    // add peer since it was not found and there is space to add it
-    const peer = {
-      ...remotePeer,
-      commitmentRequired,
-      status: {lastPushAt: Date.now()}
-    };
-    let record;
-    try {
-      record = await ledgerNode.peers.add({peer});
-    } catch(e) {
-      if(e.name !== 'DuplicateError') {
-        throw e;
-      }
-    }
-    return record;
-  } finally {
-    _currentAddNewPeerJobs--;
+  // evict enough peers to get below the cap, e.g., after it was lowered
+  const candidates = persistent
+    .filter(({id}) => id !== peerId && !witnesses.has(id) &&
+      !api.isPinned({ledgerNodeId: ledgerNode.id, peerId: id}))
+    .sort(eviction === 'lowestReputation' ?
+      (a, b) => a.reputation - b.reputation :
+      (a, b) => (a.status.lastPullAt || 0) - (b.status.lastPullAt || 0));
+  const evictions = candidates.slice(0, peerCount - maxPersistent + 1);
+  if(evictions.length < peerCount - maxPersistent + 1) {
+    return false;
   }
+  for(const {id} of evictions) {
+    await api.delete({ledgerNode, id});
+  }
+  return true;
 };
 
 // gets a sample of peers, one with a high reputation and another with
 // a low reputation but that does not appear to be failing
 api.samplePeers = async ({ledgerNode, vetoPeerId} = {}) => {
-  const {records} = await api.getCached({ledgerNode});
+  const [{records}, policy] = await Promise.all([
+    api.getCached({ledgerNode}),
+    api.getAccessPolicy({ledgerNode})
+  ]);
 
-  // remove `vetoPeerId` and any failing peers for sampling
+  // remove `vetoPeerId`, any failing peers, and any peers that are not
+  // allowed for sampling so they are not advertised to other peers
   const peers = records.map(r => r.peer)
-    .filter(p => p.id !== vetoPeerId && p.status.consecutiveFailures === 0);
+    .filter(p => p.id !== vetoPeerId && p.status.consecutiveFailures === 0 &&
+      _isAllowed({policy, peerId: p.id}));
   if(peers.length === 0) {
     return [];
   }
@@ -356,13 +559,16 @@ api.hasBeenWitness = async ({ledgerNode, peerId, explain = false} = {}) => {
   return cursor.hasNext();
 };
 
-async function _getPeers({ledgerNode}) {
+async function _getPeers({ledgerNode, includeBackedOff = false}) {
   // get full peer records so update field can be checked (`meta=true`)
-  // the limit is set at 110 to account for 100 persistent peers and 10
-  // that are being onboarded, a total of 110
-  const records = await ledgerNode.peers.getAll({
-    backoffUntil: Date.now(), limit: 110, meta: true
-  });
+  // the limit accounts for all persistent peers and those being onboarded
+  const {maxPersistent, onboardingSlots} = api.getLimits(
+    {ledgerNodeId: ledgerNode.id});
+  const query = {limit: maxPersistent + onboardingSlots, meta: true};
+  if(!includeBackedOff) {
+    query.backoffUntil = Date.now();
+  }
+  const records = await ledgerNode.peers.getAll(query);
   const recordMap = new Map();
   for(const record of records) {
     recordMap.set(record.peer.id, record);
@@ -370,6 +576,149 @@ async function _getPeers({ledgerNode}) {
   return {records, recordMap};
 }
 
+async function _optionallyAdd({ledgerNode, remotePeer, localPeerId, notifier}) {
+  // use cache to minimize database hits
+  const {records, recordMap} = await api.getCached({ledgerNode});
+  if(recordMap.has(remotePeer.id)) {
+    // peer already exists
+    return;
+  }
+  if(!await api.isAllowed({ledgerNode, peerId: remotePeer.id})) {
+    return;
+  }
+
+  /* Note: A maximum of `onboardingSlots` (default 10) peers can be onboarded
+  concurrently. The default was chosen based on it being the lowest power of
+  ten that is acceptable (powers of ten being human-friendly for analysis).
+  Getting onboarded only means that there will be at least one pull gossip
+  opportunity for that peer.
+
+  Peers are onboarded with a reputation of `0`. The first time they are
+  pulled from it will either result in success or failure. For failure, the
+  peer will be deleted, making room for more peers to onboard. For success,
+  the peer will be deleted if the maximum number of persistent peers has been
+  reached and no other peer can be evicted, otherwise its reputation will
+  increase to `1` causing it to become a persistent peer.
+
+  We must always reserve some space to allow for peers that are less trusted
+  or reliable to be onboarded or at least pulled from once, even if they do
+  not end up becoming persistent in the peers collection.
+
+  Peers will be cycled in and out of a ledger node's peer collection based on
+  how reliable and productive they are over time. Those that are not reliable
+  and productive will be removed enabling space for more peers to try their
+  hand at getting persisted for longer than a single pull gossip session.
+
+  If the number of available onboarding slots is too large, then we will
+  waste too much time pulling from untrusted peers that have a greater risk
+  of being unproductive. */
+  // count onboarding slots (slots where rep === 0); bootstrap peers, including
+  // pinned peers, have a reputation of `0` until they are pulled from (and
+  // again whenever a failing pinned peer is reset to `0`) but are configured
+  // rather than onboarded, so they do not use onboarding slots
+  const {bootstrap, onboardingSlots} = api.getLimits(
+    {ledgerNodeId: ledgerNode.id});
+  const bootstrapIds = new Set(bootstrap.map(({id}) => id));
+  let peerCount = 0;
+  for(const {peer: {id, reputation}} of records) {
+    if(reputation === 0 && !bootstrapIds.has(id)) {
+      peerCount++;
+      if(peerCount >= onboardingSlots) {
+        return;
+      }
+    }
+  }
+
+  // determine if the given peer requires a commitment from the local peer
+  const commitmentRequired = await _isPeerCommitmentRequired(
+    {ledgerNode, peerId: remotePeer.id, localPeerId});
+
+  // if a commitment is required and the peer is not a notifier, do not
+  // add it -- as it has not authenticated
+  // FIXME: if we do not add the peer then we will continually run the
+  // above query until we receive a notification from the peer directly...
+  // or until it is onboarded, is that preferable to just adding it?
+  if(commitmentRequired && !notifier) {
+    return;
+  }
+
+  // add peer since it was not found and there is space to add it
+  const peer = {
+    ...remotePeer,
+    commitmentRequired,
+    status: {lastPushAt: Date.now()}
+  };
+  let record;
+  try {
+    record = await ledgerNode.peers.add({peer});
+  } catch(e) {
+    if(e.name !== 'DuplicateError') {
+      throw e;
+    }
+  }
+  if(record) {
+    // update cache so the next onboarding slot check counts this peer; the
+    // cache may have been refreshed while adding
+    const cached = await api.getCached({ledgerNode});
+    if(!cached.recordMap.has(record.peer.id)) {
+      cached.records.push(record);
+      cached.recordMap.set(record.peer.id, record);
+    }
+  }
+  return record;
+}
+
+async function _getAccessPolicy({ledgerNode}) {
+  const {access} = api.getLimits({ledgerNodeId: ledgerNode.id});
+  const policy = {
+    permissioned: access.permissioned,
+    allow: new Set(access.allow),
+    deny: new Set(access.deny)
+  };
+  // `getLatestConfig` returns an empty object before genesis block is written
+  const {event} = await ledgerNode.storage.events.getLatestConfig();
+  const peerAccess = event && event.ledgerConfiguration.peerAccess;
+  if(peerAccess) {
+    policy.permissioned = policy.permissioned || !!peerAccess.permissioned;
+    for(const id of peerAccess.allow || []) {
+      policy.allow.add(id);
+    }
+    for(const id of peerAccess.deny || []) {
+      policy.deny.add(id);
+    }
+  }
+  return policy;
+}
+
+function _isAllowed({policy: {permissioned, allow, deny}, peerId}) {
+  const ids = [peerId];
+  const controller = _getController({peerId});
+  if(controller) {
+    ids.push(controller);
+  }
+  if(ids.some(id => deny.has(id))) {
+    return false;
+  }
+  return !permissioned || ids.some(id => allow.has(id));
+}
+
+// gets the `did:key` DID for the public key in a peer ID
+function _getController({peerId}) {
+  // FIXME: remove once peer IDs are `did:key` DIDs
+  let pathname;
+  try {
+    ({pathname} = new URL(peerId));
+  } catch(e) {
+    return null;
+  }
+  const publicKey = pathname.split('/').pop();
+  return publicKey ? `did:key:${publicKey}` : null;
+}
+
+function _isStringArray(x) {
+  return Array.isArray(x) && x.every(e => typeof e === 'string');
+}
+
 function _samplePeers({peers, start, end = peers.length - 1}) {
   const range = end - start + 1;
   const index = start + Math.floor(Math.random() * range);
@@ -0,0 +1,158 @@
+/*!
+ * Copyright (c) 2017-2021 Digital Bazaar, Inc. All rights reserved.
+ */
+'use strict';
+
+const {config} = require('bedrock');
+
+require('./config');
+
+// module API
+const api = {};
+module.exports = api;
+
+/* Reputation policies are plugins of type `continuityReputationPolicy` that
+are registered via `brLedgerNode.use(name, {api, type})`; the policy to use is
+selected via `config['ledger-consensus-continuity'].gossip.reputation.policy`.
+This module is the default policy, `Continuity2017ReputationPolicy`.
+
+A policy's `api` must provide `onFailure` and `onSuccess` (sync or async).
+They are called after each gossip pull from a peer with:
+
+  ledgerNodeId: the ID of the local ledger node.
+  peer: the peer record (`{id, url, reputation, recommended, status}`);
+    `status` has already been updated with the result of the pull
+    (`lastPullAt`, `lastPullResult`, `consecutiveFailures`) and a policy may
+    keep its own state in it, which is persisted with the peer.
+  isWitness: true if the peer is a witness for the next block.
+  blockHeight: the height of the local ledger node's latest block.
+  latency: the duration of the pull in ms.
+  now: the current time in ms since the epoch.
+
+`onFailure` is also called with the `error` and `fatal`, which is true if the
+peer violated protocol, and must return (or resolve to)
+`{reputation, remove}`; if `remove` is true, the peer is removed.
+
+`onSuccess` is also called with `mergeEventsReceived` and `eventBytes`, the
+number of merge events and the encoded size, as received, of all events that
+were not already known, and must return (or resolve to) `{reputation, backoff}`
+where `backoff` is the time in ms to wait before the next pull.
+
+A peer whose reputation is below `0` is removed unless it is a witness or
+pinned, in which case its reputation is set to `0`. Pinned peers are never
+removed, even if `remove` is true. */
+
+// the reputation of a peer that has been consistently productive
+const MAX_REPUTATION = 100;
+
+/**
+ * Computes the reputation of a peer after a failed gossip pull. A protocol
+ * violation removes the peer. Otherwise, the first consecutive failure
+ * decrements the reputation and later consecutive failures decrease it
+ * linearly so that a peer with the maximum reputation reaches `0` after
+ * `gossip.backoff.maxFailureGracePeriod`.
+ *
+ * @return {object} with `reputation` and `remove`.
+ */
+api.onFailure = ({peer, fatal, now}) => {
+  if(fatal) {
+    return {reputation: peer.reputation, remove: true};
+  }
+
+  const {status} = peer;
+  if(status.consecutiveFailures === 1) {
+    // store first failure stats and decrement reputation
+    status.firstFailure = {
+      reputation: peer.reputation,
+      time: now
+    };
+    return {reputation: peer.reputation - 1, remove: false};
+  }
+
+  /* Another consecutive failure, compute the new reputation. The new
+  reputation score is based on how long the peer has been detected as
+  failing and the maximum grace period for a max-reputation peer (100).
+
+  A peer with a reputation of `100` will have a reputation of `0` if it
+  continues to have consecutive failures (no successes) for the
+  `maxFailureGracePeriod`. Reputation decreases linearly over this period
+  of time. */
+  const {maxFailureGracePeriod} =
+    config['ledger-consensus-continuity'].gossip.backoff;
+  const totalFailTime = now - status.firstFailure.time;
+  const points = Math.floor(totalFailTime / maxFailureGracePeriod) *
+    MAX_REPUTATION;
+  const {firstFailure: {reputation: startReputation}} = status;
+  return {
+    reputation: Math.min(startReputation - 1, startReputation - points),
+    remove: false
+  };
+};
+
+/**
+ * Computes the reputation of a peer after a successful gossip pull.
+ *
+ * Note: It is important that peer reputation accounts not only for
+ * successful gossip sessions but for productivity. If a peer is consistently
+ * returning success during gossip but sending no new merge events, its
+ * reputation should decrease over time -- provided that other peers *are*
+ * sending merge events. In other words, if a peer consistently gives us
+ * no new merge event but other peers do, we should decrement the reputation
+ * of the peer that is not sending us merge events.
+ *
+ * How reputation is computed on successes:
+ *
+ * 1. If merge events were received, increase reputation by 1 and clear
+ *   `status.idle`.
+ * 2. Otherwise, if there is no `status.idle`, set it to an object
+ *   tracking the current time and local block height.
+ * 3. Otherwise, see if the current local block height has changed from
+ *   what is in `status.idle`.
+ * 4. If not, update the time to the current time.
+ * 5. If so, determine the number of whole reputation points that can be
+ *   subtracted by dividing the `maxIdleGracePeriod` by 100 and multiplying by
+ *   the time in `status.idle`. Set the new reputation and add the amount of
+ *   time that corresponds to the whole number of reputation points to the
+ *   `time` stored in `status.idle`. Update the block height and reputation
+ *   stored in `status.idle`.
+ *
+ * @return {object} with `reputation` and `backoff`.
+ */
+api.onSuccess = ({peer, mergeEventsReceived, blockHeight, now}) => {
+  const {status} = peer;
+  if(mergeEventsReceived) {
+    // increase peer's reputation, it is not idle
+    delete status.idle;
+    return {
+      reputation: Math.min(MAX_REPUTATION, peer.reputation + 1),
+      backoff: 0
+    };
+  }
+  if(!status.idle) {
+    // peer just started idling
+    status.idle = {
+      time: now,
+      localBlockHeight: blockHeight
+    };
+    return {reputation: peer.reputation, backoff: 0};
+  }
+  if(status.idle.localBlockHeight === blockHeight) {
+    // peer is idling but so are other peers, increase idle start time
+    status.idle.time = now;
+    return {reputation: peer.reputation, backoff: 0};
+  }
+
+  // peer is idling but other peers are advancing, decrement reputation
+  // and set at least a minimal backoff
+  const {maxIdle, maxIdleGracePeriod, minIdle} =
+    config['ledger-consensus-continuity'].gossip.backoff;
+  const totalIdleTime = now - status.idle.time;
+  const timePerPoint = Math.ceil(maxIdleGracePeriod / MAX_REPUTATION);
+  const points = Math.floor(totalIdleTime / timePerPoint);
+  status.idle.time += points * timePerPoint;
+  status.idle.localBlockHeight = blockHeight;
+  return {
+    reputation: peer.reputation - points,
+    backoff: Math.min(minIdle * Math.max(1, points), maxIdle)
+  };
+};
@@ -4,17 +4,21 @@
 'use strict';
 
 const _events = require('./events');
+const _gossipEncoding = require('./gossipEncoding');
 const _peers = require('./peers');
 const _signature = require('./signature');
+const _worker = require('./worker');
 const _peerEvents = require('./peerEvents');
 const _history = require('./history');
 const _localPeers = require('./localPeers');
+const _metrics = require('./metrics');
 const {asyncHandler} = require('bedrock-express');
 const bedrock = require('bedrock');
 const bodyParser = require('body-parser');
 const brLedgerNode = require('bedrock-ledger-node');
 const brRest = require('bedrock-rest');
-const {config} = bedrock;
+const {ensureAuthenticated} = require('bedrock-passport');
+const {config, util: {BedrockError}} = bedrock;
 const {callbackify} = require('util');
 const logger = require('./logger');
 const {validate} = require('bedrock-validation');
@@ -35,7 +39,7 @@ bedrock.events.on('bedrock-express.configure.bodyParser', app => {
 
 bedrock.events.on('bedrock-express.configure.routes', app => {
   const cfg = config['ledger-consensus-continuity'];
-  const {routes, gossip: {eventsValidation}} = cfg;
+  const {routes, gossip: {eventsValidation}, metrics} = cfg;
 
   const MAX_EVENT_VALIDATION_JOBS = eventsValidation.concurrency;
 
@@ -47,13 +51,16 @@ bedrock.events.on('bedrock-express.configure.routes', app => {
         '/consensus/continuity2017/voters/' + req.params.voterId;
       const ledgerNodeId = await _localPeers.getLedgerNodeId(
         {peerId: localPeerId});
-      const {eventHash} = req.body;
+      const ledgerNode = await brLedgerNode.get(null, ledgerNodeId);
+      await _authenticatePeer({req, ledgerNode});
+      const {eventHash, encoding} = req.body;
       const events = await _events.getEventsForGossip(
         {eventHashes: eventHash, ledgerNodeId});
+      const writer = _gossipEncoding.createWriter({req, res, encoding});
       for(const event of events) {
-        res.write(`${event}\n`);
+        await writer.write(event);
       }
-      res.end();
+      writer.end();
     }));
 
   // validate event
@@ -66,6 +73,7 @@ bedrock.events.on('bedrock-express.configure.routes', app => {
       }
 
       _currentEventValidationJobs++;
+      _metrics.startEventValidation();
 
       try {
         const {event, ledgerNodeId, session} = req.body;
@@ -79,6 +87,7 @@ bedrock.events.on('bedrock-express.configure.routes', app => {
         res.json(validatedEvent);
       } finally {
         _currentEventValidationJobs--;
+        _metrics.endEventValidation();
       }
     }));
 
@@ -101,6 +110,7 @@ bedrock.events.on('bedrock-express.configure.routes', app => {
         const ledgerNodeId = await _localPeers.getLedgerNodeId(
           {peerId: localPeerId});
         const ledgerNode = await brLedgerNode.get(null, ledgerNodeId);
+        await _authenticatePeer({req, ledgerNode, peerId: remoteInfo.peerId});
         const [result, samplePeers] = await Promise.all([
           _history.partition({ledgerNode, remoteInfo}),
           _peers.samplePeers({ledgerNode, vetoPeerId: remoteInfo.peerId})
@@ -114,6 +124,46 @@ bedrock.events.on('bedrock-express.configure.routes', app => {
       })
     }));
 
+  // stream multiple consecutive batches of history, including full events
+  app.post(
+    routes.gossipStream, brRest.when.prefers.ld,
+    validate('continuity-server.gossip'), asyncHandler(async (req, res) => {
+      const localPeerId = config.server.baseUri +
+        '/consensus/continuity2017/voters/' + req.params.voterId;
+      const {body: remoteInfo} = req;
+      const ledgerNodeId = await _localPeers.getLedgerNodeId(
+        {peerId: localPeerId});
+      const ledgerNode = await brLedgerNode.get(null, ledgerNodeId);
+      await _authenticatePeer({req, ledgerNode, peerId: remoteInfo.peerId});
+      const writer = _gossipEncoding.createWriter(
+        {req, res, encoding: remoteInfo.encoding});
+      await _streamHistory({ledgerNode, remoteInfo, writer});
+      writer.end();
+    }));
+
+  // diagnostic information about the ledger node for operators, the request
+  // must be from an authenticated actor that may access the ledger node
+  app.get(
+    routes.status, ensureAuthenticated, brRest.when.prefers.ld,
+    asyncHandler(async (req, res) => {
+      const localPeerId = config.server.baseUri +
+        '/consensus/continuity2017/voters/' + req.params.voterId;
+      const ledgerNodeId = await _localPeers.getLedgerNodeId(
+        {peerId: localPeerId});
+      // checks that the actor has `LEDGER_NODE_ACCESS` to an owned node
+      const ledgerNode = await brLedgerNode.get(req.user.actor, ledgerNodeId);
+      res.json(await _worker.getStatus({ledgerNode}));
+    }));
+
+  // Prometheus metrics for consensus and gossip
+  if(metrics.enabled) {
+    app.get(routes.metrics, asyncHandler(async (req, res) => {
+      const {contentType, metrics} = await _metrics.get();
+      res.set('Content-Type', contentType);
+      res.end(metrics);
+    }));
+  }
+
   app.post(
     routes.notify, brRest.when.prefers.ld,
     validate('continuity-server.notification'),
@@ -122,20 +172,125 @@ bedrock.events.on('bedrock-express.configure.routes', app => {
       if(!(verified && req.body.peer.id === keyId)) {
         return res.status(403).end();
       }
+      const localPeerId = config.server.baseUri +
+        '/consensus/continuity2017/voters/' + req.params.voterId;
+      const ledgerNodeId = await _localPeers.getLedgerNodeId(
+        {peerId: localPeerId});
+      const ledgerNode = await brLedgerNode.get(null, ledgerNodeId);
+      await _peers.checkAccess({ledgerNode, peerId: keyId});
       // queue handling notification and immediately send response, do not
       // wait for notification handling to complete
-      _handleNotification({req}).catch(_logNotificationError);
+      _handleNotification({req, ledgerNode, localPeerId})
+        .catch(_logNotificationError);
       res.status(204).end();
     }));
 });
 
-async function _handleNotification({req}) {
+/**
+ * Authenticates a request from a remote peer via its HTTP signature and
+ * checks that the peer is allowed to access the ledger node. The signature
+ * must cover the request body and must be from the key of `peerId` when the
+ * request claims to be from that peer. Unsigned requests are only accepted if
+ * `gossip.signedRequests.required` is `false` and the access policy of the
+ * ledger node neither is `permissioned` nor denies any peers, as the peer an
+ * unsigned request claims to be from cannot be trusted.
+ *
+ * @param req the request.
+ * @param ledgerNode the local ledger node.
+ * @param [peerId] the ID of the peer the request claims to be from.
+ *
+ * @return a Promise that resolves to the ID of the remote peer, if known, or
+ *   rejects with a `NotAllowedError`.
+ */
+async function _authenticatePeer({req, ledgerNode, peerId}) {
+  const {gossip: {signedRequests}} = config['ledger-consensus-continuity'];
+  const {permissioned, deny} = await _peers.getAccessPolicy({ledgerNode});
+  if(!(signedRequests.required || permissioned || deny.size > 0 ||
+    req.headers.authorization)) {
+    return peerId;
+  }
+  const {verified, keyId} = await _signature.verifyRequest({req});
+  if(!(verified && (peerId === undefined || keyId === peerId) &&
+    await _signature.verifyDigest({req}))) {
+    throw new BedrockError(
+      'The request signature is invalid.', 'NotAllowedError', {
+        httpStatusCode: 403,
+        public: true,
+        peerId
+      });
+  }
+  await _peers.checkAccess({ledgerNode, peerId: keyId});
+  return keyId;
+}
+
+/**
+ * Writes up to `gossip.stream.maxBatches` consecutive partitions of history
+ * to `writer` (see `gossipEncoding.createWriter`). The first message is
+ * `{type: 'info', blockHeight, blockHash, samplePeers}`. Each partition is
+ * then written as a `{type: 'batch', eventHash, cursor}` message followed by
+ * one `{event}` message for each hash in `eventHash`, in the same order.
+ *
+ * Partitions are only written while the remote peer can accept them, i.e.,
+ * the stream ends when no more history is available or when the next
+ * partition requires a greater `basisBlockHeight` than the remote peer has.
+ *
+ * @param ledgerNode the local ledger node.
+ * @param remoteInfo the validated gossip request from the remote peer.
+ * @param writer the writer for the response.
+ *
+ * @return a Promise that resolves once all partitions have been written or
+ *   the remote peer has closed the connection.
+ */
+async function _streamHistory({ledgerNode, remoteInfo, writer}) {
+  const {gossip: {stream: {maxBatches}}} =
+    config['ledger-consensus-continuity'];
+  let {localEventNumber} = remoteInfo;
+  for(let i = 0; i < maxBatches && !writer.closed(); ++i) {
+    const partition = _history.partition(
+      {ledgerNode, remoteInfo: {...remoteInfo, localEventNumber}});
+    let result;
+    if(i === 0) {
+      let samplePeers;
+      [result, samplePeers] = await Promise.all([
+        partition,
+        _peers.samplePeers({ledgerNode, vetoPeerId: remoteInfo.peerId})
+      ]);
+      const {blockHeight, blockHash} = result;
+      await writer.write({
+        type: 'info', blockHeight, blockHash,
+        samplePeers: samplePeers.map(({id, url}) => ({id, url}))
+      });
+    } else {
+      result = await partition;
+    }
+
+    const {batch: {eventHash}, cursor} = result;
+    const events = eventHash.length === 0 ? [] :
+      await _events.getEventsForGossip(
+        {eventHashes: eventHash, ledgerNodeId: ledgerNode.id});
+    if(events.length !== eventHash.length) {
+      // an event is no longer available; the remote peer will continue from
+      // the last cursor it received
+      break;
+    }
+    await writer.write({type: 'batch', eventHash, cursor});
+    for(const event of events) {
+      await writer.write(event);
+    }
+    // ensure the remote peer can process this batch while the next one is
+    // being read
+    writer.flush();
+
+    if(!cursor.hasMore ||
+      cursor.requiredBlockHeight > remoteInfo.basisBlockHeight) {
+      break;
+    }
+    ({localEventNumber} = cursor);
+  }
+}
+
+async function _handleNotification({req, ledgerNode, localPeerId}) {
   const {peer} = req.body;
-  const localPeerId = config.server.baseUri +
-    '/consensus/continuity2017/voters/' + req.params.voterId;
-  const ledgerNodeId = await _localPeers.getLedgerNodeId(
-    {peerId: localPeerId});
-  const ledgerNode = await brLedgerNode.get(null, ledgerNodeId);
   await _peers.addNotifier({ledgerNode, remotePeer: peer, localPeerId});
 }
 
@@ -13,7 +13,10 @@ const {
   createAuthzHeader,
   createSignatureString
 } = require('http-signature-header');
-const {createHeaderValue} = require('@digitalbazaar/http-digest-header');
+const {
+  createHeaderValue,
+  verifyHeaderValue
+} = require('@digitalbazaar/http-digest-header');
 const {documentLoader} = require('bedrock-jsonld-document-loader');
 const logger = require('./logger');
 const {Ed25519VerificationKey2018} =
@@ -197,6 +200,25 @@ exports.verifyRequest = async ({req, expectedHeaders = COVERED_CONTENT}) => {
   }
 };
 
+/**
+ * Verifies that a request's `Digest` header matches its JSON body. The
+ * `Digest` header is covered by the request's HTTP signature, so this ties
+ * the body to the signature.
+ *
+ * @param {object} options to use.
+ * @param {object} options.req - An express Request object.
+ *
+ * @returns {Promise<boolean>} True if the digest matches, false if not.
+ */
+exports.verifyDigest = async ({req}) => {
+  const {digest: headerValue} = req.headers;
+  if(!headerValue) {
+    return false;
+  }
+  const {verified} = await verifyHeaderValue({data: req.body, headerValue});
+  return verified;
+};
+
 function _getPublicKey(publicKeyId) {
   const publicKeyBase58 = _localPeers.getPublicKeyFromId(
     {peerId: publicKeyId});
@@ -3,7 +3,9 @@
  */
 'use strict';
 
+const _continuityConstants = require('./continuityConstants');
 const brLedgerNode = require('bedrock-ledger-node');
+const {config} = require('bedrock');
 const {canonize, NQuads} = require('rdf-canonize');
 const jsonCanonicalize = require('canonicalize');
 const crypto = require('crypto');
@@ -304,6 +306,48 @@ exports.sortOperations = operations => {
   operations.sort(_compareOperationHashes);
 };
 
+/**
+ * Gets the limits for local regular events: the configured `events` limits
+ * bounded by the limits that peers accept.
+ *
+ * @return {object} with `maxBytes` and `maxOperations`.
+ */
+exports.getEventLimits = () => {
+  const {events} = config['ledger-consensus-continuity'];
+  return {
+    maxBytes: Math.min(events.maxBytes, _continuityConstants.events.maxBytes),
+    maxOperations: Math.min(
+      events.maxOperations, _continuityConstants.events.maxOperations)
+  };
+};
+
+/**
+ * Gets how many operations from the front of an operation queue to put into
+ * the next local regular event. Operations are taken in order until the event
+ * limits are reached or an operation has a different `basisBlockHeight`. The
+ * first operation is always taken.
+ *
+ * @param operations the queued operations in order, each with
+ *   `basisBlockHeight` and `bytes`.
+ *
+ * @return {Number} the number of operations.
+ */
+exports.packOperations = ({operations}) => {
+  const {maxBytes, maxOperations} = exports.getEventLimits();
+  const [{basisBlockHeight}] = operations;
+  let bytes = operations[0].bytes;
+  let count = 1;
+  for(; count < operations.length && count < maxOperations; ++count) {
+    const operation = operations[count];
+    if(operation.basisBlockHeight !== basisBlockHeight ||
+      bytes + operation.bytes > maxBytes) {
+      break;
+    }
+    bytes += operation.bytes;
+  }
+  return count;
+};
+
 exports.processChunked = async function(
   {tasks, fn, concurrency, chunkSize, args = []}) {
   const finishedTasks = [];
@@ -0,0 +1,11 @@
+/*!
+ * Copyright (c) 2017-2021 Digital Bazaar, Inc. All rights reserved.
+ */
+'use strict';
+
+// built-in witness selection methods by `electorSelection` plugin name
+module.exports = new Map([
+  ['Continuity2017StaticWitnesses', require('./static')],
+  ['Continuity2017WeightedWitnesses', require('./weighted')],
+  ['Continuity2017ReputationWitnesses', require('./reputation')]
+]);
@@ -0,0 +1,92 @@
+/*!
+ * Copyright (c) 2017-2021 Digital Bazaar, Inc. All rights reserved.
+ */
+'use strict';
+
+const _blocks = require('../blocks');
+const _util = require('./util');
+const {util: {BedrockError}} = require('bedrock');
+
+// module API
+const api = {};
+module.exports = api;
+
+/**
+ * Selects witnesses from the peers that have recently contributed merge
+ * events to blocks, in proportion to their reputation. A new selection is
+ * made every `rotationPeriod` blocks using the reputations and hash of the
+ * blocks before the first block of the period, so the selection does not
+ * change within a period:
+ *
+ * electorSelectionMethod: {
+ *   type: 'Continuity2017ReputationWitnesses',
+ *   // optional, the number of previous blocks to consider, defaults to `10`
+ *   window: positiveInteger,
+ *   // optional, defaults to all candidates
+ *   witnessCount: positiveInteger,
+ *   // optional, defaults to `10`
+ *   rotationPeriod: positiveInteger
+ * }
+ *
+ * A peer's reputation is the number of blocks in the window that include one
+ * of its merge events. Reputation is computed from blocks rather than from
+ * the peers collection because every peer must select the same witnesses
+ * and the peers collection differs on each peer.
+ *
+ * @param ledgerNode the ledger node API to use.
+ * @param ledgerConfiguration the current ledger configuration.
+ * @param blockHeight the height of the block.
+ *
+ * @return a Promise that resolves to `{electors}`.
+ */
+api.getBlockElectors = async ({
+  ledgerNode, ledgerConfiguration, blockHeight
+}) => {
+  const {
+    electorSelectionMethod: {window = 10, witnessCount, rotationPeriod = 10}
+  } = ledgerConfiguration;
+  if(!(Number.isSafeInteger(window) && window > 0)) {
+    throw new BedrockError(
+      '"electorSelectionMethod.window" must be a positive integer.',
+      'InvalidStateError', {window});
+  }
+  if(!(Number.isSafeInteger(rotationPeriod) && rotationPeriod > 0)) {
+    throw new BedrockError(
+      '"electorSelectionMethod.rotationPeriod" must be a positive integer.',
+      'InvalidStateError', {rotationPeriod});
+  }
+  if(!(Number.isInteger(blockHeight) && blockHeight > 0)) {
+    throw new BedrockError(
+      'Witnesses can only be selected for non-genesis blocks.',
+      'InvalidStateError', {blockHeight});
+  }
+
+  // every block in a period is selected for as if it were the first block
+  // of the period; the genesis block is never selected for
+  const basisHeight = Math.max(
+    1, blockHeight - (blockHeight % rotationPeriod));
+
+  // count the blocks in the window each peer has contributed to
+  const start = Math.max(0, basisHeight - window);
+  const heights = [];
+  for(let height = start; height < basisHeight; ++height) {
+    heights.push(height);
+  }
+  const [participants, {meta: {blockHash}}] = await Promise.all([
+    Promise.all(heights.map(
+      height => _blocks.getParticipants({blockHeight: height, ledgerNode}))),
+    ledgerNode.storage.blocks.getByHeight(basisHeight - 1)
+  ]);
+  const reputations = new Map();
+  for(const {mergeEventPeers} of participants) {
+    for(const id of new Set(mergeEventPeers)) {
+      reputations.set(id, (reputations.get(id) || 0) + 1);
+    }
+  }
+
+  const candidates = [...reputations].map(([id, weight]) => ({id, weight}));
+  const count = _util.getWitnessCount(
+    {candidateCount: candidates.length, maxCount: witnessCount});
+  const electors = _util.selectWeighted({candidates, count, seed: blockHash});
+  return {electors};
+};
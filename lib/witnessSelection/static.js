@@ -0,0 +1,35 @@
+/*!
+ * Copyright (c) 2017-2021 Digital Bazaar, Inc. All rights reserved.
+ */
+'use strict';
+
+const {util: {BedrockError}} = require('bedrock');
+
+// module API
+const api = {};
+module.exports = api;
+
+/**
+ * Gets the witnesses listed in the ledger configuration; the same witnesses
+ * are used for every block:
+ *
+ * electorSelectionMethod: {
+ *   type: 'Continuity2017StaticWitnesses',
+ *   witnesses: [peerId, ...]
+ * }
+ *
+ * @param ledgerConfiguration the current ledger configuration.
+ *
+ * @return a Promise that resolves to `{electors}`.
+ */
+api.getBlockElectors = async ({ledgerConfiguration}) => {
+  const {electorSelectionMethod: {witnesses}} = ledgerConfiguration;
+  if(!(Array.isArray(witnesses) && witnesses.length > 0 &&
+    witnesses.every(w => typeof w === 'string') &&
+    new Set(witnesses).size === witnesses.length)) {
+    throw new BedrockError(
+      '"electorSelectionMethod.witnesses" must be a non-empty array of ' +
+      'unique peer IDs.', 'InvalidStateError', {witnesses});
+  }
+  return {electors: witnesses.map(id => ({id}))};
+};
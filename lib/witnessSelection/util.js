@@ -0,0 +1,75 @@
+/*!
+ * Copyright (c) 2017-2021 Digital Bazaar, Inc. All rights reserved.
+ */
+/* global BigInt */
+'use strict';
+
+const crypto = require('crypto');
+const {util: {BedrockError}} = require('bedrock');
+
+// module API
+const api = {};
+module.exports = api;
+
+/**
+ * Gets the largest witness set size of the form `3f+1` that does not exceed
+ * the number of candidates or `maxCount`. At least one witness is always
+ * required.
+ *
+ * @param candidateCount the number of candidates.
+ * @param [maxCount] the configured maximum number of witnesses.
+ *
+ * @return the number of witnesses to select.
+ */
+api.getWitnessCount = ({candidateCount, maxCount = candidateCount}) => {
+  if(candidateCount < 1) {
+    throw new BedrockError(
+      'At least one witness candidate is required to select witnesses.',
+      'InvalidStateError', {candidateCount});
+  }
+  if(!(Number.isSafeInteger(maxCount) && maxCount > 0)) {
+    throw new BedrockError(
+      '"electorSelectionMethod.witnessCount" must be a positive integer.',
+      'InvalidStateError', {witnessCount: maxCount});
+  }
+  const max = Math.min(candidateCount, maxCount);
+  return 3 * Math.floor((max - 1) / 3) + 1;
+};
+
+/**
+ * Deterministically selects `count` candidates without replacement where the
+ * chance of a candidate being selected in each draw is proportional to its
+ * integer `weight`. Only integer arithmetic is used so that every peer selects
+ * the same candidates for the same `seed`.
+ *
+ * @param candidates an array of `{id, weight}` with unique IDs.
+ * @param count the number of candidates to select.
+ * @param seed a string that every peer uses for the same selection.
+ *
+ * @return an array of selected `{id}`.
+ */
+api.selectWeighted = ({candidates, count, seed}) => {
+  // sort by ID so that selection does not depend on the input order
+  const remaining = candidates
+    .filter(({weight}) => weight > 0)
+    .map(({id, weight}) => ({id, weight: BigInt(weight)}))
+    .sort((a, b) => a.id < b.id ? -1 : a.id > b.id ? 1 : 0);
+  let total = remaining.reduce((sum, {weight}) => sum + weight, BigInt(0));
+  const selected = [];
+  for(let draw = 0; draw < count && remaining.length > 0; ++draw) {
+    const digest = crypto.createHash('sha256')
+      .update(`${seed}|${draw}`).digest('hex');
+    let target = BigInt('0x' + digest) % total;
+    const index = remaining.findIndex(({weight}) => {
+      if(target < weight) {
+        return true;
+      }
+      target -= weight;
+      return false;
+    });
+    const [{id, weight}] = remaining.splice(index, 1);
+    total -= weight;
+    selected.push({id});
+  }
+  return selected;
+};
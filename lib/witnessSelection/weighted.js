@@ -0,0 +1,60 @@
+/*!
+ * Copyright (c) 2017-2021 Digital Bazaar, Inc. All rights reserved.
+ */
+'use strict';
+
+const _util = require('./util');
+const {util: {BedrockError}} = require('bedrock');
+
+// module API
+const api = {};
+module.exports = api;
+
+/**
+ * Selects witnesses from the candidates listed in the ledger configuration
+ * in proportion to their weight (e.g., stake); a new selection is made every
+ * `rotationPeriod` blocks:
+ *
+ * electorSelectionMethod: {
+ *   type: 'Continuity2017WeightedWitnesses',
+ *   candidates: [{id: peerId, weight: positiveInteger}, ...],
+ *   // optional, defaults to all candidates
+ *   witnessCount: positiveInteger,
+ *   // optional, defaults to `1`
+ *   rotationPeriod: positiveInteger
+ * }
+ *
+ * The number of witnesses is the largest `3f+1` that is not greater than
+ * `witnessCount` or the number of candidates.
+ *
+ * @param ledgerConfiguration the current ledger configuration.
+ * @param blockHeight the height of the block.
+ *
+ * @return a Promise that resolves to `{electors}`.
+ */
+api.getBlockElectors = async ({ledgerConfiguration, blockHeight}) => {
+  const {
+    ledger,
+    electorSelectionMethod: {candidates, witnessCount, rotationPeriod = 1}
+  } = ledgerConfiguration;
+  if(!(Array.isArray(candidates) && candidates.length > 0 &&
+    candidates.every(c => c && typeof c.id === 'string' &&
+      Number.isSafeInteger(c.weight) && c.weight > 0) &&
+    new Set(candidates.map(c => c.id)).size === candidates.length)) {
+    throw new BedrockError(
+      '"electorSelectionMethod.candidates" must be a non-empty array of ' +
+      'candidates with unique IDs and positive integer weights.',
+      'InvalidStateError', {candidates});
+  }
+  if(!(Number.isSafeInteger(rotationPeriod) && rotationPeriod > 0)) {
+    throw new BedrockError(
+      '"electorSelectionMethod.rotationPeriod" must be a positive integer.',
+      'InvalidStateError', {rotationPeriod});
+  }
+  const count = _util.getWitnessCount(
+    {candidateCount: candidates.length, maxCount: witnessCount});
+  const rotation = Math.floor(blockHeight / rotationPeriod);
+  const electors = _util.selectWeighted(
+    {candidates, count, seed: `${ledger}|${rotation}`});
+  return {electors};
+};
@@ -37,10 +37,35 @@ bedrock.events.on('bedrock.init', () => {
  *   witnesses the array of witnesses.
  */
 api.getBlockWitnesses = async ({ledgerNode, blockHeight}) => {
-  return WITNESS_CACHE.memoize({
-    key: `${ledgerNode.id}|${blockHeight}`,
+  const key = `${ledgerNode.id}|${blockHeight}`;
+  const {witnesses, cacheable} = await WITNESS_CACHE.memoize({
+    key,
     fn: async () => _getWitnesses({ledgerNode, blockHeight})
   });
+  if(!cacheable) {
+    // witnesses were not computed from the previous block's witnesses, so
+    // they must be recomputed once that block is available
+    WITNESS_CACHE.delete(key);
+  }
+  return {witnesses};
+};
+
+/**
+ * Removes cached witnesses for a ledger node starting at the given block
+ * height. This must be called when a new ledger configuration becomes
+ * effective as witnesses may have been cached using the previous one.
+ *
+ * @param ledgerNodeId the ID of the ledger node.
+ * @param minBlockHeight the first block height to remove witnesses for.
+ */
+api.clearCache = ({ledgerNodeId, minBlockHeight}) => {
+  const prefix = `${ledgerNodeId}|`;
+  for(const key of WITNESS_CACHE.cache.keys()) {
+    if(key.startsWith(prefix) &&
+      parseInt(key.substr(prefix.length), 10) >= minBlockHeight) {
+      WITNESS_CACHE.delete(key);
+    }
+  }
 };
 
 /**
@@ -51,8 +76,9 @@ api.getBlockWitnesses = async ({ledgerNode, blockHeight}) => {
  * @param {object} options.ledgerNode - a Ledger Node.
  * @param {number|string} options.blockHeight - A block height.
  *
- * @returns {Promise<object.<symbol, Set<string>>} An object with a witnesses
- *   property that is a set of ids.
+ * @returns {Promise<object>} An object with a `witnesses` property that is a
+ *   set of ids and a `cacheable` property that is `false` if the witnesses
+ *   must be recomputed later.
  */
 async function _getWitnesses({ledgerNode, blockHeight}) {
   // get config and latest summary
@@ -78,7 +104,16 @@ async function _getWitnesses({ledgerNode, blockHeight}) {
 
   // only include `id` of witnesses, no extra data that may be set by
   // the selection algorithm
-  const witnesses = result.electors.map(({id}) => id);
+  let witnesses = result.electors.map(({id}) => id);
+  let cacheable = true;
+
+  // limit how many witnesses may change between blocks if the ledger
+  // configuration has a rotation schedule
+  const {witnessRotation} = ledgerConfiguration;
+  if(witnessRotation && blockHeight > 1) {
+    ({witnesses, cacheable} = await _rotate(
+      {ledgerNode, blockHeight, selected: witnesses, witnessRotation}));
+  }
 
   // validate that `witnesses` is either length `1` or forms a `3f+1` size set
   if(witnesses.length !== 1) {
@@ -87,7 +122,68 @@ async function _getWitnesses({ledgerNode, blockHeight}) {
         'Witnesses do not form a set of size "3f+1".', 'InvalidStateError');
     }
   }
-  return {witnesses: new Set(witnesses)};
+  return {witnesses: new Set(witnesses), cacheable};
+}
+
+/**
+ * Applies a witness rotation schedule. Witnesses only change on blocks where
+ * `blockHeight % period === 0`; on those blocks, at most `maxReplaced`
+ * witnesses of the previous block that were not selected by the witness
+ * selection method are replaced by selected witnesses. No more than `f`
+ * witnesses of a `3f+1` set are ever replaced at once so that at least
+ * `2f+1` witnesses, a supermajority, are shared across each rotation. A
+ * single witness (`f=0`) has no supermajority to preserve and may be
+ * replaced at any rotation.
+ *
+ * The previous block's witnesses are read from its block record. If they
+ * are not available, or if the number of selected witnesses differs from
+ * the previous block's because the witness count has been reconfigured, the
+ * selected witnesses are used as is. If the previous block has not been
+ * stored yet, the result is marked as not cacheable.
+ *
+ * @param ledgerNode the ledger node API to use.
+ * @param blockHeight the height of the block.
+ * @param selected the witnesses selected by the witness selection method.
+ * @param witnessRotation the rotation schedule `{period, maxReplaced}`.
+ *
+ * @return a Promise that resolves to `{witnesses, cacheable}`.
+ */
+async function _rotate({ledgerNode, blockHeight, selected, witnessRotation}) {
+  let previous;
+  try {
+    const {meta} = await ledgerNode.storage.blocks.getByHeight(
+      blockHeight - 1);
+    previous = meta.continuity2017 && meta.continuity2017.witness;
+  } catch(e) {
+    if(e.name !== 'NotFoundError') {
+      throw e;
+    }
+    return {witnesses: selected, cacheable: false};
+  }
+  if(!(Array.isArray(previous) && previous.length > 0) ||
+    selected.length !== previous.length) {
+    // there is no previous set of the same size to rotate
+    return {witnesses: selected, cacheable: true};
+  }
+
+  const {period, maxReplaced} = witnessRotation;
+  if(blockHeight % period !== 0) {
+    return {witnesses: previous, cacheable: true};
+  }
+
+  // replace witnesses that are no longer selected, in a deterministic order
+  const selectedSet = new Set(selected);
+  const previousSet = new Set(previous);
+  const leaving = previous.filter(id => !selectedSet.has(id)).sort();
+  const joining = selected.filter(id => !previousSet.has(id));
+  const f = Math.floor((previous.length - 1) / 3);
+  const limit = previous.length === 1 ? 1 : f;
+  const count = Math.min(maxReplaced, limit, leaving.length, joining.length);
+  const replaced = new Set(leaving.slice(0, count));
+  const witnesses = previous
+    .filter(id => !replaced.has(id))
+    .concat(joining.slice(0, count));
+  return {witnesses, cacheable: true};
 }
 
 async function _getLatestConfig(ledgerNode) {
@@ -3,8 +3,10 @@
  */
 'use strict';
 
+const _metrics = require('../metrics');
 const _peers = require('../peers');
-const {config} = require('bedrock');
+const {config, util: {BedrockError}} = require('bedrock');
+const brLedgerNode = require('bedrock-ledger-node');
 const logger = require('../logger');
 
 module.exports = class GossipPeer {
@@ -42,8 +44,9 @@ module.exports = class GossipPeer {
       return;
     }
     const {worker: {ledgerNode}} = this;
-    await _peers.delete({ledgerNode});
+    await _peers.delete({ledgerNode, id: this.id});
     this._deleted = true;
+    _metrics.deletePeer({ledgerNodeId: this.ledgerNodeId, peerId: this.id});
   }
 
   isRecommended() {
@@ -54,6 +57,10 @@ module.exports = class GossipPeer {
     return this._deleted;
   }
 
+  isPinned() {
+    return _peers.isPinned({ledgerNodeId: this.ledgerNodeId, peerId: this.id});
+  }
+
   isNotifier() {
     return this._peer.status.lastPushAt > this._peer.status.lastPullAt;
   }
@@ -62,16 +69,15 @@ module.exports = class GossipPeer {
     return this.worker.isPeerWithheld({peerId: this.id});
   }
 
-  async fail({error, cursor, fatal = false} = {}) {
+  async fail({error, cursor, fatal = false, latency = 0} = {}) {
     logger.error('Gossip peer failure.', {fatal, error});
+    _metrics.recordGossipPull(
+      {ledgerNodeId: this.ledgerNodeId, peerId: this.id, success: false});
 
-    // if the error was fatal (a protocol violation), remove the peer entirely
-    const {_peer, worker: {ledgerNode, consensusState: {witnesses}}} = this;
-    if(fatal) {
-      await this.delete();
-      return;
-    }
-
+    const {
+      _peer,
+      worker: {ledgerNode, consensusState: {blockHeight, witnesses}}
+    } = this;
     const {status} = _peer;
     const {backoff: backoffConfig} =
       config['ledger-consensus-continuity'].gossip;
@@ -81,40 +87,20 @@ module.exports = class GossipPeer {
     delete status.idle;
 
     // handle reputation updates
-    if(status.consecutiveFailures === 1) {
-      // store first failure stats and decrement reputation
-      status.firstFailure = {
-        reputation: _peer.reputation,
-        time: status.lastPullAt
-      };
-      _peer.reputation--;
-    } else {
-      /* Another consecutive failure, compute the new reputation. The new
-      reputation score is based on how long the peer has been detected as
-      failing and the maximum grace period for a max-reputation peer (100).
-
-      A peer with a reputation of `100` will have a reputation of `0` if it
-      continues to have consecutive failures (no successes) for the
-      `maxFailureGracePeriod`. Reputation decreases linearly over this period
-      of time. */
-      const {maxFailureGracePeriod} = backoffConfig;
-      const totalFailTime = Date.now() - status.firstFailure.time;
-      const points = Math.floor(totalFailTime / maxFailureGracePeriod) * 100;
-      const {firstFailure: {reputation: startReputation}} = status;
-      _peer.reputation = Math.min(
-        startReputation - 1, startReputation - points);
+    const isWitness = witnesses.has(_peer.id);
+    const {reputation, remove} = await _getReputationPolicy().onFailure({
+      ledgerNodeId: this.ledgerNodeId, peer: _peer, isWitness, blockHeight,
+      latency, now: status.lastPullAt, error, fatal
+    });
+    // if the policy removes the peer (e.g., due to a protocol violation),
+    // remove the peer entirely unless it is pinned, in which case it will only
+    // be backed off
+    if(remove && !this.isPinned()) {
+      await this.delete();
+      return;
     }
-
-    if(_peer.reputation < 0) {
-      const isWitness = witnesses.has(_peer.id);
-      if(!isWitness) {
-        // peer has no reputation, remove it
-        await this.delete();
-        return;
-      }
-      // do not delete peer if they are presently a witness, just force
-      // their reputation to 0
-      _peer.reputation = 0;
+    if(!await this._setReputation({reputation, isWitness})) {
+      return;
     }
 
     // determine next backoff
@@ -131,42 +117,28 @@ module.exports = class GossipPeer {
     }
 
     // update peer information in mongo peers collection
+    _metrics.setPeerReputation({
+      ledgerNodeId: this.ledgerNodeId, peerId: this.id,
+      reputation: _peer.reputation
+    });
     _peer.sequence++;
     await _peers.update({ledgerNode, peer: _peer});
     return;
   }
 
-  async success({mergeEventsReceived, cursor = null} = {}) {
+  async success({
+    mergeEventsReceived, eventBytes = 0, cursor = null, latency = 0
+  } = {}) {
     // if the peer has a reputation of `0`, it may be dropped...
     const {
       _peer,
       worker: {ledgerNode, consensusState: {blockHeight, witnesses}}
     } = this;
+    _metrics.recordGossipPull(
+      {ledgerNodeId: this.ledgerNodeId, peerId: this.id, success: true});
     const isWitness = witnesses.has(_peer.id);
-    // do not delete peer if they are presently a witness
-    if(!isWitness && _peer.reputation === 0) {
-      /* Note: We have a maximum number of 110 peers that can be stored in
-      the peers collection at any time. We have to assume that some number of
-      the peers we persist are byzantine so we do not want to store too many
-      for fear of degraded performance. If we don't store enough peers, then
-      it may harm our ability to productively transmit merge events around a
-      large network. We also need to allow for untrusted peers to onboard,
-      which we have allocated 10 slots for (the smallest power of ten). We
-      choose the next smallest power of 10 (100) to be the total target
-      number of persistent peers. This means that the peers collection target
-      capacity is 110 in total. */
-      // FIXME: make max peers configurable?
-      // if there is no room for the peer, drop it
-      const peerCount = await ledgerNode.peers.count({maxReputation: 0});
-      if(peerCount >= 100) {
-        await this.delete();
-        return;
-      }
-    }
 
     const {status} = _peer;
-    const {backoff: backoffConfig} =
-      config['ledger-consensus-continuity'].gossip;
     status.backoffUntil = Date.now();
     status.lastPullAt = Date.now();
     status.lastPullResult = 'success';
@@ -177,67 +149,87 @@ module.exports = class GossipPeer {
     status.consecutiveFailures = 0;
     delete status.firstFailure;
 
-    /* Note: It is important that peer reputation accounts not only for
-    successful gossip sessions but for productivity. If a peer is consistently
-    returning success during gossip but sending no new merge events, its
-    reputation should decrease over time -- provided that other peers *are*
-    sending merge events. In other words, if a peer consistently gives us
-    no new merge event but other peers do, we should decrement the reputation
-    of the peer that is not sending us merge events.
-
-    How reputation is computed on successes:
-
-    1. If merge events were received, increase reputation by 1 and clear
-      `status.idle`.
-    2. Otherwise, if there is no `status.idle`, set it to an object
-      tracking the current time and local block height.
-    3. Otherwise, see if the current local block height has changed from
-      what is in `status.idle`.
-    4. If not, update the time to the current time.
-    5. If so, determine the number of whole reputation points that can be
-      subtracted by dividing the `maxIdleGracePeriod` by 100 and multiplying by
-      the time in `status.idle`. Set the new reputation and add the amount of
-      time that corresponds to the whole number of reputation points to the
-      `time` stored in `status.idle`. Update the block height and reputation
-      stored in `status.idle`. */
-    if(mergeEventsReceived) {
-      // increase peer's reputation, it is not idle
-      _peer.reputation = Math.min(100, _peer.reputation + 1);
-      delete status.idle;
-    } else if(!status.idle) {
-      // peer just started idling
-      status.idle = {
-        time: Date.now(),
-        localBlockHeight: blockHeight
-      };
-    } else if(status.idle.localBlockHeight === blockHeight) {
-      // peer is idling but so are other peers, increase idle start time
-      status.idle.time = Date.now();
-    } else {
-      // peer is idling but other peers are advancing, decrement reputation
-      // and set at least a minimal backoff
-      const {maxIdle, maxIdleGracePeriod, minIdle} = backoffConfig;
-      const totalIdleTime = Date.now() - status.idle.time;
-      const timePerPoint = Math.ceil(maxIdleGracePeriod / 100);
-      const points = Math.floor(totalIdleTime / timePerPoint);
-      _peer.reputation -= points;
-      status.idle.time += points * timePerPoint;
-      status.idle.localBlockHeight = blockHeight;
-      status.backoffUntil += Math.min(minIdle * Math.max(1, points), maxIdle);
-      if(_peer.reputation < 0) {
-        if(!isWitness) {
-          await this.delete();
-          return;
-        }
-        // do not delete peer if they are presently a witness, just force
-        // their reputation to 0
-        _peer.reputation = 0;
+    // handle reputation updates
+    const {reputation, backoff} = await _getReputationPolicy().onSuccess({
+      ledgerNodeId: this.ledgerNodeId, peer: _peer, isWitness, blockHeight,
+      latency, now: status.lastPullAt, mergeEventsReceived, eventBytes
+    });
+    status.backoffUntil += backoff;
+
+    // a peer with a reputation of `0` is being onboarded and only becomes
+    // persistent once the policy gives it a reputation; witnesses and pinned
+    // peers are never dropped
+    if(_peer.reputation === 0 && reputation > 0 && !isWitness &&
+      !this.isPinned()) {
+      /* Note: We have a maximum number of peers that can be stored in the
+      peers collection at any time: `peers.maxPersistent` persistent peers
+      plus `peers.onboardingSlots` peers being onboarded (100 and 10 by
+      default, a total of 110). We have to assume that some number of the
+      peers we persist are byzantine so we do not want to store too many for
+      fear of degraded performance. If we don't store enough peers, then it
+      may harm our ability to productively transmit merge events around a
+      large network. We also need to allow for untrusted peers to onboard. */
+      // if there is no room for the peer, drop it
+      if(!await _peers.reservePersistentSlot(
+        {ledgerNode, peerId: _peer.id, witnesses})) {
+        await this.delete();
+        return;
       }
     }
+    if(!await this._setReputation({reputation, isWitness})) {
+      return;
+    }
 
     // update peer information in mongo peers collection
+    _metrics.setPeerReputation({
+      ledgerNodeId: this.ledgerNodeId, peerId: this.id,
+      reputation: _peer.reputation
+    });
     _peer.sequence++;
     await _peers.update({ledgerNode, peer: _peer});
     return;
   }
+
+  /**
+   * Sets the reputation of the peer, deleting it if its reputation is below
+   * `0` and it is neither a witness nor pinned.
+   *
+   * @param reputation {Number} - The new reputation.
+   * @param isWitness {Boolean} - Whether the peer is a witness.
+   *
+   * @return {Promise<Boolean>} resolves to `false` if the peer was deleted.
+   */
+  async _setReputation({reputation, isWitness}) {
+    this._peer.reputation = reputation;
+    if(reputation >= 0) {
+      return true;
+    }
+    if(!(isWitness || this.isPinned())) {
+      // peer has no reputation, remove it
+      await this.delete();
+      return false;
+    }
+    // do not delete peer if they are presently a witness or pinned, just force
+    // their reputation to 0
+    this._peer.reputation = 0;
+    return true;
+  }
 };
+
+/**
+ * Gets the configured reputation policy plugin API.
+ *
+ * @return {object} the policy API.
+ */
+function _getReputationPolicy() {
+  const {gossip: {reputation: {policy}}} =
+    config['ledger-consensus-continuity'];
+  const plugin = brLedgerNode.use(policy);
+  if(plugin.type !== 'continuityReputationPolicy' ||
+    typeof plugin.api.onFailure !== 'function' ||
+    typeof plugin.api.onSuccess !== 'function') {
+    throw new BedrockError(
+      'Reputation policy is invalid.', 'InvalidStateError', {policy});
+  }
+  return plugin.api;
+}
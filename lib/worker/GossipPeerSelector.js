@@ -27,17 +27,22 @@ module.exports = class GossipPeerSelector {
         localPeerId
       }
     } = this;
-    const {records} = await _peers.getCached({ledgerNode});
+    const [{records}, policy] = await Promise.all([
+      _peers.getCached({ledgerNode}),
+      _peers.getAccessPolicy({ledgerNode})
+    ]);
 
     // gather peers to gossip with; can only use peer for gossip if:
     // 1. Its required block height can be processed.
     // 2. It is not backed off.
+    // 3. It is allowed by the peer access policy.
     const gossipCandidates = [];
     const now = Date.now();
     for(const record of records) {
       const {peer} = record;
       if(peer.status.requiredBlockHeight <= maxRequiredBlockHeight &&
-        peer.status.backoffUntil <= now) {
+        peer.status.backoffUntil <= now &&
+        _peers.isAllowedByPolicy({policy, peerId: peer.id})) {
         gossipCandidates.push(record);
       }
     }
@@ -83,6 +88,7 @@ module.exports = class GossipPeerSelector {
     const withheld = [];
     const highCandidateMap = this.highCandidateMap = new Map();
     const lowCandidateMap = this.lowCandidateMap = new Map();
+    const pinnedCandidateMap = this.pinnedCandidateMap = new Map();
     const allHigh = recentNotifiers.concat(high);
     for(const {peer} of allHigh) {
       // the local peer should never be retrievable via `ledgerNode.peers`,
@@ -111,10 +117,24 @@ module.exports = class GossipPeerSelector {
         lowCandidateMap.set(peer.id, gossipPeer);
       }
     }
+    // include all pinned peers that can be gossiped with, reusing any
+    // candidates that have already been created for them
+    for(const {peer} of gossipCandidates) {
+      if(peer.id === localPeerId ||
+        !_peers.isPinned({ledgerNodeId: ledgerNode.id, peerId: peer.id})) {
+        continue;
+      }
+      const gossipPeer = highCandidateMap.get(peer.id) ||
+        lowCandidateMap.get(peer.id) || new GossipPeer({peer, worker});
+      if(!gossipPeer.isWithheld()) {
+        pinnedCandidateMap.set(peer.id, gossipPeer);
+      }
+    }
   }
 
   async selectPullPeers() {
     // Create randomized sets to select from:
+    // 0. pinned peers
     // 1. high reputation peers that have notified
     // 2. low reputation peers that have notified
     // 3. high reputation peers
@@ -123,7 +143,14 @@ module.exports = class GossipPeerSelector {
     const lowNotifiers = [];
     const high = [];
     const low = [];
-    const {highCandidateMap, lowCandidateMap} = this;
+    const pinned = [];
+    const {highCandidateMap, lowCandidateMap, pinnedCandidateMap} = this;
+    for(const gossipPeer of pinnedCandidateMap.values()) {
+      if(gossipPeer.isWithheld() || gossipPeer.isDeleted()) {
+        continue;
+      }
+      pinned.push(gossipPeer);
+    }
     for(const gossipPeer of highCandidateMap.values()) {
       /* Note: We need to skip withheld peers. We can't store that they are
       withheld in the database because this status is not persistent, so they
@@ -131,7 +158,9 @@ module.exports = class GossipPeerSelector {
       a work session afterwhich they will be released with the exception of up
       to one peer, if the local peer is in the middle of committing to it,
       after which it will be released. */
-      if(gossipPeer.isWithheld() || gossipPeer.isDeleted()) {
+      // pinned peers are only selected from their own group
+      if(gossipPeer.isWithheld() || gossipPeer.isDeleted() ||
+        pinnedCandidateMap.has(gossipPeer.id)) {
         continue;
       }
       if(gossipPeer.isNotifier()) {
@@ -141,7 +170,8 @@ module.exports = class GossipPeerSelector {
       }
     }
     for(const gossipPeer of lowCandidateMap.values()) {
-      if(gossipPeer.isWithheld() || gossipPeer.isDeleted()) {
+      if(gossipPeer.isWithheld() || gossipPeer.isDeleted() ||
+        pinnedCandidateMap.has(gossipPeer.id)) {
         continue;
       }
       if(gossipPeer.isNotifier()) {
@@ -151,17 +181,24 @@ module.exports = class GossipPeerSelector {
       }
     }
 
-    // randomly shuffle groups and prep for weighted selection
+    // randomly shuffle groups and prep for weighted selection; pinned peers
+    // are selected `pinnedShare` of the time and the other groups share the
+    // rest
     // FIXME: make percentages configurable
-    const weights = [0.65, 0.20, 0.10, 0.05];
+    const {pinnedShare} = _peers.getLimits(
+      {ledgerNodeId: this.worker.ledgerNode.id});
+    const weights = [pinnedShare].concat(
+      [0.65, 0.20, 0.10, 0.05].map(weight => weight * (1 - pinnedShare)));
     const groups = [
-      // select 65% of the time
+      // select `pinnedShare` of the time
+      _.shuffle(pinned),
+      // select 65% of the remaining time
       _.shuffle(highNotifiers),
-      // select 20% of the time
+      // select 20% of the remaining time
       _.shuffle(lowNotifiers),
-      // select 10% of the time
+      // select 10% of the remaining time
       _.shuffle(high),
-      // select 5% of the time
+      // select 5% of the remaining time
       _.shuffle(low)
     ];
     // make up to 2 weighted selections
@@ -8,8 +8,11 @@ const _cacheKey = require('../cache/cacheKey');
 const _consensus = require('./consensus');
 const _events = require('../events');
 const _localPeers = require('../localPeers');
+const _peers = require('../peers');
 const _witnesses = require('../witnesses');
+const BloomFilter = require('../BloomFilter');
 const bedrock = require('bedrock');
+const brLedgerNode = require('bedrock-ledger-node');
 const cache = require('bedrock-redis');
 const {merge} = require('./merge');
 const logger = require('../logger');
@@ -76,15 +79,10 @@ module.exports = class Worker {
       const {blockRecord, hasEffectiveConfigurationEvent} = await _blocks.write(
         {worker: this, consensusResult});
       if(hasEffectiveConfigurationEvent) {
-        // if the block involved a configuration change, the work session
-        // should terminate and the next work session will use a new LedgerNode
-        // instance with the new ledger configuration
+        // if the block involved a configuration change, continue the work
+        // session with a new LedgerNode instance for the new configuration
         const {nextBlockHeight: blockHeight} = this.consensusState;
-        throw new BedrockError(
-          'Ledger configuration change detected.',
-          'LedgerConfigurationChangeError', {
-            blockHeight
-          });
+        await this._reloadLedgerNode({blockHeight});
       }
 
       // update worker state using new block record and consensus result
@@ -118,6 +116,39 @@ module.exports = class Worker {
     return this._customHalt();
   }
 
+  /**
+   * Gets a snapshot of this worker's state for diagnostics. The snapshot
+   * only contains JSON values.
+   *
+   * @return {Object} The snapshot.
+   */
+  getStatus() {
+    const {
+      consensusState: {
+        blockHeight, previousBlockHash, priorityPeers = [],
+        witnesses = new Set()
+      },
+      head, historyMap, lastLocalContributorConsensus, localPeerId,
+      mergeCommitment, peerChildlessMap, withheld, withheldCache
+    } = this;
+    return {
+      localPeerId,
+      head,
+      consensusState: {
+        blockHeight, previousBlockHash, priorityPeers,
+        witnesses: [...witnesses]
+      },
+      historyMapSize: historyMap.size,
+      peerChildlessMapSize: peerChildlessMap.size,
+      mergeCommitment,
+      withheld: {
+        eventHash: withheld ? withheld.mergeEvent.meta.eventHash : null,
+        peers: withheldCache.keys()
+      },
+      lastLocalContributorConsensus
+    };
+  }
+
   // return whether or not any events have been withheld
   hasWithheldEvents() {
     return !!this.withheld || this.withheldCache.itemCount > 0;
@@ -132,6 +163,9 @@ module.exports = class Worker {
     const localPeerId = await _localPeers.getPeerId({ledgerNodeId});
     this.localPeerId = localPeerId;
 
+    // add any configured bootstrap peers
+    await _peers.addBootstrapPeers({ledgerNode, localPeerId});
+
     // get current head
     this.head = await this._getHead({peerId: localPeerId});
     // no withheld merge event yet
@@ -602,6 +636,65 @@ module.exports = class Worker {
     return headsMap;
   }
 
+  // builds a bloom filter over the non-consensus merge events of other peers
+  // (this method uses memory only); unlike the heads returned by
+  // `_getNonConsensusPeerHeads`, it is not limited by the number of peers
+  // Note: This method is used to get "filters" to send to a remote peer during
+  // gossip to help make it more efficient.
+  _getNonConsensusEventFilter({falsePositiveRate, maxSize} = {}) {
+    const {localPeerId, historyMap} = this;
+    const eventHashes = [];
+    for(const {eventHash, meta} of historyMap.values()) {
+      // do not include own events, the remote peer always skips those that
+      // were created by the requester
+      if(meta.continuity2017.creator !== localPeerId) {
+        eventHashes.push(eventHash);
+      }
+    }
+    if(eventHashes.length === 0) {
+      return null;
+    }
+    const filter = BloomFilter.create(
+      {count: eventHashes.length, falsePositiveRate, maxSize});
+    for(const eventHash of eventHashes) {
+      filter.add(eventHash);
+    }
+    return filter;
+  }
+
+  // replaces the worker's LedgerNode instance after the block at
+  // `blockHeight` made a new ledger configuration effective
+  async _reloadLedgerNode({blockHeight} = {}) {
+    const {ledgerNodeId} = this;
+    const {event: {ledgerConfiguration}} =
+      await this.storage.events.getLatestConfig();
+    if(ledgerConfiguration.consensusMethod !== 'Continuity2017') {
+      // a different consensus method will be used for the ledger, so the
+      // work session must terminate
+      throw new BedrockError(
+        'Ledger configuration change detected.',
+        'LedgerConfigurationChangeError', {
+          blockHeight
+        });
+    }
+
+    logger.verbose(
+      'Reloading ledger node for new ledger configuration.',
+      {ledgerNodeId, blockHeight, sequence: ledgerConfiguration.sequence});
+    const ledgerNode = await brLedgerNode.get(null, ledgerNodeId);
+    this.ledgerNode = ledgerNode;
+    this.storage = ledgerNode.storage;
+    // the rest of the work session must also use the new instance
+    this.session.ledgerNode = ledgerNode;
+    // keep any peer events that have not yet been written
+    this.peerEventWriter.ledgerNode = ledgerNode;
+    this.peerEventWriter.storage = ledgerNode.storage;
+
+    // witnesses for later blocks may have been computed using the previous
+    // ledger configuration
+    _witnesses.clearCache({ledgerNodeId, minBlockHeight: blockHeight + 1});
+  }
+
   // default halt function
   _halt() {
     // expire session early, with 5 second buffer for overruns
@@ -909,16 +1002,11 @@ module.exports = class Worker {
       consensusState.priorityPeers = [];
     }
 
-    // init/re-init continuity state for running continuity algorithm for
-    // the next block
-    consensusState.continuityState = {
-      init: false,
-      eventMap: new Map(),
-      blockHeight: -1,
-      hashToMemo: new Map(),
-      symbolToMemo: new Map(),
-      supportCache: new Map()
-    };
+    // init/re-init consensus engine states for the next block, key'd by
+    // engine name so that engines never share a state object
+    consensusState.engineStates = {};
+    // separate states for any shadow consensus engine
+    consensusState.shadowStates = {};
   }
 
   // called whenever new valid peer events have been added to the database
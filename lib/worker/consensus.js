@@ -4,9 +4,12 @@
 'use strict';
 
 const _cache = require('../cache');
-const _continuity = require('../continuity');
 const _history = require('../history');
+const _shadow = require('./shadow');
+const bedrock = require('bedrock');
+const brLedgerNode = require('bedrock-ledger-node');
 const logger = require('../logger');
+const {BedrockError} = bedrock.util;
 
 // load config defaults
 require('../config');
@@ -15,6 +18,45 @@ require('../config');
 const api = {};
 module.exports = api;
 
+/* Consensus engines are plugins of type `continuityConsensusEngine` that are
+registered via `brLedgerNode.use(name, {api, type})`; the engine to use is
+selected via `config['ledger-consensus-continuity'].consensus.engine`. The
+reference engine is `Continuity2017Engine` (see `../continuity.js`).
+
+An engine's `api` must provide `findConsensus` (sync or async), called with:
+
+  ledgerNodeId: the ID of the local ledger node.
+  history: `{events}` where `events` is an array of shallow copies of the
+    non-consensus merge event summaries: `{eventHash, event: {basisBlockHeight,
+    parentHash, treeHash}, meta: {continuity2017: {creator, generation,
+    localReplayNumber, replayDetectedBlockHeight}}}`; an engine may attach
+    its own properties to these copies.
+  blockHeight: the height of the block to be created next.
+  witnesses: the `Set` of witness peer IDs for `blockHeight`.
+  state: an object that is reset whenever a block is written and that an
+    engine may use to cache information across calls for `blockHeight`; each
+    engine is given its own state object.
+  logger: the logger to use.
+
+It must return (or resolve to) either:
+
+  `{consensus: false, priorityPeers}` where `priorityPeers` is an array of
+    peer IDs that may help achieve consensus most readily, or
+  `{consensus: true, eventHashes: {mergeEventHashes, parentHashes,
+    blockOrdering}, consensusProofHashes, creators}` where `mergeEventHashes`
+    are the merge events that reached consensus, `parentHashes` are any other
+    parents of those merge events, `blockOrdering` is the deterministic block
+    order for both, `consensusProofHashes` identifies the consensus set, and
+    `creators` are the witnesses that created merge events in it.
+
+Engines do not need to handle replays; replay detection is performed here
+on `mergeEventHashes` for any engine.
+
+A second engine may be configured via `consensus.shadowEngine`; it is run on
+the same history, after the primary engine's result has been returned, and
+any divergence from the primary engine is recorded (see `./shadow.js`), but
+its result is never used to write blocks. */
+
 /**
  * Determine if any new merge events have reached consensus via the given
  * worker.
@@ -44,21 +86,37 @@ api.find = async ({worker}) => {
   // get block height to use for consensus based on the "next" block height
   // for the block to be added next to the blockchain
   const {ledgerNode, consensusState} = worker;
-  const {nextBlockHeight: blockHeight, continuityState: state, witnesses} =
-    consensusState;
+  const {
+    nextBlockHeight: blockHeight, engineStates, shadowStates, witnesses
+  } = consensusState;
 
-  logger.verbose('Start sync _continuity.findConsensus', {witnesses});
+  const {engine, api: {findConsensus}} = api.getEngine();
+  const state = _getEngineState({states: engineStates, engine});
+
+  // snapshot history for the shadow engine, if any, before it is modified
+  const snapshot = _shadow.prepare({ledgerNodeId: ledgerNode.id, history});
+
+  logger.verbose('Start findConsensus', {engine, witnesses});
   const timer = new _cache.Timer();
   timer.start({name: 'findConsensus', ledgerNodeId: ledgerNode.id});
   let result;
   try {
-    result = _continuity.findConsensus({
+    result = await findConsensus({
       ledgerNodeId: ledgerNode.id, history, blockHeight,
       witnesses, state, logger
     });
   } finally {
     const duration = await timer.stop();
-    logger.verbose('End sync _continuity.findConsensus', {duration});
+    logger.verbose('End findConsensus', {engine, duration});
+  }
+  _validateResult({engine, result});
+
+  if(snapshot) {
+    // the shadow result is only recorded, never used, so do not wait for it
+    _shadow.schedule({
+      ledgerNodeId: ledgerNode.id, snapshot, blockHeight, witnesses,
+      states: shadowStates, engine, result
+    });
   }
 
   // no consensus found
@@ -140,3 +198,58 @@ api.find = async ({worker}) => {
     witnesses
   };
 };
+
+/**
+ * Gets the configured consensus engine plugin.
+ *
+ * @return an object with `engine` (the name of the engine), `api`, and
+ *   `type`.
+ */
+api.getEngine = () => {
+  const {consensus: {engine}} = bedrock.config['ledger-consensus-continuity'];
+  const plugin = brLedgerNode.use(engine);
+  if(plugin.type !== 'continuityConsensusEngine' ||
+    typeof plugin.api.findConsensus !== 'function') {
+    throw new BedrockError(
+      'Consensus engine is invalid.', 'InvalidStateError', {engine});
+  }
+  return {engine, ...plugin};
+};
+
+/**
+ * Gets the state object for the given consensus engine from the given
+ * states, creating it if necessary. Each engine has its own state object as
+ * engines may store differently shaped information in it.
+ *
+ * @param states the engine states for the current block, key'd by engine.
+ * @param engine the name of the engine.
+ *
+ * @return the engine's state object.
+ */
+function _getEngineState({states, engine}) {
+  if(!states[engine]) {
+    states[engine] = {init: false};
+  }
+  return states[engine];
+}
+
+function _validateResult({engine, result}) {
+  let valid;
+  if(result && result.consensus === false) {
+    valid = Array.isArray(result.priorityPeers);
+  } else if(result && result.consensus === true) {
+    const {eventHashes, consensusProofHashes, creators} = result;
+    valid = !!eventHashes &&
+      Array.isArray(eventHashes.mergeEventHashes) &&
+      Array.isArray(eventHashes.parentHashes) &&
+      Array.isArray(eventHashes.blockOrdering) &&
+      Array.isArray(consensusProofHashes) &&
+      Array.isArray(creators);
+  }
+  if(!valid) {
+    throw new BedrockError(
+      'Consensus engine returned an invalid result.', 'InvalidStateError', {
+        engine
+      });
+  }
+}
@@ -5,6 +5,7 @@
 
 const _cache = require('../cache');
 const _client = require('../client');
+const _gossipEncoding = require('../gossipEncoding');
 const _peers = require('../peers');
 const _peerEvents = require('../peerEvents');
 const bedrock = require('bedrock');
@@ -86,6 +87,9 @@ exports.runGossipCycle = async ({worker, needsGossip}) => {
   return {mergeEventsReceived, busy};
 };
 
+// exposed for testing
+exports._gw = _gw;
+
 exports.sendNotification = async ({ledgerNodeId, peerSelector} = {}) => {
   // notify all selected peers in parallel
   const peers = await peerSelector.selectNotifyPeers();
@@ -101,56 +105,115 @@ exports.sendNotification = async ({ledgerNodeId, peerSelector} = {}) => {
 };
 
 async function _gw({worker, peer}) {
+  const {'ledger-consensus-continuity': {gossip: {stream}}} = bedrock.config;
+  if(!stream.enabled) {
+    return _gwPartition({worker, peer});
+  }
+
+  // open a stream of history batches from the server
+  const startTime = Date.now();
+  let history;
+  let filterSent;
+  try {
+    ({history, filterSent} = await _getHistoryStream({worker, peer}));
+  } catch(error) {
+    if(error.details && error.details.httpStatusCode === 404) {
+      // peer does not support streaming gossip
+      return _gwPartition({worker, peer});
+    }
+    return _fail({peer, error, startTime});
+  }
+
+  // add each batch as soon as it has been received so that later batches,
+  // which may descend from earlier ones, can be validated
+  let mergeEventsReceived = 0;
+  let eventBytes = 0;
+  let samplePeers = [];
+  let {cursor} = peer.getStatus();
+  let batches = 0;
+  let invalid;
+  try {
+    for await (const message of history) {
+      if(message.type === 'info') {
+        ({samplePeers} = message);
+        continue;
+      }
+      const batchResult = await _addStreamBatch({
+        worker, peer, eventHashes: message.eventHash, events: message.events,
+        messageBytes: _gossipEncoding.getMessageSize(message)
+      });
+      if(!batchResult.valid) {
+        invalid = batchResult;
+        break;
+      }
+      batches++;
+      mergeEventsReceived += batchResult.mergeEventsReceived;
+      eventBytes += batchResult.eventBytes;
+      // if the batch indicates that events were "withheld", then do not
+      // store its cursor and stop, keep the last one
+      if(batchResult.withheld) {
+        break;
+      }
+      ({cursor} = message);
+    }
+  } catch(error) {
+    // a peer that violates protocol part way through the stream must not be
+    // credited with the batches it sent before doing so
+    const fatal = ['DataError', 'ValidationError'].includes(error.name);
+    if(batches === 0 || fatal) {
+      return _fail({peer, error, fatal, startTime});
+    }
+    // the stream was aborted after valid batches were received (e.g., due to
+    // a connection failure), keep the batches that were added
+    logger.debug(
+      'A non-critical error occurred during gossip streaming.',
+      {peer: peer.id, error});
+  }
+  if(invalid) {
+    return _handleInvalidBatch(
+      {peer, batchResult: invalid, filterSent, startTime});
+  }
+
+  await _addSamplePeers({worker, samplePeers});
+
+  // consider gossip session a success
+  // store `cursor` that indicates what to request in subsequent call
+  await peer.success({
+    mergeEventsReceived, eventBytes, cursor, latency: Date.now() - startTime
+  });
+  return {mergeEventsReceived, cursor, success: true};
+}
+
+async function _gwPartition({worker, peer}) {
   let mergeEventsReceived = 0;
+  let eventBytes = 0;
 
   // get needed events from server
+  const startTime = Date.now();
+  let request;
   let result;
   try {
-    result = await _getNeeded({worker, peer});
+    request = await _getHistoryRequest({worker, peer});
+    result = await _getNeeded({worker, request});
   } catch(error) {
-    // do not throw; an error communicating with a peer does not prevent a
-    // critical change in state, so it should not terminate the work session
-    logger.debug(
-      'A non-critical error occurred during gossip', {peer: peer.id, error});
-
-    // record connection/timeout error as non-fatal
-    // FIXME: ensure that all client errors properly report as data errors
-    // and not just network errors if it's clear that the remote peer is
-    // not speaking (or violating) protocol
-    const fatal = error.name === 'DataError';
-    await peer.fail({error, fatal});
-    return {mergeEventsReceived, cursor: null, success: false};
+    return _fail({peer, error, startTime});
   }
 
   // download was successful; now process what was downloaded...
-  const {events, neededHashes} = result;
+  const {events, eventBytes: receivedBytes, neededHashes} = result;
   if(events.length > 0) {
     // try to add the batch of events received (this will validate the events
     // and the operations therein)
-    const batchResult = await _peerEvents.addBatch(
-      {worker, events, neededHashes, remotePeerId: peer.id});
-    const {valid, error, fatal} = batchResult;
-    if(!valid) {
-      // record gossip session as a failure due to invalid events; this is
-      // non-critical to our work session, but could be a fatal error for the
-      // remote peer
-      logger.debug(
-        'A non-critical error occurred during gossip batch processing.',
-        {peer: peer.id, error});
-
-      // if the error was not fatal and was a local event validation service
-      // timeout error, return early without writing success or failure to
-      // the gossip peer
-      if(!fatal && error.name === 'TimeoutError') {
-        const {cursor} = peer.getStatus();
-        return {mergeEventsReceived: 0, cursor, success: false};
-      }
-
-      await peer.fail({error, fatal});
-      return {mergeEventsReceived, cursor: null, success: false};
+    const batchResult = await _peerEvents.addBatch({
+      worker, events, eventBytes: receivedBytes, neededHashes,
+      remotePeerId: peer.id
+    });
+    if(!batchResult.valid) {
+      const filterSent = !!request.peerHeadsFilter;
+      return _handleInvalidBatch({peer, batchResult, filterSent, startTime});
     }
     // update merge events received
-    ({mergeEventsReceived} = batchResult);
+    ({mergeEventsReceived, eventBytes} = batchResult);
 
     // if the `batchResult` indicates that events were "withheld", then do not
     // store the cursor, keep the last one
@@ -162,60 +225,155 @@ async function _gw({worker, peer}) {
     }
   }
 
-  // add sample peers
-  const {ledgerNode} = worker;
-  let {samplePeers} = result;
-  // do not add self, if present in sample peers
-  const {localPeerId} = worker;
-  samplePeers = samplePeers.filter(p => p.id !== localPeerId);
-  await Promise.all(samplePeers.map(remotePeer =>
-    _peers.optionallyAdd({ledgerNode, remotePeer, localPeerId})));
+  await _addSamplePeers({worker, samplePeers: result.samplePeers});
 
   // consider gossip session a success
   // store `cursor` that indicates what to request in subsequent call
   const {cursor} = result;
-  await peer.success({mergeEventsReceived, cursor});
+  await peer.success({
+    mergeEventsReceived, eventBytes, cursor, latency: Date.now() - startTime
+  });
   return {mergeEventsReceived, cursor, success: true};
 }
 
-async function _getNeeded({worker, peer}) {
-  const {localPeerId, ledgerNode} = worker;
+async function _fail({
+  peer, error, fatal = error.name === 'DataError', startTime
+}) {
+  // do not throw; an error communicating with a peer does not prevent a
+  // critical change in state, so it should not terminate the work session
+  logger.debug(
+    'A non-critical error occurred during gossip', {peer: peer.id, error});
+
+  // record connection/timeout error as non-fatal
+  // FIXME: ensure that all client errors properly report as data errors
+  // and not just network errors if it's clear that the remote peer is
+  // not speaking (or violating) protocol
+  await peer.fail({error, fatal, latency: Date.now() - startTime});
+  return {mergeEventsReceived: 0, cursor: null, success: false};
+}
+
+async function _handleInvalidBatch({
+  peer, batchResult, filterSent = false, startTime
+}) {
+  // record gossip session as a failure due to invalid events; this is
+  // non-critical to our work session, but could be a fatal error for the
+  // remote peer
+  const {error} = batchResult;
+  let {fatal} = batchResult;
+  logger.debug(
+    'A non-critical error occurred during gossip batch processing.',
+    {peer: peer.id, error});
+
+  // if the error was not fatal and was a local event validation service
+  // timeout error, return early without writing success or failure to
+  // the gossip peer
+  if(!fatal && error.name === 'TimeoutError') {
+    const {cursor} = peer.getStatus();
+    return {mergeEventsReceived: 0, cursor, success: false};
+  }
+
+  // when a bloom filter was sent with the request, a false positive may cause
+  // the remote peer to omit a parent event; the next request uses a different
+  // filter
+  if(fatal && filterSent && error.details && error.details.missingParent) {
+    fatal = false;
+  }
+
+  await peer.fail({error, fatal, latency: Date.now() - startTime});
+  return {mergeEventsReceived: 0, cursor: null, success: false};
+}
+
+async function _addSamplePeers({worker, samplePeers = []}) {
+  const {ledgerNode, localPeerId} = worker;
+  // do not add self, if present in sample peers
+  samplePeers = samplePeers.filter(p => p.id !== localPeerId);
+  await Promise.all(samplePeers.map(remotePeer =>
+    _peers.optionallyAdd({ledgerNode, remotePeer, localPeerId})));
+}
+
+async function _addStreamBatch({
+  worker, peer, eventHashes, events, messageBytes
+}) {
+  // the server sends every event in the batch, only add those that are
+  // still needed
+  const neededHashes = eventHashes.length === 0 ? [] :
+    await _diff({worker, eventHashes});
+  if(neededHashes.length === 0) {
+    return {valid: true, mergeEventsReceived: 0, eventBytes: 0};
+  }
+  const needSet = new Set(neededHashes);
+  const neededEvents = events.filter((e, i) => needSet.has(eventHashes[i]));
+  // only the size of the whole batch is known, so credit the needed events
+  // with their share of it
+  const eventBytes = Math.round(
+    messageBytes * neededEvents.length / events.length);
+  return _peerEvents.addBatch({
+    worker, events: neededEvents, eventBytes, neededHashes,
+    remotePeerId: peer.id
+  });
+}
+
+async function _getHistoryRequest({worker, peer}) {
+  // get non-consensus peer heads and latest `blockHeight` to send to server
+  // as well as current peer status; set `peerLimit` to the maximum batch
+  // size
+  const {'ledger-consensus-continuity': {gossip}} = bedrock.config;
+  const peerLimit = gossip.maxEvents;
+  const peerHeadsMap = await worker._getNonConsensusPeerHeads(
+    {countPerPeer: 2, peerLimit});
+  // a bloom filter over all non-consensus events, if enabled, lets the
+  // server skip events from creators that do not fit in `peerHeadsMap`
+  let peerHeadsFilter = null;
+  if(gossip.peerHeadsFilter.enabled) {
+    const {falsePositiveRate, maxSize} = gossip.peerHeadsFilter;
+    peerHeadsFilter = worker._getNonConsensusEventFilter(
+      {falsePositiveRate, maxSize});
+  }
+  const {blockHeight: basisBlockHeight} = worker.consensusState;
+  let localEventNumber;
+
+  // ensure that the peer status `cursor` information is used
+  const peerStatus = peer.getStatus();
+  if(peerStatus.cursor) {
+    // use cursor's `localEventNumber` if present and non-zero
+    if(peerStatus.cursor.localEventNumber) {
+      ({localEventNumber} = peerStatus.cursor);
+    }
+  }
 
-  // communicate the latest block height and any creator heads beyond it to
-  // the peer
   // FIXME: fix access of private `_peer`
   const remotePeer = {id: peer._peer.id, url: peer._peer.url};
+  const {ledgerNodeId, localPeerId} = worker;
+  return {
+    basisBlockHeight, ledgerNodeId, localPeerId, peerHeadsMap, peerHeadsFilter,
+    remotePeer, localEventNumber
+  };
+}
+
+async function _getHistoryStream({worker, peer}) {
+  const request = await _getHistoryRequest({worker, peer});
+  logger.verbose('Start _getHistoryStream', {remotePeer: request.remotePeer});
+  const history = await _client.getHistoryStream(request);
+  return {history, filterSent: !!request.peerHeadsFilter};
+}
+
+async function _getNeeded({worker, request}) {
+  const {ledgerNode} = worker;
+
+  // communicate the latest block height and any creator heads beyond it to
+  // the peer via `request`
+  const {remotePeer} = request;
   logger.verbose('Start _getNeeded', {remotePeer});
   const startTime = Date.now();
   try {
-    // get non-consensus peer heads and latest `blockHeight` to send to server
-    // as well as current peer status; set `peerLimit` to the maximum batch
-    // size
-    const {'ledger-consensus-continuity': {gossip}} = bedrock.config;
-    const peerLimit = gossip.maxEvents;
-    const peerHeadsMap = await worker._getNonConsensusPeerHeads(
-      {countPerPeer: 2, peerLimit});
-    const {blockHeight: basisBlockHeight} = worker.consensusState;
-    let localEventNumber;
-
-    // ensure that the peer status `cursor` information is used
-    const peerStatus = peer.getStatus();
-    if(peerStatus.cursor) {
-      // use cursor's `localEventNumber` if present and non-zero
-      if(peerStatus.cursor.localEventNumber) {
-        ({localEventNumber} = peerStatus.cursor);
-      }
-    }
-
-    const result = await _client.getHistory({
-      basisBlockHeight, localPeerId, peerHeadsMap, remotePeer,
-      localEventNumber
-    });
+    const result = await _client.getHistory(request);
 
     const {batch, cursor, samplePeers = []} = result;
     if(batch.eventHash.length === 0) {
       // peer has nothing to share
-      return {events: [], neededHashes: [], cursor, samplePeers};
+      return {
+        events: [], eventBytes: 0, neededHashes: [], cursor, samplePeers
+      };
     }
 
     // check to see what's needed from the peer by diffing with the cache
@@ -230,7 +388,7 @@ async function _getNeeded({worker, peer}) {
       // track of this so subsequent calls can use it to prevent the client
       // from getting stuck if more events are required from the server to make
       // the next block
-      return {events: [], neededHashes, cursor, samplePeers};
+      return {events: [], eventBytes: 0, neededHashes, cursor, samplePeers};
     }
 
     const timer = new _cache.Timer();
@@ -238,11 +396,11 @@ async function _getNeeded({worker, peer}) {
       name: 'eventsDownloadDurationMs',
       ledgerNodeId: ledgerNode.id
     });
-    const events = await _client.getEvents(
-      {eventHashes: neededHashes, remotePeer});
+    const {events, eventBytes} = await _client.getEvents(
+      {eventHashes: neededHashes, ledgerNodeId: ledgerNode.id, remotePeer});
     timer.stop();
 
-    return {events, neededHashes, cursor, samplePeers};
+    return {events, eventBytes, neededHashes, cursor, samplePeers};
   } catch(e) {
     throw e;
   } finally {
@@ -4,6 +4,7 @@
 'use strict';
 
 const _ = require('lodash');
+const _peers = require('../peers');
 const bedrock = require('bedrock');
 const logger = require('../logger');
 const pipeline = require('./pipeline');
@@ -18,10 +19,14 @@ module.exports = api;
 
 // exposed for testing
 api.Worker = Worker;
+api.shadow = require('./shadow');
 
 // temporary hack to access/update ledger node meta
 const _ledgerNodeMeta = require('../temporaryLedgerNodeMeta');
 
+// ledgerNodeId => worker for work sessions running in this process
+const _activeWorkers = new Map();
+
 api.scheduleWork = async ({session}) => {
   // start a consensus session for ledgers
   const maxAge =
@@ -42,7 +47,38 @@ api._run = async ({ledgerNode, mergeOptions, targetCycles = 1}) => {
     }
   });
   // force pipeline to run a certain number of times
-  return pipeline.run({worker, mergeOptions, targetCycles});
+  return _runPipeline({worker, mergeOptions, targetCycles});
+};
+
+/**
+ * Gets diagnostic information about a ledger node: the state of the worker
+ * for its work session, if one is running in this process, and the result
+ * of the last gossip pull from each of its peers.
+ *
+ * @param ledgerNode the ledger node.
+ *
+ * @return a Promise that resolves to `{ledgerNodeId, worker, peers}` where
+ *   `worker` is `null` if no work session is running in this process.
+ */
+api.getStatus = async ({ledgerNode}) => {
+  const {id: ledgerNodeId} = ledgerNode;
+  const worker = _activeWorkers.get(ledgerNodeId);
+  const records = await _peers.getAll({ledgerNode});
+  const peers = records.map(({peer: {id, url, reputation, status}}) => {
+    const {
+      backoffUntil, consecutiveFailures, cursor, lastPullAt, lastPullResult,
+      lastPushAt
+    } = status;
+    return {
+      id, url, reputation, backoffUntil, consecutiveFailures, cursor,
+      lastPullAt, lastPullResult, lastPushAt
+    };
+  });
+  return {
+    ledgerNodeId,
+    worker: worker ? worker.getStatus() : null,
+    peers
+  };
 };
 
 async function _guardedRun(session) {
@@ -58,5 +94,18 @@ async function _guardedRun(session) {
   }
   // ready to run pipeline
   const worker = new Worker({session});
-  return pipeline.run({worker});
+  return _runPipeline({worker});
+}
+
+async function _runPipeline({worker, ...options}) {
+  // track the worker so its state can be inspected via `getStatus`
+  const {ledgerNodeId} = worker;
+  _activeWorkers.set(ledgerNodeId, worker);
+  try {
+    return await pipeline.run({worker, ...options});
+  } finally {
+    if(_activeWorkers.get(ledgerNodeId) === worker) {
+      _activeWorkers.delete(ledgerNodeId);
+    }
+  }
 }
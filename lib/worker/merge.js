@@ -3,9 +3,9 @@
  */
 'use strict';
 
-const _cache = require('../cache');
 const _continuityConstants = require('../continuityConstants');
 const _events = require('../events');
+const _operationQueue = require('../operationQueue');
 const _peers = require('../peers');
 const _signature = require('../signature');
 const _util = require('../util');
@@ -165,7 +165,7 @@ async function _prepareNextMerge({
     worker.hasWithheldEvents() ||
     // keep track of whether or not the cache has been hit for later
     (hasOutstandingLocalOperations =
-      !await _cache.operations.isEmpty({ledgerNodeId})) ||
+      !await _operationQueue.isEmpty({ledgerNodeId})) ||
     await hasOutstandingRegularEvents({basisBlockHeight});
 
   // determine if peer is a witness
@@ -223,7 +223,7 @@ async function _prepareNextMerge({
     // due to short-circuiting), true, or false
     hasOutstandingLocalOperations === true ||
     (hasOutstandingLocalOperations === undefined &&
-      !await _cache.operations.isEmpty({ledgerNodeId}));
+      !await _operationQueue.isEmpty({ledgerNodeId}));
 
   // determine if peer is a priority peer; priority peers must be witnesses,
   // and if `witnesses` are not given, assume all nodes are witnesses and if
@@ -3,6 +3,7 @@
  */
 'use strict';
 
+const _ledgerConfiguration = require('../ledgerConfiguration');
 const bedrock = require('bedrock');
 const {config} = require('bedrock');
 const delay = require('delay');
@@ -119,9 +120,14 @@ async function _runPipeline({
       // 3. refresh peer candidates to gossip with concurrently w/merge
       const refreshGossipPeersPromise = peerSelector.refreshCandidates();
 
-      // 4. if not busy, merge if possible and send notification as needed
+      // 4. if not busy, add any scheduled configuration changes, merge if
+      // possible and send notification as needed; configuration events are
+      // added here, along with local regular events, so that they are merged
+      // right away
       let hasOutstandingOperations = false;
       if(!busy) {
+        await _ledgerConfiguration.addScheduledChanges(
+          {ledgerNode: worker.ledgerNode, worker});
         const [{merged, status: mergeStatus}] = await Promise.all([
           worker.merge(mergeOptions),
           refreshGossipPeersPromise
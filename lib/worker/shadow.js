@@ -0,0 +1,326 @@
+/*!
+ * Copyright (c) 2017-2021 Digital Bazaar, Inc. All rights reserved.
+ */
+'use strict';
+
+const _ = require('lodash');
+const bedrock = require('bedrock');
+const {config} = bedrock;
+const brLedgerNode = require('bedrock-ledger-node');
+const crypto = require('crypto');
+const database = require('bedrock-mongodb');
+const logger = require('../logger');
+const {BedrockError} = bedrock.util;
+
+// load config defaults
+require('../config');
+
+// module API
+const api = {};
+module.exports = api;
+
+const COLLECTION = 'continuity2017_shadow_divergence';
+
+// shadow comparisons for each ledger node, key'd by ledger node ID; each
+// entry has the options for the next comparison to run, if any, and a
+// promise that resolves once no more comparisons are pending
+const _comparisons = new Map();
+
+bedrock.events.on('bedrock-mongodb.ready', async () => {
+  await database.openCollections([COLLECTION]);
+  await database.createIndexes([{
+    collection: COLLECTION,
+    fields: {ledgerNodeId: 1, blockHeight: 1},
+    options: {unique: false, background: false}
+  }]);
+});
+
+/**
+ * Gets the configured shadow consensus engine plugin, if any.
+ *
+ * @return `null` or an object with `engine` (the name of the engine), `api`,
+ *   and `type`.
+ */
+api.getEngine = () => {
+  const {consensus: {shadowEngine: engine}} =
+    bedrock.config['ledger-consensus-continuity'];
+  if(!engine) {
+    return null;
+  }
+  const plugin = brLedgerNode.use(engine);
+  if(plugin.type !== 'continuityConsensusEngine' ||
+    typeof plugin.api.findConsensus !== 'function') {
+    throw new BedrockError(
+      'Shadow consensus engine is invalid.', 'InvalidStateError', {engine});
+  }
+  return {engine, ...plugin};
+};
+
+/**
+ * Creates a snapshot of the given history that can be given to the shadow
+ * consensus engine and persisted. This must be called before the history is
+ * given to any consensus engine as engines may attach data to its events.
+ *
+ * @param history the history to snapshot.
+ *
+ * @return the snapshot.
+ */
+api.snapshot = ({history}) => ({
+  events: history.events.map(({eventHash, event, meta}) =>
+    ({eventHash, event, meta}))
+});
+
+/**
+ * Snapshots the given history for the shadow consensus engine if one is
+ * configured (see `snapshot`). Errors, such as an invalid shadow engine, are
+ * only logged so that the shadow engine cannot affect the blockchain.
+ *
+ * @param ledgerNodeId the ID of the ledger node.
+ * @param history the history to snapshot.
+ *
+ * @return `null` if there is no valid shadow engine, otherwise the snapshot.
+ */
+api.prepare = ({ledgerNodeId, history}) => {
+  try {
+    return api.getEngine() ? api.snapshot({history}) : null;
+  } catch(error) {
+    logger.error('Shadow consensus failed.', {ledgerNodeId, error});
+    return null;
+  }
+};
+
+/**
+ * Schedules a shadow comparison (see `compare`) to run after the current
+ * call to find consensus has returned so that the shadow engine does not
+ * delay the primary engine. Comparisons for the same ledger node run one at
+ * a time; if another comparison is scheduled before a pending one has
+ * started, the pending one is skipped in favor of the latest.
+ *
+ * @param options the options for `compare`.
+ */
+api.schedule = options => {
+  const {ledgerNodeId} = options;
+  let entry = _comparisons.get(ledgerNodeId);
+  if(entry) {
+    if(entry.next) {
+      logger.verbose('Skipping shadow consensus comparison.', {
+        ledgerNodeId, blockHeight: entry.next.blockHeight
+      });
+    }
+    entry.next = options;
+    return;
+  }
+  entry = {next: options, done: null};
+  _comparisons.set(ledgerNodeId, entry);
+  entry.done = _runComparisons({ledgerNodeId, entry});
+};
+
+/**
+ * Waits for any scheduled shadow comparisons for a ledger node to complete.
+ *
+ * @param ledgerNodeId the ID of the ledger node.
+ *
+ * @return a Promise that resolves once no comparisons are pending.
+ */
+api.waitForComparisons = async ({ledgerNodeId}) => {
+  const entry = _comparisons.get(ledgerNodeId);
+  if(entry) {
+    await entry.done;
+  }
+};
+
+/**
+ * Runs the shadow consensus engine against a snapshot of the history that
+ * the primary engine used and persists any divergence between the two
+ * results. The shadow result is never returned and errors are only logged so
+ * that the shadow engine cannot affect the blockchain.
+ *
+ * @param ledgerNodeId the ID of the ledger node.
+ * @param snapshot the history snapshot (see `snapshot`).
+ * @param blockHeight the block height consensus was run for.
+ * @param witnesses the witnesses for `blockHeight`.
+ * @param states the shadow engine states for `blockHeight`, key'd by engine.
+ * @param engine the name of the primary engine.
+ * @param result the primary engine's result.
+ *
+ * @return a Promise that resolves to `null` or the divergence record that
+ *   was persisted.
+ */
+api.compare = async ({
+  ledgerNodeId, snapshot, blockHeight, witnesses, states, engine, result
+}) => {
+  try {
+    const shadow = api.getEngine();
+    if(!states[shadow.engine]) {
+      states[shadow.engine] = {init: false};
+    }
+    const state = states[shadow.engine];
+    const shadowResult = await shadow.api.findConsensus({
+      ledgerNodeId, history: _copy(snapshot), blockHeight, witnesses, state,
+      logger
+    });
+    const differences = api.diff({result, shadowResult});
+    if(differences.length === 0) {
+      return null;
+    }
+    logger.warning('Shadow consensus engine diverged.', {
+      ledgerNodeId, blockHeight, differences,
+      engine, shadowEngine: shadow.engine
+    });
+    const record = {
+      ledgerNodeId,
+      blockHeight,
+      differences,
+      input: {
+        ledgerNodeId, blockHeight, witnesses: [...witnesses],
+        history: snapshot, historyHash: _hash(snapshot)
+      },
+      primary: {engine, result: _summarize(result)},
+      shadow: {engine: shadow.engine, result: _summarize(shadowResult)},
+      meta: {created: Date.now()}
+    };
+    _limitSize(record);
+    await database.collections[COLLECTION].insertOne(record);
+    return record;
+  } catch(error) {
+    logger.error('Shadow consensus failed.', {ledgerNodeId, error});
+    return null;
+  }
+};
+
+/**
+ * Finds the differences between a primary and shadow consensus result.
+ *
+ * @param result the primary result.
+ * @param shadowResult the shadow result.
+ *
+ * @return an array containing any of `consensus`, `consensusSet`,
+ *   `blockOrdering`, or `priorityPeers`.
+ */
+api.diff = ({result, shadowResult}) => {
+  if(result.consensus !== shadowResult.consensus) {
+    return ['consensus'];
+  }
+  const differences = [];
+  if(!result.consensus) {
+    if(!_sameMembers(result.priorityPeers, shadowResult.priorityPeers)) {
+      differences.push('priorityPeers');
+    }
+    return differences;
+  }
+  if(!_sameMembers(
+    result.consensusProofHashes, shadowResult.consensusProofHashes)) {
+    differences.push('consensusSet');
+  }
+  if(!_.isEqual(
+    result.eventHashes.blockOrdering,
+    shadowResult.eventHashes.blockOrdering)) {
+    differences.push('blockOrdering');
+  }
+  return differences;
+};
+
+/**
+ * Gets persisted divergences for a ledger node, most recent first.
+ *
+ * @param ledgerNodeId the ID of the ledger node.
+ * @param [limit=10] the maximum number of divergences to return.
+ *
+ * @return a Promise that resolves to an array of divergence records.
+ */
+api.getDivergences = async ({ledgerNodeId, limit = 10}) => {
+  return database.collections[COLLECTION].find({ledgerNodeId}, {
+    projection: {_id: 0}
+  }).sort({blockHeight: -1, 'meta.created': -1}).limit(limit).toArray();
+};
+
+/**
+ * Deterministically replays a persisted divergence against the given
+ * engines; no cached engine state is used.
+ *
+ * @param divergence the divergence record.
+ * @param [engine] the primary engine name, defaults to the one recorded.
+ * @param [shadowEngine] the shadow engine name, defaults to the one
+ *   recorded.
+ *
+ * @return a Promise that resolves to `{result, shadowResult, differences}`.
+ */
+api.replay = async ({
+  divergence, engine = divergence.primary.engine,
+  shadowEngine = divergence.shadow.engine
+}) => {
+  const {input: {ledgerNodeId, blockHeight, witnesses, history}} = divergence;
+  if(!history) {
+    throw new BedrockError(
+      'The divergence cannot be replayed; its input history was too large ' +
+      'to be recorded.', 'NotAllowedError', {
+        ledgerNodeId, blockHeight, historyHash: divergence.input.historyHash
+      });
+  }
+  const run = async name => brLedgerNode.use(name).api.findConsensus({
+    ledgerNodeId, history: _copy(history), blockHeight,
+    witnesses: new Set(witnesses), state: null, logger
+  });
+  const result = await run(engine);
+  const shadowResult = await run(shadowEngine);
+  return {
+    result, shadowResult, differences: api.diff({result, shadowResult})
+  };
+};
+
+function _copy(history) {
+  // engines may attach data to events, so provide fresh shallow copies
+  return {events: history.events.map(e => ({...e}))};
+}
+
+function _hash(data) {
+  return crypto.createHash('sha256').update(JSON.stringify(data))
+    .digest('base64');
+}
+
+// NOTE: mutates `record`
+function _limitSize(record) {
+  const {consensus: {shadowMaxRecordSize: maxSize}} =
+    config['ledger-consensus-continuity'];
+  const size = () => Buffer.byteLength(JSON.stringify(record));
+  if(size() <= maxSize) {
+    return;
+  }
+  // the history is only needed to replay, `historyHash` identifies it
+  record.input.history = null;
+  record.truncated = true;
+  if(size() <= maxSize) {
+    return;
+  }
+  // keep only what differs and a hash of each full result
+  for(const key of ['primary', 'shadow']) {
+    const {result} = record[key];
+    record[key].result = {
+      consensus: result.consensus, resultHash: _hash(result)
+    };
+  }
+}
+
+async function _runComparisons({ledgerNodeId, entry}) {
+  // let the caller that found consensus continue first
+  await new Promise(resolve => setImmediate(resolve));
+  while(entry.next) {
+    const options = entry.next;
+    entry.next = null;
+    // `compare` only logs errors
+    await api.compare(options);
+  }
+  _comparisons.delete(ledgerNodeId);
+}
+
+function _sameMembers(a, b) {
+  return a.length === b.length && _.difference(a, b).length === 0;
+}
+
+function _summarize(result) {
+  if(!result.consensus) {
+    return {consensus: false, priorityPeers: result.priorityPeers};
+  }
+  const {eventHashes, consensusProofHashes, creators} = result;
+  return {consensus: true, eventHashes, consensusProofHashes, creators};
+}
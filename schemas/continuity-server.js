@@ -5,7 +5,15 @@
 
 const bedrock = require('bedrock');
 const {config} = bedrock;
-const {'ledger-consensus-continuity': {gossip: {maxEvents}}} = config;
+const {'ledger-consensus-continuity': {
+  gossip: {maxEvents, peerHeadsFilter: {maxSize}}
+}} = config;
+
+// the encoding the client requests events in
+const encoding = {
+  type: 'string',
+  enum: ['json', 'cbor']
+};
 
 const getEvents = {
   title: 'Continuity Server getEvents',
@@ -22,7 +30,8 @@ const getEvents = {
         // this cap should be the same as the max gossip events
         maxLength: 64,
       }
-    }
+    },
+    encoding
   }
 };
 
@@ -57,7 +66,36 @@ const gossip = {
         // every item in the array must be an event hash
         type: 'string',
       }
-    }
+    },
+    // a bloom filter over all of the client's non-consensus merge events
+    peerHeadsFilter: {
+      title: 'Continuity Gossip Peer Heads Filter',
+      type: 'object',
+      additionalProperties: false,
+      required: ['size', 'hashes', 'seed', 'bits'],
+      properties: {
+        size: {
+          type: 'integer',
+          minimum: 8,
+          maximum: maxSize
+        },
+        hashes: {
+          type: 'integer',
+          minimum: 1,
+          maximum: 32
+        },
+        seed: {
+          type: 'string',
+          maxLength: 64
+        },
+        // base64-encoded bits
+        bits: {
+          type: 'string',
+          maxLength: Math.ceil(maxSize / 8 / 3) * 4
+        }
+      }
+    },
+    encoding
   }
 };
 
@@ -144,6 +144,60 @@ const continuity2017ledgerConfiguration = {
     ledger: {
       type: 'string',
     },
+    // optional schedule that limits how many witnesses change at once
+    witnessRotation: {
+      type: 'object',
+      required: ['period', 'maxReplaced'],
+      additionalProperties: false,
+      properties: {
+        // the number of blocks between rotations
+        period: {
+          type: 'integer',
+          minimum: 1
+        },
+        // the maximum number of witnesses replaced at each rotation; never
+        // more than `f` of a `3f+1` witness set are replaced
+        maxReplaced: {
+          type: 'integer',
+          minimum: 1
+        }
+      }
+    },
+    // optional requirement that configuration changes be approved by
+    // witnesses before they become effective
+    configurationApproval: {
+      type: 'object',
+      required: ['threshold'],
+      additionalProperties: false,
+      properties: {
+        // the witnesses that must approve a configuration proposal, either
+        // `f+1` or a supermajority (`2f+1`) of the current witnesses
+        threshold: {
+          type: 'string',
+          enum: ['fPlusOne', 'supermajority']
+        }
+      }
+    },
+    // optional access control for peers; entries are peer IDs or the
+    // `did:key` DIDs that control them
+    peerAccess: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        // `true` to only allow peers in `allow`
+        permissioned: {
+          type: 'boolean'
+        },
+        allow: {
+          type: 'array',
+          items: {type: 'string'}
+        },
+        deny: {
+          type: 'array',
+          items: {type: 'string'}
+        }
+      }
+    },
     consensusMethod: {
       type: 'string',
       enum: ['Continuity2017'],
@@ -194,6 +248,41 @@ const webLedgerConfigurationEvent = {
   }
 };
 
+// an approval of a configuration proposal (a `WebLedgerConfigurationEvent`
+// that has not yet become effective) by its `creator`; the approval is
+// signed via the creator's merge event that merges it
+const ledgerConfigurationApproval = {
+  type: 'object',
+  required: ['creator', 'ledger', 'proposalHash', 'type'],
+  additionalProperties: false,
+  properties: {
+    creator: {
+      type: 'string'
+    },
+    ledger: {
+      type: 'string'
+    },
+    proposalHash: {
+      type: 'string'
+    },
+    type: {
+      type: 'string',
+      enum: ['WebLedgerConfigurationApproval']
+    }
+  }
+};
+
+const webLedgerConfigurationApprovalEvent = bedrock.util.clone(
+  webLedgerConfigurationEvent);
+webLedgerConfigurationApprovalEvent.title =
+  'Continuity2017 WebLedgerConfigurationEvent Approval';
+webLedgerConfigurationApprovalEvent.required =
+  webLedgerConfigurationApprovalEvent.required.map(
+    p => p === 'ledgerConfiguration' ? 'ledgerConfigurationApproval' : p);
+delete webLedgerConfigurationApprovalEvent.properties.ledgerConfiguration;
+webLedgerConfigurationApprovalEvent.properties.ledgerConfigurationApproval =
+  ledgerConfigurationApproval;
+
 const genesisConfigurationEvent = bedrock.util.clone(
   webLedgerConfigurationEvent);
 genesisConfigurationEvent.title =
@@ -251,6 +340,7 @@ const webLedgerEvents = {
   anyOf: [
     webLedgerOperationEvent,
     webLedgerConfigurationEvent,
+    webLedgerConfigurationApprovalEvent,
     continuityMergeEvent
   ]
 };
@@ -276,3 +366,5 @@ module.exports.genesisLedgerConfiguration = () => genesisLedgerConfiguration;
 module.exports.localOperation = () => localOperation;
 module.exports.webLedgerEvents = () => webLedgerEvents;
 module.exports.webLedgerConfigurationEvent = () => webLedgerConfigurationEvent;
+module.exports.webLedgerConfigurationApprovalEvent = () =>
+  webLedgerConfigurationApprovalEvent;
@@ -141,6 +141,347 @@ describe('Continuity2017', () => {
     });
   }); // end add operation API
 
+  describe('operation status API', () => {
+    let operation;
+    let operationHash;
+    beforeEach(async () => {
+      [[operationHash, operation]] = Object.entries(
+        await helpers.addOperation({ledgerNode}));
+    });
+    it('reports a queued operation', async () => {
+      const result = await consensusApi.operations.getStatus(
+        {ledgerNode, operationHash});
+      result.should.eql({operationHash, status: 'queued'});
+    });
+    it('reports an operation in a regular event', async () => {
+      await ledgerNode.consensus._events.create(
+        {ledgerNode, worker: ledgerNode.worker});
+      const result = await consensusApi.operations.getStatus(
+        {ledgerNode, operationHash});
+      result.status.should.equal('in-event');
+      result.eventHash.should.be.a('string');
+      result.eventOrder.should.equal(0);
+    });
+    it('reports a merged operation', async () => {
+      await ledgerNode.consensus._events.create(
+        {ledgerNode, worker: ledgerNode.worker});
+      await ledgerNode.worker.merge();
+      const result = await consensusApi.operations.getStatus(
+        {ledgerNode, operationHash});
+      result.status.should.equal('merged');
+    });
+    it('reports the status by record ID', async () => {
+      const result = await consensusApi.operations.getStatus(
+        {ledgerNode, recordId: operation.record.id});
+      result.should.eql({operationHash, status: 'queued'});
+    });
+    it('reports an operation that was dropped as expired', async () => {
+      const {cacheKey} = consensusApi._cache;
+      await cache.client.del(cacheKey.operationHash(
+        {ledgerNodeId: ledgerNode.id, operationHash}));
+      const result = await consensusApi.operations.getStatus(
+        {ledgerNode, operationHash});
+      result.should.eql({operationHash, status: 'expired'});
+    });
+    it('NotFoundError on an unknown operation', async () => {
+      let error;
+      try {
+        await consensusApi.operations.getStatus(
+          {ledgerNode, operationHash: 'zUnknownOperation'});
+      } catch(e) {
+        error = e;
+      }
+      should.exist(error);
+      error.name.should.equal('NotFoundError');
+    });
+  }); // end operation status API
+
+  describe('operation priority and fairness', () => {
+    const operationsConfig =
+      bedrock.config['ledger-consensus-continuity'].operations;
+    let maxQueueSize;
+    beforeEach(() => {
+      ({maxQueueSize} = operationsConfig);
+    });
+    afterEach(() => {
+      operationsConfig.maxQueueSize = maxQueueSize;
+    });
+
+    it('adds high priority operations to events first', async () => {
+      const [normal] = Object.keys(
+        await helpers.addOperation({ledgerNode, meta: {}}));
+      const [high] = Object.keys(
+        await helpers.addOperation({ledgerNode, meta: {priority: 'high'}}));
+      await ledgerNode.consensus._events.create(
+        {ledgerNode, worker: ledgerNode.worker});
+      let result = await consensusApi.operations.getStatus(
+        {ledgerNode, operationHash: high});
+      result.status.should.equal('in-event');
+      result = await consensusApi.operations.getStatus(
+        {ledgerNode, operationHash: normal});
+      result.status.should.equal('queued');
+    });
+    it('does not starve lower priority lanes', async () => {
+      const eventsConfig = bedrock.config['ledger-consensus-continuity'].events;
+      const {maxOperations} = eventsConfig;
+      eventsConfig.maxOperations = 1;
+      try {
+        const [normal] = Object.keys(
+          await helpers.addOperation({ledgerNode, meta: {}}));
+        const high = Object.keys(await helpers.addOperation(
+          {count: 6, ledgerNode, meta: {priority: 'high'}}));
+        // with the default weights, `normal` gets one in every five events,
+        // starting with the third
+        for(let i = 0; i < 3; ++i) {
+          await ledgerNode.consensus._events.create(
+            {ledgerNode, worker: ledgerNode.worker});
+        }
+        let result = await consensusApi.operations.getStatus(
+          {ledgerNode, operationHash: normal});
+        result.status.should.equal('in-event');
+        result = await consensusApi.operations.getStatus(
+          {ledgerNode, operationHash: high[5]});
+        result.status.should.equal('queued');
+      } finally {
+        eventsConfig.maxOperations = maxOperations;
+      }
+    });
+    it('DataError on an unknown priority', async () => {
+      let error;
+      try {
+        await helpers.addOperation(
+          {ledgerNode, meta: {priority: 'unknown'}});
+      } catch(e) {
+        error = e;
+      }
+      should.exist(error);
+      error.name.should.equal('DataError');
+    });
+    it('rejects the submitter with the most queued operations', async () => {
+      operationsConfig.maxQueueSize = 4;
+      await helpers.addOperation(
+        {ledgerNode, meta: {submitter: 'bulk'}});
+      await helpers.addOperation(
+        {ledgerNode, meta: {submitter: 'bulk'}});
+      await helpers.addOperation(
+        {ledgerNode, meta: {submitter: 'interactive'}});
+      let error;
+      try {
+        await helpers.addOperation(
+          {ledgerNode, meta: {submitter: 'bulk'}});
+      } catch(e) {
+        error = e;
+      }
+      should.exist(error);
+      error.name.should.equal('OperationError');
+      error.details.submitter.should.equal('bulk');
+      // other submitters are accepted until the queue is full
+      await helpers.addOperation(
+        {ledgerNode, meta: {submitter: 'interactive'}});
+      error = null;
+      try {
+        await helpers.addOperation(
+          {ledgerNode, meta: {submitter: 'interactive'}});
+      } catch(e) {
+        error = e;
+      }
+      should.exist(error);
+      error.name.should.equal('OperationError');
+      should.not.exist(error.details.submitter);
+    });
+    it('admits concurrent operations up to the queue size', async () => {
+      operationsConfig.maxQueueSize = 2;
+      const results = await Promise.all([0, 1, 2, 3].map(
+        () => helpers.addOperation({ledgerNode, meta: {}}).catch(e => e)));
+      const rejected = results.filter(r => r instanceof Error);
+      rejected.should.have.length(2);
+      for(const error of rejected) {
+        error.name.should.equal('OperationError');
+      }
+    });
+    it('stops counting operations once they are in an event', async () => {
+      operationsConfig.maxQueueSize = 6;
+      await helpers.addOperation(
+        {ledgerNode, meta: {submitter: 'bulk'}});
+      await helpers.addOperation(
+        {ledgerNode, meta: {submitter: 'bulk'}});
+      await ledgerNode.consensus._events.create(
+        {ledgerNode, worker: ledgerNode.worker});
+      await helpers.addOperation(
+        {ledgerNode, meta: {submitter: 'interactive'}});
+      await helpers.addOperation(
+        {ledgerNode, meta: {submitter: 'interactive'}});
+      await helpers.addOperation(
+        {ledgerNode, meta: {submitter: 'bulk'}});
+      // only one operation from `bulk` is still queued
+      await helpers.addOperation(
+        {ledgerNode, meta: {submitter: 'bulk'}});
+    });
+    it('removes submitters without queued operations', async () => {
+      await helpers.addOperation(
+        {ledgerNode, meta: {submitter: 'bulk'}});
+      await helpers.addOperation(
+        {ledgerNode, meta: {submitter: 'bulk'}});
+      const submittersKey = consensusApi._cache.cacheKey.operationSubmitters(
+        ledgerNode.id);
+      (await cache.client.hget(submittersKey, 'bulk')).should.equal('2');
+      await consensusApi._cache.operations.removeSubmitted(
+        {ledgerNodeId: ledgerNode.id, submitters: ['bulk', 'bulk']});
+      (await cache.client.hexists(submittersKey, 'bulk')).should.equal(0);
+    });
+  }); // end operation priority and fairness
+
+  describe('operation event packing', () => {
+    const eventsConfig = bedrock.config['ledger-consensus-continuity'].events;
+    let limits;
+    beforeEach(() => {
+      limits = {...eventsConfig};
+    });
+    afterEach(() => {
+      Object.assign(eventsConfig, limits);
+    });
+
+    it('puts more operations into an event when configured', async () => {
+      eventsConfig.maxOperations = 20;
+      const operationHashes = Object.keys(
+        await helpers.addOperation({count: 15, ledgerNode}));
+      const {hasMore, eventHash} = await ledgerNode.consensus._events.create(
+        {ledgerNode, worker: ledgerNode.worker});
+      hasMore.should.equal(false);
+      for(const operationHash of operationHashes) {
+        const result = await consensusApi.operations.getStatus(
+          {ledgerNode, operationHash});
+        result.eventHash.should.equal(eventHash);
+      }
+    });
+    it('packs operations into events by size', async () => {
+      const [first, second] = Object.keys(
+        await helpers.addOperation({count: 2, ledgerNode}));
+      // only one operation fits into an event
+      eventsConfig.maxBytes = 1;
+      let {hasMore, eventHash} = await ledgerNode.consensus._events.create(
+        {ledgerNode, worker: ledgerNode.worker});
+      hasMore.should.equal(true);
+      let result = await consensusApi.operations.getStatus(
+        {ledgerNode, operationHash: first});
+      result.eventHash.should.equal(eventHash);
+      result = await consensusApi.operations.getStatus(
+        {ledgerNode, operationHash: second});
+      result.status.should.equal('queued');
+      ({hasMore, eventHash} = await ledgerNode.consensus._events.create(
+        {ledgerNode, worker: ledgerNode.worker}));
+      hasMore.should.equal(false);
+      result = await consensusApi.operations.getStatus(
+        {ledgerNode, operationHash: second});
+      result.eventHash.should.equal(eventHash);
+    });
+    it('DataError on an operation that is too large', async () => {
+      const opTemplate = bedrock.util.clone(mockData.operations.alpha);
+      opTemplate.record.name = 'x'.repeat(256 * 1024);
+      let error;
+      try {
+        await helpers.addOperation({ledgerNode, opTemplate});
+      } catch(e) {
+        error = e;
+      }
+      should.exist(error);
+      error.name.should.equal('DataError');
+      error.message.should.equal('The operation exceeds the byte size limit.');
+    });
+  }); // end operation event packing
+
+  describe('operation expiry', () => {
+    const expiryConfig =
+      bedrock.config['ledger-consensus-continuity'].operations.expiry;
+    const expired = [];
+    const onExpired = event => expired.push(event);
+    before(() => {
+      bedrock.events.on(
+        'bedrock-ledger-consensus-continuity.operationExpired', onExpired);
+    });
+    after(() => {
+      bedrock.events.removeListener(
+        'bedrock-ledger-consensus-continuity.operationExpired', onExpired);
+    });
+    let ttl;
+    beforeEach(() => {
+      expired.length = 0;
+      ({ttl} = expiryConfig);
+    });
+    afterEach(() => {
+      expiryConfig.ttl = ttl;
+    });
+
+    it('drops an operation that waits too long', async () => {
+      expiryConfig.ttl = 0.001;
+      const [[operationHash, operation]] = Object.entries(
+        await helpers.addOperation({ledgerNode}));
+      await new Promise(resolve => setTimeout(resolve, 10));
+      const {eventHash} = await ledgerNode.consensus._events.create(
+        {ledgerNode, worker: ledgerNode.worker});
+      should.not.exist(eventHash);
+      const result = await consensusApi.operations.getStatus(
+        {ledgerNode, operationHash});
+      result.status.should.equal('expired');
+      result.reason.should.equal('timeout');
+      result.expired.should.be.a('number');
+      expired.should.have.length(1);
+      expired[0].ledgerNodeId.should.equal(ledgerNode.id);
+      expired[0].operationHash.should.equal(operationHash);
+      expired[0].reason.should.equal('timeout');
+      expired[0].operation.should.eql(operation);
+    });
+    it('drops an operation that was lost by the cache', async () => {
+      const [operationHash, next] = Object.keys(
+        await helpers.addOperation({count: 2, ledgerNode}));
+      const {cacheKey} = consensusApi._cache;
+      const [opKey] = await cache.client.keys(
+        cacheKey.operation({
+          basisBlockHeight: '*', ledgerNodeId: ledgerNode.id, operationHash
+        }));
+      await cache.client.del(opKey);
+      const {eventHash} = await ledgerNode.consensus._events.create(
+        {ledgerNode, worker: ledgerNode.worker});
+      let result = await consensusApi.operations.getStatus(
+        {ledgerNode, operationHash});
+      result.status.should.equal('expired');
+      result.reason.should.equal('lost');
+      expired.should.have.length(1);
+      expired[0].reason.should.equal('lost');
+      // other operations are not affected
+      result = await consensusApi.operations.getStatus(
+        {ledgerNode, operationHash: next});
+      result.eventHash.should.equal(eventHash);
+    });
+    it('stops counting operations from a submitter once lost', async () => {
+      const [operationHash] = Object.keys(await helpers.addOperation(
+        {count: 2, ledgerNode, meta: {submitter: 'bulk'}}));
+      const {cacheKey} = consensusApi._cache;
+      const [opKey] = await cache.client.keys(
+        cacheKey.operation({
+          basisBlockHeight: '*', ledgerNodeId: ledgerNode.id, operationHash
+        }));
+      await cache.client.del(opKey);
+      await ledgerNode.consensus._events.create(
+        {ledgerNode, worker: ledgerNode.worker});
+      expired.should.have.length(1);
+      expired[0].reason.should.equal('lost');
+      const submittersKey = cacheKey.operationSubmitters(ledgerNode.id);
+      (await cache.client.hexists(submittersKey, 'bulk')).should.equal(0);
+    });
+    it('does not expire operations when `ttl` is 0', async () => {
+      expiryConfig.ttl = 0;
+      const [operationHash] = Object.keys(
+        await helpers.addOperation({ledgerNode}));
+      const {eventHash} = await ledgerNode.consensus._events.create(
+        {ledgerNode, worker: ledgerNode.worker});
+      const result = await consensusApi.operations.getStatus(
+        {ledgerNode, operationHash});
+      result.eventHash.should.equal(eventHash);
+      expired.should.have.length(0);
+    });
+  }); // end operation expiry
+
   describe('private add event API', () => {
     it('should add a regular local event', async () => {
       const operation = bedrock.util.clone(mockData.operations.alpha);
@@ -7,12 +7,13 @@ const {_client, _localPeers} = require('bedrock-ledger-consensus-continuity');
 const {config, util: {BedrockError}} = require('bedrock');
 
 describe('Client API', () => {
+  let peerId = null;
+  const ledgerNodeId = 'foo';
+  before(async () => {
+    ({peerId} = await _localPeers.generate({ledgerNodeId}));
+  });
+
   describe('notifyPeer', () => {
-    let peerId = null;
-    const ledgerNodeId = 'foo';
-    before(async () => {
-      ({peerId} = await _localPeers.generate({ledgerNodeId}));
-    });
     it('throws a NotFoundError if ledgerNodeId is not found', async () => {
       const remotePeer = {
         id: 'https://127.0.0.1',
@@ -78,7 +79,8 @@ describe('Client API', () => {
           id: 'https://127.0.0.1:3333',
           url: 'https://127.0.0.1:3333'
         };
-        await _client.getEvents({eventHashes: ['abc'], remotePeer});
+        await _client.getEvents(
+          {eventHashes: ['abc'], ledgerNodeId, remotePeer});
       } catch(e) {
         error = e;
       }
@@ -94,7 +96,49 @@ describe('Client API', () => {
           id: config.server.baseUri,
           url: config.server.baseUri
         };
-        await _client.getEvents({eventHashes: ['abc'], remotePeer});
+        await _client.getEvents(
+          {eventHashes: ['abc'], ledgerNodeId, remotePeer});
+      } catch(e) {
+        error = e;
+      }
+      should.exist(error);
+      error.should.be.instanceOf(BedrockError);
+      error.name.should.equal('NetworkError');
+      error.details.httpStatusCode.should.equal(404);
+    });
+  });
+
+  describe('getHistoryStream', () => {
+    it('properly handles ECONNREFUSED', async () => {
+      let error;
+      try {
+        const remotePeer = {
+          id: 'https://127.0.0.1:3333',
+          url: 'https://127.0.0.1:3333'
+        };
+        await _client.getHistoryStream({
+          basisBlockHeight: 0, ledgerNodeId, localPeerId: 'https://127.0.0.1',
+          peerHeadsMap: new Map(), remotePeer
+        });
+      } catch(e) {
+        error = e;
+      }
+      should.exist(error);
+      error.should.be.instanceOf(BedrockError);
+      error.name.should.equal('NetworkError');
+      error.cause.details.code.should.equal('ECONNREFUSED');
+    });
+    it('properly handles a 404 error', async () => {
+      let error;
+      try {
+        const remotePeer = {
+          id: config.server.baseUri,
+          url: config.server.baseUri
+        };
+        await _client.getHistoryStream({
+          basisBlockHeight: 0, ledgerNodeId, localPeerId: 'https://127.0.0.1',
+          peerHeadsMap: new Map(), remotePeer
+        });
       } catch(e) {
         error = e;
       }
@@ -0,0 +1,100 @@
+/*!
+ * Copyright (c) 2017-2021 Digital Bazaar, Inc. All rights reserved.
+ */
+'use strict';
+
+const {_gossipEncoding} = require('bedrock-ledger-consensus-continuity');
+const _util = require('bedrock-ledger-consensus-continuity/lib/util');
+const mockData = require('./mock.data');
+const {Readable} = require('stream');
+
+describe('Gossip Encoding API', () => {
+  let operationEvent;
+  let mergeEvent;
+  before(async () => {
+    const operationHash = await _util.hasher(mockData.operations.alpha);
+    operationEvent = {
+      ...mockData.events.alpha,
+      basisBlockHeight: 1,
+      operation: [mockData.operations.alpha],
+      operationHash: [operationHash],
+      parentHash: [operationHash],
+      treeHash: operationHash
+    };
+    const eventHash = await _util.hasher(operationEvent);
+    mergeEvent = {
+      '@context': mockData.mergeEvents.alpha['@context'],
+      type: 'ContinuityMergeEvent',
+      basisBlockHeight: 1,
+      mergeHeight: 2,
+      parentHash: [eventHash, operationHash],
+      treeHash: eventHash,
+      proof: {
+        type: 'Ed25519Signature2018',
+        created: '2021-05-01T00:00:00Z',
+        verificationMethod: mockData.exampleIdentity,
+        proofPurpose: 'assertionMethod',
+        jws: 'eyJhbGciOiJFZERTQSIsImI2NCI6ZmFsc2UsImNyaXQiOlsiYjY0Il19..' +
+          'Fx3dNFVKKyCzWMYHkgXEsBSDd1X_wGbLcDvQu3mSuhQ'
+      }
+    };
+  });
+  it('round trips events via CBOR', async () => {
+    for(const event of [operationEvent, mergeEvent, mockData.events.config]) {
+      const encoded = _gossipEncoding.encode({event});
+      const decoded = _gossipEncoding.decode(encoded);
+      decoded.should.eql({event});
+      const hash = await _util.hasher(decoded.event);
+      hash.should.equal(await _util.hasher(event));
+    }
+  });
+  it('encodes merge events smaller than JSON', async () => {
+    const encoded = _gossipEncoding.encode({event: mergeEvent});
+    encoded.length.should.be.below(JSON.stringify({event: mergeEvent}).length);
+  });
+  it('does not compact strings that only look like hashes', async () => {
+    const value = {hash: 'z' + '1'.repeat(46), other: ['zQm', 'foo']};
+    _gossipEncoding.decode(_gossipEncoding.encode(value)).should.eql(value);
+  });
+  it('reports the encoded size of messages read', async () => {
+    const message = {event: mergeEvent};
+    const encoded = _gossipEncoding.encode(message);
+    const frame = Buffer.alloc(4 + encoded.length);
+    frame.writeUInt32BE(encoded.length, 0);
+    frame.set(encoded, 4);
+    const line = JSON.stringify(message);
+    const responses = [{
+      contentType: _gossipEncoding.CBOR_CONTENT_TYPE,
+      body: frame,
+      size: encoded.length
+    }, {
+      contentType: _gossipEncoding.NDJSON_CONTENT_TYPE,
+      body: Buffer.from(line + '\n'),
+      size: Buffer.byteLength(line)
+    }];
+    for(const {contentType, body, size} of responses) {
+      const response = {
+        headers: {get: () => contentType},
+        body: Readable.from([body])
+      };
+      const messages = [];
+      for await (const m of _gossipEncoding.readMessages({response})) {
+        messages.push(m);
+      }
+      messages.should.eql([message]);
+      _gossipEncoding.getMessageSize(messages[0]).should.equal(size);
+    }
+    _gossipEncoding.getMessageSize(message).should.equal(0);
+  });
+  it('rejects unknown dictionary entries', async () => {
+    // tag 19900 (dictionary) followed by uint 1000
+    const bytes = Uint8Array.from([0xd9, 0x4d, 0xbc, 0x19, 0x03, 0xe8]);
+    let err;
+    try {
+      _gossipEncoding.decode(bytes);
+    } catch(e) {
+      err = e;
+    }
+    should.exist(err);
+  });
+});
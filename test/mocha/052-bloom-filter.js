@@ -0,0 +1,131 @@
+/*!
+ * Copyright (c) 2017-2021 Digital Bazaar, Inc. All rights reserved.
+ */
+'use strict';
+
+const BloomFilter = require(
+  'bedrock-ledger-consensus-continuity/lib/BloomFilter');
+const crypto = require('crypto');
+const history = require('bedrock-ledger-consensus-continuity/lib/history');
+
+describe('BloomFilter', () => {
+  const eventHashes = [];
+  before(() => {
+    for(let i = 0; i < 1000; ++i) {
+      eventHashes.push('z' + crypto.randomBytes(32).toString('hex'));
+    }
+  });
+
+  it('has every added value', () => {
+    const filter = BloomFilter.create(
+      {count: eventHashes.length, falsePositiveRate: 0.001});
+    for(const eventHash of eventHashes) {
+      filter.add(eventHash);
+    }
+    for(const eventHash of eventHashes) {
+      filter.has(eventHash).should.equal(true);
+    }
+  });
+  it('has few false positives', () => {
+    const filter = BloomFilter.create(
+      {count: eventHashes.length, falsePositiveRate: 0.001});
+    for(const eventHash of eventHashes) {
+      filter.add(eventHash);
+    }
+    let falsePositives = 0;
+    for(let i = 0; i < 10000; ++i) {
+      if(filter.has('z' + crypto.randomBytes(32).toString('hex'))) {
+        falsePositives++;
+      }
+    }
+    falsePositives.should.be.below(50);
+  });
+  it('caps its size at `maxSize`', () => {
+    const filter = BloomFilter.create(
+      {count: eventHashes.length, falsePositiveRate: 0.001, maxSize: 1024});
+    filter.size.should.equal(1024);
+    for(const eventHash of eventHashes) {
+      filter.add(eventHash);
+    }
+    for(const eventHash of eventHashes) {
+      filter.has(eventHash).should.equal(true);
+    }
+  });
+  it('uses a different seed for each filter', () => {
+    const a = BloomFilter.create({count: 1, falsePositiveRate: 0.001});
+    const b = BloomFilter.create({count: 1, falsePositiveRate: 0.001});
+    a.seed.should.not.equal(b.seed);
+  });
+  it('round trips through JSON', () => {
+    const filter = BloomFilter.create(
+      {count: eventHashes.length, falsePositiveRate: 0.001});
+    for(const eventHash of eventHashes) {
+      filter.add(eventHash);
+    }
+    const decoded = BloomFilter.fromJSON(JSON.parse(JSON.stringify(filter)));
+    decoded.size.should.equal(filter.size);
+    decoded.hashes.should.equal(filter.hashes);
+    decoded.seed.should.equal(filter.seed);
+    for(const eventHash of eventHashes) {
+      decoded.has(eventHash).should.equal(true);
+    }
+  });
+  it('rejects a filter with the wrong number of bits', () => {
+    let error;
+    try {
+      BloomFilter.fromJSON({
+        size: 64, hashes: 2, seed: 'abc',
+        bits: Buffer.alloc(4).toString('base64')
+      });
+    } catch(e) {
+      error = e;
+    }
+    should.exist(error);
+    error.name.should.equal('DataError');
+  });
+
+  describe('filtering history by peer heads', () => {
+    const creator = 'https://example.com/consensus/continuity2017/voters/a';
+    const remotePeerId =
+      'https://example.com/consensus/continuity2017/voters/b';
+    // a chain of three merge events `m1 <- m2 <- m3`
+    const records = [];
+    before(() => {
+      let parentHash = 'zGenesis';
+      for(let generation = 1; generation <= 3; ++generation) {
+        const eventHash = `zm${generation}`;
+        records.push({
+          event: {parentHash: [parentHash]},
+          meta: {eventHash, continuity2017: {
+            creator, generation, localReplayNumber: 0, type: 'm'
+          }}
+        });
+        parentHash = eventHash;
+      }
+    });
+
+    it('returns every event without peer heads or a filter', () => {
+      const filtered = history._filterByPeerHeads(
+        {records, remotePeerId, peerHeads: []});
+      filtered.map(({meta: {eventHash}}) => eventHash).should.eql(
+        ['zm1', 'zm2', 'zm3']);
+    });
+    it('skips events in the filter and their ancestors', () => {
+      const filter = BloomFilter.create({count: 1, falsePositiveRate: 0.001});
+      filter.add('zm2');
+      const filtered = history._filterByPeerHeads(
+        {records, remotePeerId, peerHeads: [], filter});
+      filtered.map(({meta: {eventHash}}) => eventHash).should.eql(['zm3']);
+    });
+    it('uses both peer heads and the filter', () => {
+      const filter = BloomFilter.create({count: 1, falsePositiveRate: 0.001});
+      filter.add('zOther');
+      const filtered = history._filterByPeerHeads({
+        records, remotePeerId, filter,
+        peerHeads: [{creator, generation: 1, localReplayNumber: 0}]
+      });
+      filtered.map(({meta: {eventHash}}) => eventHash).should.eql(
+        ['zm2', 'zm3']);
+    });
+  });
+});
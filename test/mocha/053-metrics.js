@@ -0,0 +1,55 @@
+/*!
+ * Copyright (c) 2017-2021 Digital Bazaar, Inc. All rights reserved.
+ */
+'use strict';
+
+const {_metrics} = require('bedrock-ledger-consensus-continuity');
+
+describe('Metrics API', () => {
+  const ledgerNodeId = 'urn:uuid:5a4ce6a4-0c87-4bd2-b7d9-1b5d6e4fb7cf';
+  const peerId = 'https://example.com/consensus/continuity2017/voters/z1';
+
+  it('exports metrics in the Prometheus text format', async () => {
+    _metrics.observeDuration(
+      {name: 'findConsensus', ledgerNodeId, duration: 5});
+    _metrics.recordGossipPull({ledgerNodeId, peerId, success: true});
+    _metrics.recordBlock({ledgerNodeId});
+    _metrics.setOperationQueueDepth({ledgerNodeId, depth: 3});
+    _metrics.setPeerReputation({ledgerNodeId, peerId, reputation: 40});
+    const {contentType, metrics} = await _metrics.get();
+    contentType.should.include('text/plain');
+    metrics.should.include(
+      `continuity_find_consensus_duration_seconds_count{` +
+      `ledger_node_id="${ledgerNodeId}"} 1`);
+    metrics.should.include(
+      `continuity_gossip_pulls_total{ledger_node_id="${ledgerNodeId}",` +
+      `peer_id="${peerId}",result="success"} 1`);
+    metrics.should.include(
+      `continuity_blocks_per_minute{ledger_node_id="${ledgerNodeId}"} 1`);
+    metrics.should.include(
+      `continuity_operation_queue_depth{ledger_node_id="${ledgerNodeId}"} 3`);
+    metrics.should.include(
+      `continuity_peer_reputation{ledger_node_id="${ledgerNodeId}",` +
+      `max_reputation="50"} 1`);
+  });
+  it('removes the metrics of a deleted peer', async () => {
+    _metrics.recordGossipPull({ledgerNodeId, peerId, success: false});
+    _metrics.deletePeer({ledgerNodeId, peerId});
+    const {metrics} = await _metrics.get();
+    metrics.should.not.include(`peer_id="${peerId}"`);
+    metrics.should.include(
+      `continuity_peer_reputation{ledger_node_id="${ledgerNodeId}",` +
+      `max_reputation="+Inf"} 0`);
+  });
+  it('reports the event validation high-water mark', async () => {
+    _metrics.startEventValidation();
+    _metrics.startEventValidation();
+    _metrics.endEventValidation();
+    _metrics.endEventValidation();
+    let {metrics} = await _metrics.get();
+    metrics.should.include('continuity_event_validation_jobs_max 2');
+    // the high-water mark is reset after each scrape
+    ({metrics} = await _metrics.get());
+    metrics.should.include('continuity_event_validation_jobs_max 0');
+  });
+});
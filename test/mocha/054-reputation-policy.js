@@ -0,0 +1,155 @@
+/*!
+ * Copyright (c) 2017-2021 Digital Bazaar, Inc. All rights reserved.
+ */
+'use strict';
+
+const bedrock = require('bedrock');
+const brLedgerNode = require('bedrock-ledger-node');
+const GossipPeer =
+  require('bedrock-ledger-consensus-continuity/lib/worker/GossipPeer');
+const helpers = require('./helpers');
+const mockData = require('./mock.data');
+
+describe('Reputation policy', () => {
+  const gossipConfig = bedrock.config['ledger-consensus-continuity'].gossip;
+
+  describe('Continuity2017ReputationPolicy', () => {
+    let policy;
+    before(() => {
+      const plugin = brLedgerNode.use('Continuity2017ReputationPolicy');
+      plugin.type.should.equal('continuityReputationPolicy');
+      policy = plugin.api;
+    });
+
+    it('removes a peer that violates protocol', () => {
+      const peer = {reputation: 50, status: {consecutiveFailures: 1}};
+      const result = policy.onFailure({peer, fatal: true, now: Date.now()});
+      result.remove.should.equal(true);
+    });
+    it('decrements reputation on the first failure', () => {
+      const now = Date.now();
+      const peer = {reputation: 50, status: {consecutiveFailures: 1}};
+      const result = policy.onFailure({peer, fatal: false, now});
+      result.should.eql({reputation: 49, remove: false});
+      peer.status.firstFailure.should.eql({reputation: 50, time: now});
+    });
+    it('decays reputation over the failure grace period', () => {
+      const {maxFailureGracePeriod} = gossipConfig.backoff;
+      const now = Date.now();
+      const peer = {
+        reputation: 49,
+        status: {
+          consecutiveFailures: 2,
+          firstFailure: {reputation: 50, time: now - maxFailureGracePeriod}
+        }
+      };
+      const result = policy.onFailure({peer, fatal: false, now});
+      result.reputation.should.equal(-50);
+    });
+    it('increments reputation when merge events are received', () => {
+      let result = policy.onSuccess({
+        peer: {reputation: 10, status: {}}, mergeEventsReceived: 1,
+        blockHeight: 1, now: Date.now()
+      });
+      result.should.eql({reputation: 11, backoff: 0});
+      result = policy.onSuccess({
+        peer: {reputation: 100, status: {}}, mergeEventsReceived: 1,
+        blockHeight: 1, now: Date.now()
+      });
+      result.reputation.should.equal(100);
+    });
+    it('decrements reputation when idle while others are not', () => {
+      const {maxIdle, maxIdleGracePeriod} = gossipConfig.backoff;
+      const now = Date.now();
+      const peer = {
+        reputation: 10,
+        status: {
+          idle: {time: now - maxIdleGracePeriod / 10, localBlockHeight: 1}
+        }
+      };
+      const result = policy.onSuccess(
+        {peer, mergeEventsReceived: 0, blockHeight: 2, now});
+      result.reputation.should.be.below(10);
+      result.backoff.should.equal(maxIdle);
+      peer.status.idle.localBlockHeight.should.equal(2);
+    });
+  });
+
+  describe('custom policy', () => {
+    const calls = [];
+    let policy;
+    before(() => {
+      ({policy} = gossipConfig.reputation);
+      brLedgerNode.use('TestReputationPolicy', {
+        type: 'continuityReputationPolicy',
+        api: {
+          onFailure: async options => {
+            calls.push({method: 'onFailure', ...options});
+            return {reputation: -1, remove: false};
+          },
+          onSuccess: async options => {
+            calls.push({method: 'onSuccess', ...options});
+            // boost fast peers
+            return {reputation: options.latency < 1000 ? 42 : 1, backoff: 0};
+          }
+        }
+      });
+      gossipConfig.reputation.policy = 'TestReputationPolicy';
+    });
+    after(() => {
+      gossipConfig.reputation.policy = policy;
+    });
+
+    let consensusApi;
+    let ledgerNode;
+    let worker;
+    const remotePeer = {
+      id: 'https://example.com/consensus/continuity2017/voters/z1',
+      url: 'https://example.com/consensus/continuity2017/voters/z1'
+    };
+    beforeEach(async () => {
+      calls.length = 0;
+      await helpers.prepareDatabase();
+      await helpers.flushCache();
+      await helpers.removeCollections(['ledger', 'ledgerNode']);
+      const consensusPlugin = await helpers.use('Continuity2017');
+      consensusApi = consensusPlugin.api;
+      ledgerNode = await brLedgerNode.add(
+        null, {ledgerConfiguration: mockData.ledgerConfiguration});
+      worker = new consensusApi._worker.Worker({session: {ledgerNode}});
+      await worker.init();
+      await consensusApi._peers.optionallyAdd({ledgerNode, remotePeer});
+    });
+
+    it('computes reputation on success', async () => {
+      const peer = await _getPeer();
+      await peer.success(
+        {mergeEventsReceived: 2, eventBytes: 1024, latency: 100});
+      calls.should.have.length(1);
+      const [call] = calls;
+      call.method.should.equal('onSuccess');
+      call.ledgerNodeId.should.equal(ledgerNode.id);
+      call.peer.id.should.equal(remotePeer.id);
+      call.isWitness.should.equal(false);
+      call.mergeEventsReceived.should.equal(2);
+      call.eventBytes.should.equal(1024);
+      call.latency.should.equal(100);
+      const [{peer: record}] = await consensusApi._peers.getAll({ledgerNode});
+      record.reputation.should.equal(42);
+    });
+    it('removes a non-witness peer with a negative reputation', async () => {
+      const peer = await _getPeer();
+      await peer.fail({error: new Error('test'), latency: 100});
+      calls.should.have.length(1);
+      calls[0].method.should.equal('onFailure');
+      calls[0].fatal.should.equal(false);
+      peer.isDeleted().should.equal(true);
+    });
+
+    async function _getPeer() {
+      const records = await consensusApi._peers.getAll({ledgerNode});
+      const {peer} = records.find(({peer}) => peer.id === remotePeer.id);
+      return new GossipPeer({peer, worker});
+    }
+  });
+});
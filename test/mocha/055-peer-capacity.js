@@ -0,0 +1,155 @@
+/*!
+ * Copyright (c) 2017-2021 Digital Bazaar, Inc. All rights reserved.
+ */
+'use strict';
+
+const bedrock = require('bedrock');
+const brLedgerNode = require('bedrock-ledger-node');
+const GossipPeer =
+  require('bedrock-ledger-consensus-continuity/lib/worker/GossipPeer');
+const helpers = require('./helpers');
+const mockData = require('./mock.data');
+
+describe('Peer capacity', () => {
+  const peersConfig = bedrock.config['ledger-consensus-continuity'].peers;
+
+  let consensusApi;
+  let ledgerNode;
+  let worker;
+  beforeEach(async () => {
+    await helpers.prepareDatabase();
+    await helpers.flushCache();
+    await helpers.removeCollections(['ledger', 'ledgerNode']);
+    const consensusPlugin = await helpers.use('Continuity2017');
+    consensusApi = consensusPlugin.api;
+    ledgerNode = await brLedgerNode.add(
+      null, {ledgerConfiguration: mockData.ledgerConfiguration});
+    worker = new consensusApi._worker.Worker({session: {ledgerNode}});
+    await worker.init();
+  });
+  afterEach(() => {
+    peersConfig.ledgerNodes = {};
+  });
+
+  it('uses per ledger node limits', () => {
+    peersConfig.ledgerNodes[ledgerNode.id] = {maxPersistent: 1000};
+    const limits = consensusApi._peers.getLimits({ledgerNodeId: ledgerNode.id});
+    limits.maxPersistent.should.equal(1000);
+    limits.onboardingSlots.should.equal(peersConfig.onboardingSlots);
+    consensusApi._peers.getLimits({ledgerNodeId: 'urn:uuid:other'})
+      .maxPersistent.should.equal(peersConfig.maxPersistent);
+  });
+  it('rejects an invalid eviction order', () => {
+    peersConfig.ledgerNodes[ledgerNode.id] = {eviction: 'random'};
+    let error;
+    try {
+      consensusApi._peers.getLimits({ledgerNodeId: ledgerNode.id});
+    } catch(e) {
+      error = e;
+    }
+    should.exist(error);
+    error.name.should.equal('InvalidStateError');
+  });
+  it('does not exceed onboarding slots under a notification flood',
+    async () => {
+      peersConfig.ledgerNodes[ledgerNode.id] = {onboardingSlots: 3};
+      const notifications = [];
+      for(let i = 0; i < 50; ++i) {
+        notifications.push(consensusApi._peers.addNotifier(
+          {ledgerNode, remotePeer: _createRemotePeer(i)}));
+      }
+      await Promise.all(notifications);
+      const records = await consensusApi._peers.getAll({ledgerNode});
+      records.filter(({peer}) => peer.reputation === 0)
+        .should.have.length(3);
+    });
+  it('drops an onboarded peer when persistent peers are full', async () => {
+    peersConfig.ledgerNodes[ledgerNode.id] = {maxPersistent: 2};
+    const peers = await _addPeers({count: 3});
+    await peers[0].success({mergeEventsReceived: 1});
+    await peers[1].success({mergeEventsReceived: 1});
+    await peers[2].success({mergeEventsReceived: 1});
+    peers[2].isDeleted().should.equal(true);
+    const records = await consensusApi._peers.getAll({ledgerNode});
+    records.map(({peer}) => peer.id).should.have.members(
+      [peers[0].id, peers[1].id]);
+  });
+  it('evicts the peer with the lowest reputation', async () => {
+    peersConfig.ledgerNodes[ledgerNode.id] = {
+      maxPersistent: 2, eviction: 'lowestReputation'
+    };
+    const peers = await _addPeers({count: 3});
+    await peers[0].success({mergeEventsReceived: 1});
+    await peers[0].success({mergeEventsReceived: 1});
+    await peers[1].success({mergeEventsReceived: 1});
+    await peers[2].success({mergeEventsReceived: 1});
+    peers[2].isDeleted().should.equal(false);
+    const records = await consensusApi._peers.getAll({ledgerNode});
+    records.map(({peer}) => peer.id).should.have.members(
+      [peers[0].id, peers[2].id]);
+  });
+  it('evicts the peer that was pulled from least recently', async () => {
+    peersConfig.ledgerNodes[ledgerNode.id] = {
+      maxPersistent: 2, eviction: 'leastRecentlyPulled'
+    };
+    const peers = await _addPeers({count: 3});
+    await peers[0].success({mergeEventsReceived: 1});
+    await peers[1].success({mergeEventsReceived: 1});
+    await peers[1].success({mergeEventsReceived: 1});
+    await peers[2].success({mergeEventsReceived: 1});
+    peers[2].isDeleted().should.equal(false);
+    const records = await consensusApi._peers.getAll({ledgerNode});
+    records.map(({peer}) => peer.id).should.have.members(
+      [peers[1].id, peers[2].id]);
+  });
+
+  it('does not evict for an unproductive onboarded peer', async () => {
+    peersConfig.ledgerNodes[ledgerNode.id] = {
+      maxPersistent: 2, eviction: 'lowestReputation'
+    };
+    const peers = await _addPeers({count: 3});
+    await peers[0].success({mergeEventsReceived: 1});
+    await peers[1].success({mergeEventsReceived: 1});
+    await peers[2].success({mergeEventsReceived: 0});
+    peers[2].isDeleted().should.equal(false);
+    const records = await consensusApi._peers.getAll({ledgerNode});
+    records.map(({peer}) => peer.id).should.have.members(
+      [peers[0].id, peers[1].id, peers[2].id]);
+    records.find(({peer}) => peer.id === peers[2].id).peer.reputation
+      .should.equal(0);
+  });
+  it('evicts persistent peers beyond the peers cache limit', async () => {
+    const peers = await _addPeers({count: 4});
+    for(const peer of peers.slice(0, 3)) {
+      await peer.success({mergeEventsReceived: 1});
+    }
+    // lower the cap so that `getAll` only returns two peers
+    peersConfig.ledgerNodes[ledgerNode.id] = {
+      maxPersistent: 1, onboardingSlots: 1, eviction: 'lowestReputation'
+    };
+    await peers[3].success({mergeEventsReceived: 1});
+    peers[3].isDeleted().should.equal(false);
+    const remaining = await ledgerNode.peers.getAll();
+    remaining.map(({id}) => id).should.eql([peers[3].id]);
+  });
+
+  function _createRemotePeer(i) {
+    const id = `https://example.com/consensus/continuity2017/voters/z${i}`;
+    return {id, url: id};
+  }
+
+  async function _addPeers({count}) {
+    for(let i = 0; i < count; ++i) {
+      await consensusApi._peers.optionallyAdd(
+        {ledgerNode, remotePeer: _createRemotePeer(i), notifier: true});
+    }
+    const records = await consensusApi._peers.getAll({ledgerNode});
+    const peers = [];
+    for(let i = 0; i < count; ++i) {
+      const {id} = _createRemotePeer(i);
+      const {peer} = records.find(({peer}) => peer.id === id);
+      peers.push(new GossipPeer({peer, worker}));
+    }
+    return peers;
+  }
+});
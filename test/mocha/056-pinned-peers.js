@@ -0,0 +1,112 @@
+/*!
+ * Copyright (c) 2017-2021 Digital Bazaar, Inc. All rights reserved.
+ */
+'use strict';
+
+const bedrock = require('bedrock');
+const brLedgerNode = require('bedrock-ledger-node');
+const GossipPeer =
+  require('bedrock-ledger-consensus-continuity/lib/worker/GossipPeer');
+const helpers = require('./helpers');
+const mockData = require('./mock.data');
+
+describe('Bootstrap and pinned peers', () => {
+  const peersConfig = bedrock.config['ledger-consensus-continuity'].peers;
+  const pinnedPeer = _createRemotePeer('pinned');
+  const bootstrapPeer = _createRemotePeer('bootstrap');
+
+  let consensusApi;
+  let ledgerNode;
+  let worker;
+  beforeEach(async () => {
+    await helpers.prepareDatabase();
+    await helpers.flushCache();
+    await helpers.removeCollections(['ledger', 'ledgerNode']);
+    const consensusPlugin = await helpers.use('Continuity2017');
+    consensusApi = consensusPlugin.api;
+    ledgerNode = await brLedgerNode.add(
+      null, {ledgerConfiguration: mockData.ledgerConfiguration});
+    peersConfig.ledgerNodes[ledgerNode.id] = {
+      bootstrap: [{...pinnedPeer, pinned: true}, bootstrapPeer]
+    };
+    worker = new consensusApi._worker.Worker({session: {ledgerNode}});
+    await worker.init();
+  });
+  afterEach(() => {
+    peersConfig.ledgerNodes = {};
+  });
+
+  it('adds bootstrap peers when a work session starts', async () => {
+    const records = await consensusApi._peers.getAll({ledgerNode});
+    records.map(({peer}) => peer.id).should.have.members(
+      [pinnedPeer.id, bootstrapPeer.id]);
+    consensusApi._peers.isPinned(
+      {ledgerNodeId: ledgerNode.id, peerId: pinnedPeer.id})
+      .should.equal(true);
+    consensusApi._peers.isPinned(
+      {ledgerNodeId: ledgerNode.id, peerId: bootstrapPeer.id})
+      .should.equal(false);
+  });
+  it('rejects an invalid bootstrap peer', () => {
+    peersConfig.ledgerNodes[ledgerNode.id] = {bootstrap: [{id: 'foo'}]};
+    let error;
+    try {
+      consensusApi._peers.getLimits({ledgerNodeId: ledgerNode.id});
+    } catch(e) {
+      error = e;
+    }
+    should.exist(error);
+    error.name.should.equal('InvalidStateError');
+    // configuration errors are not caused by, or reported to, remote peers
+    should.not.exist(error.details.httpStatusCode);
+  });
+  it('backs off a pinned peer instead of removing it', async () => {
+    const peer = await _getPeer(pinnedPeer);
+    await peer.fail({error: new Error('test'), fatal: true});
+    peer.isDeleted().should.equal(false);
+    peer.getStatus().backoffUntil.should.be.above(Date.now());
+    const records = await consensusApi._peers.getAll({ledgerNode});
+    records.map(({peer}) => peer.id).should.include(pinnedPeer.id);
+  });
+  it('removes an unpinned bootstrap peer', async () => {
+    const peer = await _getPeer(bootstrapPeer);
+    await peer.fail({error: new Error('test'), fatal: true});
+    peer.isDeleted().should.equal(true);
+    const records = await consensusApi._peers.getAll({ledgerNode});
+    records.map(({peer}) => peer.id).should.not.include(bootstrapPeer.id);
+  });
+  it('keeps a pinned peer when persistent peers are full', async () => {
+    peersConfig.ledgerNodes[ledgerNode.id].maxPersistent = 0;
+    const peer = await _getPeer(pinnedPeer);
+    await peer.success({mergeEventsReceived: 1});
+    peer.isDeleted().should.equal(false);
+  });
+  it('selects pinned peers for their share of pulls', async () => {
+    peersConfig.ledgerNodes[ledgerNode.id].pinnedShare = 1;
+    const {peerSelector} = worker;
+    await peerSelector.refreshCandidates();
+    const [selection] = await peerSelector.selectPullPeers();
+    selection.id.should.equal(pinnedPeer.id);
+  });
+
+  it('does not count bootstrap peers against onboarding slots', async () => {
+    peersConfig.ledgerNodes[ledgerNode.id].onboardingSlots = 1;
+    const remotePeer = _createRemotePeer('onboarding');
+    await consensusApi._peers.optionallyAdd(
+      {ledgerNode, remotePeer, notifier: true});
+    const records = await consensusApi._peers.getAll({ledgerNode});
+    records.map(({peer}) => peer.id).should.have.members(
+      [pinnedPeer.id, bootstrapPeer.id, remotePeer.id]);
+  });
+
+  function _createRemotePeer(name) {
+    const id = `https://example.com/consensus/continuity2017/voters/${name}`;
+    return {id, url: id};
+  }
+
+  async function _getPeer({id}) {
+    const records = await consensusApi._peers.getAll({ledgerNode});
+    const {peer} = records.find(({peer}) => peer.id === id);
+    return new GossipPeer({peer, worker});
+  }
+});
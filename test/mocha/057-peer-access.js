@@ -0,0 +1,140 @@
+/*!
+ * Copyright (c) 2017-2021 Digital Bazaar, Inc. All rights reserved.
+ */
+'use strict';
+
+const bedrock = require('bedrock');
+const brLedgerNode = require('bedrock-ledger-node');
+const helpers = require('./helpers');
+const mockData = require('./mock.data');
+
+describe('Peer access', () => {
+  const peersConfig = bedrock.config['ledger-consensus-continuity'].peers;
+  const publicKey = 'z6MkjWnYbDbkYY7dkeKqpmVRSwSqJmPvFWBsHj5JBkqUVRKr';
+  const allowedPeer = _createRemotePeer(publicKey);
+  const otherPeer = _createRemotePeer('other');
+
+  let consensusApi;
+  before(async () => {
+    await helpers.prepareDatabase();
+    const consensusPlugin = await helpers.use('Continuity2017');
+    consensusApi = consensusPlugin.api;
+  });
+  beforeEach(async () => {
+    await helpers.flushCache();
+    await helpers.removeCollections(['ledger', 'ledgerNode']);
+  });
+  afterEach(() => {
+    peersConfig.ledgerNodes = {};
+  });
+
+  it('allows all peers by default', async () => {
+    const ledgerNode = await _addLedgerNode();
+    (await consensusApi._peers.isAllowed(
+      {ledgerNode, peerId: otherPeer.id})).should.equal(true);
+  });
+  it('rejects a denied peer', async () => {
+    const ledgerNode = await _addLedgerNode(
+      {access: {deny: [otherPeer.id]}});
+    let error;
+    try {
+      await consensusApi._peers.checkAccess(
+        {ledgerNode, peerId: otherPeer.id});
+    } catch(e) {
+      error = e;
+    }
+    should.exist(error);
+    error.name.should.equal('NotAllowedError');
+    error.details.httpStatusCode.should.equal(403);
+  });
+  it('only allows allowed peers when permissioned', async () => {
+    const ledgerNode = await _addLedgerNode(
+      {access: {permissioned: true, allow: [`did:key:${publicKey}`]}});
+    (await consensusApi._peers.isAllowed(
+      {ledgerNode, peerId: allowedPeer.id})).should.equal(true);
+    (await consensusApi._peers.isAllowed(
+      {ledgerNode, peerId: otherPeer.id})).should.equal(false);
+  });
+  it('uses the peer access of the ledger configuration', async () => {
+    const ledgerConfiguration = bedrock.util.clone(
+      mockData.ledgerConfiguration);
+    ledgerConfiguration.peerAccess = {deny: [otherPeer.id]};
+    const ledgerNode = await brLedgerNode.add(null, {ledgerConfiguration});
+    (await consensusApi._peers.isAllowed(
+      {ledgerNode, peerId: otherPeer.id})).should.equal(false);
+    (await consensusApi._peers.isAllowed(
+      {ledgerNode, peerId: allowedPeer.id})).should.equal(true);
+  });
+  it('does not add a peer that is not allowed', async () => {
+    const ledgerNode = await _addLedgerNode(
+      {access: {permissioned: true, allow: [allowedPeer.id]}});
+    await consensusApi._peers.optionallyAdd(
+      {ledgerNode, remotePeer: otherPeer, notifier: true});
+    await consensusApi._peers.optionallyAdd(
+      {ledgerNode, remotePeer: allowedPeer, notifier: true});
+    const records = await consensusApi._peers.getAll({ledgerNode});
+    records.map(({peer}) => peer.id).should.eql([allowedPeer.id]);
+  });
+  it('does not advertise a peer that is not allowed', async () => {
+    const ledgerNode = await _addLedgerNode(
+      {access: {deny: [otherPeer.id]}});
+    // add the peer directly, as if it had been added before it was denied
+    for(const remotePeer of [allowedPeer, otherPeer]) {
+      await ledgerNode.peers.add(
+        {peer: {...remotePeer, status: {lastPushAt: Date.now()}}});
+    }
+    const samplePeers = await consensusApi._peers.samplePeers({ledgerNode});
+    samplePeers.map(({id}) => id).should.eql([allowedPeer.id]);
+  });
+
+  it('rejects a denied peer on every gossip route', async () => {
+    const requesterLedgerNodeId = 'urn:uuid:peer-access-requester';
+    const {peerId: requesterPeerId} = await consensusApi._localPeers.generate(
+      {ledgerNodeId: requesterLedgerNodeId});
+    const ledgerNode = await _addLedgerNode(
+      {access: {deny: [requesterPeerId]}});
+    const peerId = await consensusApi._localPeers.getPeerId(
+      {ledgerNodeId: ledgerNode.id});
+    const remotePeer = {id: peerId, url: peerId};
+    const {_client} = consensusApi;
+    const requests = [
+      () => _client.getHistory({
+        basisBlockHeight: 0, ledgerNodeId: requesterLedgerNodeId,
+        localPeerId: requesterPeerId, peerHeadsMap: new Map(), remotePeer
+      }),
+      () => _client.getHistoryStream({
+        basisBlockHeight: 0, ledgerNodeId: requesterLedgerNodeId,
+        localPeerId: requesterPeerId, peerHeadsMap: new Map(), remotePeer
+      }),
+      () => _client.getEvents({
+        eventHashes: ['zQmUnknown'], ledgerNodeId: requesterLedgerNodeId,
+        remotePeer
+      })
+    ];
+    for(const request of requests) {
+      let error;
+      try {
+        await request();
+      } catch(e) {
+        error = e;
+      }
+      should.exist(error);
+      error.name.should.equal('NetworkError');
+      error.details.httpStatusCode.should.equal(403);
+    }
+  });
+
+  function _createRemotePeer(name) {
+    const id = `https://example.com/consensus/continuity2017/voters/${name}`;
+    return {id, url: id};
+  }
+
+  async function _addLedgerNode(overrides) {
+    const ledgerNode = await brLedgerNode.add(
+      null, {ledgerConfiguration: mockData.ledgerConfiguration});
+    if(overrides) {
+      peersConfig.ledgerNodes[ledgerNode.id] = overrides;
+    }
+    return ledgerNode;
+  }
+});
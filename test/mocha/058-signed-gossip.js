@@ -0,0 +1,144 @@
+/*!
+ * Copyright (c) 2017-2021 Digital Bazaar, Inc. All rights reserved.
+ */
+'use strict';
+
+const bedrock = require('bedrock');
+const brLedgerNode = require('bedrock-ledger-node');
+const helpers = require('./helpers');
+const {httpClient} = require('@digitalbazaar/http-client');
+const {httpsAgent} = require('bedrock-https-agent');
+const mockData = require('./mock.data');
+
+describe('Signed gossip requests', () => {
+  const {gossip: {signedRequests}, peers: peersConfig} =
+    bedrock.config['ledger-consensus-continuity'];
+  const requesterLedgerNodeId = 'urn:uuid:signed-gossip-requester';
+
+  let consensusApi;
+  let requesterPeerId;
+  before(async () => {
+    await helpers.prepareDatabase();
+    const consensusPlugin = await helpers.use('Continuity2017');
+    consensusApi = consensusPlugin.api;
+    ({peerId: requesterPeerId} = await consensusApi._localPeers.generate(
+      {ledgerNodeId: requesterLedgerNodeId}));
+  });
+
+  let ledgerNode;
+  let remotePeer;
+  beforeEach(async () => {
+    await helpers.flushCache();
+    await helpers.removeCollections(['ledger', 'ledgerNode']);
+    ledgerNode = await brLedgerNode.add(
+      null, {ledgerConfiguration: mockData.ledgerConfiguration});
+    const peerId = await consensusApi._localPeers.getPeerId(
+      {ledgerNodeId: ledgerNode.id});
+    remotePeer = {id: peerId, url: peerId};
+  });
+  afterEach(() => {
+    peersConfig.ledgerNodes = {};
+    signedRequests.required = false;
+  });
+
+  it('accepts a request signed by the requesting peer', async () => {
+    const result = await _getHistory({localPeerId: requesterPeerId});
+    result.should.have.property('batch');
+  });
+  it('rejects a request signed by another peer', async () => {
+    const localPeerId =
+      'https://example.com/consensus/continuity2017/voters/z1';
+    const error = await _getHistoryError({localPeerId});
+    error.details.httpStatusCode.should.equal(403);
+  });
+  it('accepts an unsigned request by default', async () => {
+    const result = await _postUnsigned();
+    result.data.should.have.property('batch');
+  });
+  it('rejects an unsigned request when signatures are required', async () => {
+    signedRequests.required = true;
+    const error = await _postUnsignedError();
+    error.status.should.equal(403);
+  });
+  it('rejects an unsigned request claiming an allowed peer', async () => {
+    peersConfig.ledgerNodes[ledgerNode.id] = {
+      access: {permissioned: true, allow: [requesterPeerId]}
+    };
+    const error = await _postUnsignedError();
+    error.status.should.equal(403);
+  });
+  it('rejects an unsigned request when peers are denied', async () => {
+    peersConfig.ledgerNodes[ledgerNode.id] = {
+      access: {deny: ['https://example.com/consensus/continuity2017/voters/z1']}
+    };
+    const error = await _postUnsignedError();
+    error.status.should.equal(403);
+  });
+  it('accepts a signed request when permissioned', async () => {
+    peersConfig.ledgerNodes[ledgerNode.id] = {
+      access: {permissioned: true, allow: [requesterPeerId]}
+    };
+    const result = await _getHistory({localPeerId: requesterPeerId});
+    result.should.have.property('batch');
+  });
+  it('rejects an unidentified request when permissioned', async () => {
+    peersConfig.ledgerNodes[ledgerNode.id] = {
+      access: {permissioned: true, allow: [requesterPeerId]}
+    };
+    let error;
+    try {
+      await httpClient.post(`${remotePeer.url}/events-query`, {
+        agent: httpsAgent,
+        json: {eventHash: ['zQmUnknown']}
+      });
+    } catch(e) {
+      error = e;
+    }
+    should.exist(error);
+    error.status.should.equal(403);
+  });
+  it('rejects a signed request from a denied peer', async () => {
+    peersConfig.ledgerNodes[ledgerNode.id] = {
+      access: {deny: [requesterPeerId]}
+    };
+    const error = await _getHistoryError({localPeerId: requesterPeerId});
+    error.details.httpStatusCode.should.equal(403);
+  });
+
+  async function _getHistory({localPeerId}) {
+    return consensusApi._client.getHistory({
+      basisBlockHeight: 0, ledgerNodeId: requesterLedgerNodeId, localPeerId,
+      peerHeadsMap: new Map(), remotePeer
+    });
+  }
+
+  async function _postUnsigned() {
+    return httpClient.post(`${remotePeer.url}/gossip`, {
+      agent: httpsAgent,
+      json: {basisBlockHeight: 0, peerId: requesterPeerId, peerHeads: []}
+    });
+  }
+
+  async function _postUnsignedError() {
+    let error;
+    try {
+      await _postUnsigned();
+    } catch(e) {
+      error = e;
+    }
+    should.exist(error);
+    return error;
+  }
+
+  async function _getHistoryError({localPeerId}) {
+    let error;
+    try {
+      await _getHistory({localPeerId});
+    } catch(e) {
+      error = e;
+    }
+    should.exist(error);
+    error.name.should.equal('NetworkError');
+    return error;
+  }
+});
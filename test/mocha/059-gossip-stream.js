@@ -0,0 +1,79 @@
+/*!
+ * Copyright (c) 2017-2021 Digital Bazaar, Inc. All rights reserved.
+ */
+'use strict';
+
+const bedrock = require('bedrock');
+const brLedgerNode = require('bedrock-ledger-node');
+const gossip = require('bedrock-ledger-consensus-continuity/lib/worker/gossip');
+const GossipPeer =
+  require('bedrock-ledger-consensus-continuity/lib/worker/GossipPeer');
+const helpers = require('./helpers');
+const mockData = require('./mock.data');
+const {util: {BedrockError}} = bedrock;
+
+describe('Gossip stream', () => {
+  const remotePeer = {
+    id: 'https://example.com/consensus/continuity2017/voters/stream',
+    url: 'https://example.com/consensus/continuity2017/voters/stream'
+  };
+
+  let consensusApi;
+  let getHistoryStream;
+  before(async () => {
+    await helpers.prepareDatabase();
+    const consensusPlugin = await helpers.use('Continuity2017');
+    consensusApi = consensusPlugin.api;
+    ({getHistoryStream} = consensusApi._client);
+  });
+  after(() => {
+    consensusApi._client.getHistoryStream = getHistoryStream;
+  });
+
+  let peer;
+  let worker;
+  beforeEach(async () => {
+    await helpers.flushCache();
+    await helpers.removeCollections(['ledger', 'ledgerNode']);
+    const ledgerNode = await brLedgerNode.add(
+      null, {ledgerConfiguration: mockData.ledgerConfiguration});
+    worker = new consensusApi._worker.Worker({session: {ledgerNode}});
+    await worker.init();
+    await ledgerNode.peers.add({peer: {...remotePeer, status: {}}});
+    const records = await consensusApi._peers.getAll({ledgerNode});
+    const record = records.find(({peer}) => peer.id === remotePeer.id);
+    peer = new GossipPeer({peer: record.peer, worker});
+  });
+
+  it('keeps the batches received before the connection failed', async () => {
+    _streamThenThrow(new BedrockError('Connection reset.', 'NetworkError'));
+    const result = await gossip._gw({worker, peer});
+    result.success.should.equal(true);
+    peer.isDeleted().should.equal(false);
+    peer.getStatus().lastPullResult.should.equal('success');
+  });
+  it('fails a peer that violates protocol part way through', async () => {
+    _streamThenThrow(new BedrockError('Invalid message.', 'DataError'));
+    const result = await gossip._gw({worker, peer});
+    result.success.should.equal(false);
+    peer.isDeleted().should.equal(true);
+  });
+  it('fails a peer that sends an invalid event part way through', async () => {
+    _streamThenThrow(new BedrockError('Invalid event.', 'ValidationError'));
+    const result = await gossip._gw({worker, peer});
+    result.success.should.equal(false);
+    peer.isDeleted().should.equal(true);
+  });
+
+  // streams one valid, empty batch and then fails with `error`
+  function _streamThenThrow(error) {
+    consensusApi._client.getHistoryStream = async () => (async function*() {
+      yield {type: 'info', blockHeight: 0, samplePeers: []};
+      yield {
+        type: 'batch', eventHash: [], events: [],
+        cursor: {hasMore: true, localEventNumber: 1, requiredBlockHeight: 0}
+      };
+      throw error;
+    })();
+  }
+});
@@ -3,11 +3,13 @@
  */
 'use strict';
 
+const bedrock = require('bedrock');
 const brLedgerNode = require('bedrock-ledger-node');
 const async = require('async');
 const {callbackify} = require('util');
 
 const helpers = require('./helpers');
+const mockConsensusEngine = require('./mock.consensus-engine');
 const mockData = require('./mock.data');
 
 let consensusApi;
@@ -102,6 +104,196 @@ describe('Consensus API find', () => {
       }]
     }, done);
   });
+  describe('consensus engine', () => {
+    const cfg = bedrock.config['ledger-consensus-continuity'].consensus;
+    let engine;
+    let shadowEngine;
+    beforeEach(async () => {
+      ({engine, shadowEngine} = cfg);
+      await helpers.removeCollections('continuity2017_shadow_divergence');
+    });
+    afterEach(() => {
+      cfg.engine = engine;
+      cfg.shadowEngine = shadowEngine;
+    });
+    it('uses the configured consensus engine', done => {
+      cfg.engine = 'MockConsensusEngine';
+      const ledgerNode = nodes.alpha;
+      ledgerNode.worker.consensusState.witnesses = new Set([peers.alpha]);
+      const eventTemplate = mockData.events.alpha;
+      const opTemplate = mockData.operations.alpha;
+      const calls = mockConsensusEngine.calls;
+      async.auto({
+        event1: callback => callbackify(helpers.addEventAndMerge)(
+          {consensusApi, eventTemplate, ledgerNode, opTemplate}, callback),
+        consensus: ['event1', (results, callback) => {
+          ledgerNode.worker._findConsensus().then(result => {
+            should.exist(result);
+            mockConsensusEngine.calls.should.equal(calls + 1);
+            result.consensus.should.equal(true);
+            result.consensusProofHash.should.have.length(1);
+            result.consensusProofHash[0].should.equal(
+              results.event1.mergeHash);
+            callback();
+          }, callback);
+        }]
+      }, done);
+    });
+    it('finds consensus using the thread pool engine', done => {
+      cfg.engine = 'Continuity2017PoolEngine';
+      const ledgerNode = nodes.alpha;
+      ledgerNode.worker.consensusState.witnesses = new Set([peers.alpha]);
+      const eventTemplate = mockData.events.alpha;
+      const opTemplate = mockData.operations.alpha;
+      async.auto({
+        event1: callback => callbackify(helpers.addEventAndMerge)(
+          {consensusApi, eventTemplate, ledgerNode, opTemplate}, callback),
+        consensus: ['event1', (results, callback) => {
+          ledgerNode.worker._findConsensus().then(result => {
+            should.exist(result);
+            result.consensus.should.equal(true);
+            result.consensusProofHash.should.have.length(1);
+            result.consensusProofHash[0].should.equal(
+              results.event1.mergeHash);
+            callback();
+          }, callback);
+        }]
+      }, done);
+    });
+    it('records divergences from a shadow engine', done => {
+      cfg.shadowEngine = 'DivergentConsensusEngine';
+      const ledgerNode = nodes.alpha;
+      ledgerNode.worker.consensusState.witnesses = new Set([peers.alpha]);
+      const eventTemplate = mockData.events.alpha;
+      const opTemplate = mockData.operations.alpha;
+      const {shadow} = consensusApi._worker;
+      async.auto({
+        event1: callback => callbackify(helpers.addEventAndMerge)(
+          {consensusApi, eventTemplate, ledgerNode, opTemplate}, callback),
+        consensus: ['event1', (results, callback) => {
+          ledgerNode.worker._findConsensus().then(result => {
+            // shadow result must not be used
+            result.consensus.should.equal(true);
+            callback();
+          }, callback);
+        }],
+        divergences: ['consensus', (results, callback) => {
+          const {id: ledgerNodeId} = ledgerNode;
+          shadow.waitForComparisons({ledgerNodeId}).then(
+            () => shadow.getDivergences({ledgerNodeId})).then(
+            divergences => {
+              divergences.should.have.length(1);
+              const [divergence] = divergences;
+              divergence.differences.should.eql(['consensus']);
+              divergence.primary.result.consensus.should.equal(true);
+              divergence.shadow.result.consensus.should.equal(false);
+              divergence.input.history.events.should.not.be.empty;
+              callback(null, divergences);
+            }, callback);
+        }],
+        replay: ['divergences', (results, callback) => {
+          const [divergence] = results.divergences;
+          shadow.replay({divergence}).then(result => {
+            result.differences.should.eql(divergence.differences);
+            result.result.eventHashes.should.eql(
+              divergence.primary.result.eventHashes);
+            callback();
+          }, callback);
+        }]
+      }, done);
+    });
+    it('finds consensus if the shadow engine is invalid', async () => {
+      const ledgerNode = nodes.alpha;
+      ledgerNode.worker.consensusState.witnesses = new Set([peers.alpha]);
+      const eventTemplate = mockData.events.alpha;
+      const opTemplate = mockData.operations.alpha;
+      const {shadow} = consensusApi._worker;
+      const {mergeHash} = await helpers.addEventAndMerge(
+        {consensusApi, eventTemplate, ledgerNode, opTemplate});
+      // an unregistered plugin and a plugin that is not a consensus engine
+      for(const name of ['UnknownConsensusEngine', 'InvalidConsensusEngine']) {
+        cfg.shadowEngine = name;
+        const result = await ledgerNode.worker._findConsensus();
+        result.consensus.should.equal(true);
+        result.consensusProofHash.should.eql([mergeHash]);
+        await shadow.waitForComparisons({ledgerNodeId: ledgerNode.id});
+      }
+      const divergences = await shadow.getDivergences(
+        {ledgerNodeId: ledgerNode.id});
+      divergences.should.have.length(0);
+    });
+    it('does not wait for the shadow engine', async () => {
+      cfg.shadowEngine = 'PendingConsensusEngine';
+      const ledgerNode = nodes.alpha;
+      const {id: ledgerNodeId} = ledgerNode;
+      ledgerNode.worker.consensusState.witnesses = new Set([peers.alpha]);
+      const eventTemplate = mockData.events.alpha;
+      const opTemplate = mockData.operations.alpha;
+      const {shadow} = consensusApi._worker;
+      await helpers.addEventAndMerge(
+        {consensusApi, eventTemplate, ledgerNode, opTemplate});
+      mockConsensusEngine.pending = null;
+      const result = await ledgerNode.worker._findConsensus();
+      result.consensus.should.equal(true);
+      // the shadow engine has not returned yet
+      while(!mockConsensusEngine.pending) {
+        await new Promise(resolve => setImmediate(resolve));
+      }
+      (await shadow.getDivergences({ledgerNodeId})).should.have.length(0);
+      mockConsensusEngine.pending.resolve(
+        {consensus: false, priorityPeers: []});
+      await shadow.waitForComparisons({ledgerNodeId});
+      (await shadow.getDivergences({ledgerNodeId})).should.have.length(1);
+    });
+    it('records hashes in place of large divergence input', async () => {
+      cfg.shadowEngine = 'DivergentConsensusEngine';
+      const {shadowMaxRecordSize} = cfg;
+      const ledgerNode = nodes.alpha;
+      const {id: ledgerNodeId} = ledgerNode;
+      ledgerNode.worker.consensusState.witnesses = new Set([peers.alpha]);
+      const eventTemplate = mockData.events.alpha;
+      const opTemplate = mockData.operations.alpha;
+      const {shadow} = consensusApi._worker;
+      await helpers.addEventAndMerge(
+        {consensusApi, eventTemplate, ledgerNode, opTemplate});
+      cfg.shadowMaxRecordSize = 1;
+      try {
+        await ledgerNode.worker._findConsensus();
+        await shadow.waitForComparisons({ledgerNodeId});
+      } finally {
+        cfg.shadowMaxRecordSize = shadowMaxRecordSize;
+      }
+      const [divergence] = await shadow.getDivergences({ledgerNodeId});
+      divergence.truncated.should.equal(true);
+      divergence.differences.should.eql(['consensus']);
+      should.not.exist(divergence.input.history);
+      divergence.input.historyHash.should.be.a('string');
+      divergence.primary.result.consensus.should.equal(true);
+      divergence.primary.result.resultHash.should.be.a('string');
+      should.not.exist(divergence.primary.result.eventHashes);
+      let error;
+      try {
+        await shadow.replay({divergence});
+      } catch(e) {
+        error = e;
+      }
+      should.exist(error);
+      error.name.should.equal('NotAllowedError');
+    });
+    it('throws if the consensus engine is invalid', async () => {
+      cfg.engine = 'InvalidConsensusEngine';
+      const ledgerNode = nodes.alpha;
+      ledgerNode.worker.consensusState.witnesses = new Set([peers.alpha]);
+      let err;
+      try {
+        await ledgerNode.worker._findConsensus();
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.name.should.equal('InvalidStateError');
+    });
+  });
   it.skip('add regular event with no merge before findConsensus', done => {
     const findConsensus = callbackify(consensusApi._worker._findConsensus);
     const ledgerNode = nodes.alpha;
@@ -3,9 +3,12 @@
  */
 'use strict';
 
+const consensusPool =
+  require('bedrock-ledger-consensus-continuity/lib/consensusPool');
 const continuityApi =
   require('bedrock-ledger-consensus-continuity/lib/continuity');
 const Graph = require('./tools/Graph');
+const {Worker} = require('worker_threads');
 
 const mockData = require('./mock.data');
 
@@ -853,6 +856,137 @@ describe('Continuity API findConsensus', () => {
   });
 });
 
+describe('Continuity API findConsensus with state', () => {
+  for(const name in consensusInput) {
+    it(`produces the same results incrementally for ${name}`, () => {
+      const {graph} = consensusInput[name];
+      const g = new Graph();
+      for(const {id, options} of graph.transactionLog.nodes) {
+        g.addNode(id, options);
+      }
+      const nodes = [...graph.nodes.keys()];
+      const states = new Map(nodes.map(nodeId => [nodeId, {}]));
+      const decided = new Set();
+      for(const e of graph.transactionLog.events) {
+        g.mergeEvent(e);
+        for(const nodeId of nodes) {
+          // state is reset once consensus is found
+          if(decided.has(nodeId)) {
+            continue;
+          }
+          const input = {
+            ledgerNodeId: nodeId,
+            witnesses: g.getWitnesses(),
+            blockHeight: 1
+          };
+          const expected = continuityApi.findConsensus(
+            {...input, history: g.getHistory({nodeId})});
+          const result = continuityApi.findConsensus({
+            ...input, history: g.getHistory({nodeId}),
+            state: states.get(nodeId)
+          });
+          result.should.eql(expected);
+          if(result.consensus) {
+            decided.add(nodeId);
+          }
+        }
+      }
+    });
+  }
+});
+
+describe('Consensus pool findConsensus with state', () => {
+  // record the messages sent to the pool threads
+  let messages;
+  let postMessage;
+  beforeEach(() => {
+    messages = [];
+    postMessage = Worker.prototype.postMessage;
+    Worker.prototype.postMessage = function(message) {
+      messages.push(message);
+      return postMessage.call(this, message);
+    };
+  });
+  afterEach(() => {
+    Worker.prototype.postMessage = postMessage;
+  });
+
+  it('only sends new events to the thread', async () => {
+    const {graph} = consensusInput['fig-1-4'];
+    const g = new Graph();
+    for(const {id, options} of graph.transactionLog.nodes) {
+      g.addNode(id, options);
+    }
+    const [nodeId] = graph.nodes.keys();
+    const state = {};
+    let sent = 0;
+    for(const e of graph.transactionLog.events) {
+      g.mergeEvent(e);
+      const input = {
+        ledgerNodeId: nodeId,
+        witnesses: g.getWitnesses(),
+        blockHeight: 1
+      };
+      const expected = continuityApi.findConsensus(
+        {...input, history: g.getHistory({nodeId})});
+      const history = g.getHistory({nodeId});
+      messages = [];
+      const result = await consensusPool.findConsensus(
+        {...input, history, state});
+      result.should.eql(expected);
+      messages.should.have.length(1);
+      const [message] = messages;
+      message.full.should.equal(sent === 0);
+      message.count.should.equal(sent);
+      message.events.should.have.length(history.events.length - sent);
+      sent = history.events.length;
+      if(result.consensus) {
+        state.init.should.equal(false);
+        break;
+      }
+    }
+  });
+
+  it('resends the whole history if the thread lost the state', async () => {
+    const {graph} = consensusInput['fig-1-4'];
+    const g = new Graph();
+    for(const {id, options} of graph.transactionLog.nodes) {
+      g.addNode(id, options);
+    }
+    const [nodeId] = graph.nodes.keys();
+    const events = [...graph.transactionLog.events];
+    const input = {
+      ledgerNodeId: nodeId,
+      witnesses: g.getWitnesses(),
+      blockHeight: 1
+    };
+    // send some events to the thread first
+    while(g.getHistory({nodeId}).events.length === 0) {
+      g.mergeEvent(events.shift());
+    }
+    const state = {};
+    await consensusPool.findConsensus(
+      {...input, history: g.getHistory({nodeId}), state});
+
+    // simulate the thread evicting the state
+    state.key = 'unknown';
+    g.mergeEvent(events.shift());
+    const expected = continuityApi.findConsensus(
+      {...input, history: g.getHistory({nodeId})});
+    const history = g.getHistory({nodeId});
+    messages = [];
+    const result = await consensusPool.findConsensus(
+      {...input, history, state});
+    result.should.eql(expected);
+    messages.should.have.length(2);
+    messages[0].full.should.equal(false);
+    messages[1].full.should.equal(true);
+    messages[1].count.should.equal(0);
+    messages[1].events.should.have.length(history.events.length);
+    state.sent.size.should.equal(history.events.length);
+  });
+});
+
 function _runPreBuiltDAGTest({nodes, graph, expectedState, extendedTests}) {
   describe(`Pre-Built DAG`, async () => {
     for(const nodeId of nodes) {
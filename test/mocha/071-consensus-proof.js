@@ -0,0 +1,178 @@
+/*!
+ * Copyright (c) 2021 Digital Bazaar, Inc. All rights reserved.
+ */
+'use strict';
+
+const brLedgerNode = require('bedrock-ledger-node');
+const consensusProof =
+  require('bedrock-ledger-consensus-continuity/lib/consensusProof');
+const helpers = require('./helpers');
+const mockData = require('./mock.data');
+
+const {consensusInput} = mockData;
+
+describe('Consensus Proof API', () => {
+  // hashes are not recomputed below, so any expected block hash will do
+  const blockHash = 'zQmBlockHash';
+  let proof;
+  let witnesses;
+  beforeEach(() => {
+    // node `4` reaches consensus in figure 1.2
+    const {graph} = consensusInput['fig-1-2'];
+    const {events} = graph.getHistory({nodeId: '4'});
+    const mergeEvent = events.map(({eventHash, event, meta}) => ({
+      eventHash,
+      event: {
+        ...event,
+        proof: {verificationMethod: meta.continuity2017.creator}
+      }
+    }));
+    witnesses = graph.getWitnesses();
+    const witness = [...witnesses];
+    const result = consensusProof._decide(
+      {block: {blockHeight: 1}, witness, mergeEvent});
+    result.consensus.should.equal(true);
+    const block = {
+      blockHeight: 1,
+      event: result.eventHashes.blockOrdering,
+      consensusProofHash: result.consensusProofHashes
+    };
+    proof = {
+      type: 'Continuity2017ConsensusProof',
+      blockHeight: 1,
+      blockHash,
+      block,
+      witness,
+      mergeEvent,
+      evidence: result.evidence
+    };
+  });
+
+  it('includes support and endorsement evidence', async () => {
+    proof.evidence.should.be.an('array');
+    proof.evidence.length.should.be.greaterThan(0);
+    proof.evidence.some(({decision}) => decision).should.equal(true);
+    proof.evidence.some(({endorsers}) => endorsers).should.equal(true);
+  });
+  it('verifies a valid proof', async () => {
+    const result = await consensusProof.verify({
+      proof, blockHash, witnesses, checkHashes: false, checkSignatures: false
+    });
+    assertNoError(result.error);
+    result.verified.should.equal(true);
+  });
+  it('fails if the block is missing a consensus merge event', async () => {
+    proof.block.event = proof.block.event.filter(h => h !== 'y1');
+    const result = await consensusProof.verify({
+      proof, blockHash, witnesses, checkHashes: false, checkSignatures: false
+    });
+    result.verified.should.equal(false);
+    result.error.name.should.equal('DataError');
+  });
+  it('fails if the block has an event that did not reach consensus',
+    async () => {
+      proof.block.event.push('zUnknown');
+      const result = await consensusProof.verify({
+        proof, blockHash, witnesses, checkHashes: false,
+        checkSignatures: false
+      });
+      result.verified.should.equal(false);
+      result.error.name.should.equal('DataError');
+    });
+  it('fails if the block hash does not match', async () => {
+    const result = await consensusProof.verify({
+      proof, blockHash: 'zQmOtherBlockHash', witnesses, checkHashes: false,
+      checkSignatures: false
+    });
+    result.verified.should.equal(false);
+    result.error.name.should.equal('DataError');
+  });
+  it('fails if the evidence has been altered', async () => {
+    proof.evidence = proof.evidence.filter(({decision}) => !decision);
+    const result = await consensusProof.verify({
+      proof, blockHash, witnesses, checkHashes: false, checkSignatures: false
+    });
+    result.verified.should.equal(false);
+    result.error.name.should.equal('DataError');
+  });
+  it('fails if consensus cannot be reached', async () => {
+    proof.mergeEvent = proof.mergeEvent.filter(
+      ({eventHash}) => eventHash.startsWith('y'));
+    const result = await consensusProof.verify({
+      proof, blockHash, witnesses, checkHashes: false, checkSignatures: false
+    });
+    result.verified.should.equal(false);
+    result.error.name.should.equal('DataError');
+  });
+  it('fails if the witnesses do not match', async () => {
+    // a proof that claims a single witness can reach consensus on its own
+    proof.witness = [proof.witness[0]];
+    const result = await consensusProof.verify({
+      proof, blockHash, witnesses, checkHashes: false, checkSignatures: false
+    });
+    result.verified.should.equal(false);
+    result.error.name.should.equal('DataError');
+  });
+  it('fails if the proof is malformed', async () => {
+    const result = await consensusProof.verify(
+      {proof: {}, blockHash, witnesses});
+    result.verified.should.equal(false);
+    result.error.name.should.equal('DataError');
+  });
+  it('fails if the expected witnesses are not given', async () => {
+    const result = await consensusProof.verify({proof, blockHash});
+    result.verified.should.equal(false);
+    result.error.name.should.equal('TypeError');
+  });
+  it('fails if the expected block hash is not given', async () => {
+    const result = await consensusProof.verify({proof, witnesses});
+    result.verified.should.equal(false);
+    result.error.name.should.equal('TypeError');
+  });
+
+  describe('with a ledger node', () => {
+    let consensusApi;
+    let ledgerNode;
+    before(async function() {
+      this.timeout(120000);
+      await helpers.prepareDatabase();
+      await helpers.flushCache();
+      await helpers.removeCollections(['ledger', 'ledgerNode']);
+      ({api: consensusApi} = await helpers.use('Continuity2017'));
+      ledgerNode = await brLedgerNode.add(
+        null, {ledgerConfiguration: mockData.ledgerConfiguration});
+      ledgerNode._peerId = await consensusApi._localPeers.getPeerId(
+        {ledgerNodeId: ledgerNode.id});
+      await helpers.nBlocks({
+        consensusApi, nodes: {alpha: ledgerNode},
+        opTemplate: mockData.operations.alpha, targetBlockHeight: 1
+      });
+    });
+
+    it('verifies a proof created for a block', async () => {
+      const proof = await consensusApi.consensusProof.create(
+        {ledgerNode, blockHeight: 1});
+      proof.blockHeight.should.equal(1);
+      const {witnesses} = await consensusApi._witnesses.getBlockWitnesses(
+        {ledgerNode, blockHeight: 1});
+      const {meta: {blockHash}} =
+        await ledgerNode.storage.blocks.getByHeight(1);
+      const result = await consensusApi.consensusProof.verify(
+        {proof, blockHash, witnesses});
+      assertNoError(result.error);
+      result.verified.should.equal(true);
+    });
+    it('fails for a proof created for a block with other witnesses',
+      async () => {
+        const proof = await consensusApi.consensusProof.create(
+          {ledgerNode, blockHeight: 1});
+        const witnesses = ['https://example.com/consensus/continuity2017/z1'];
+        const {meta: {blockHash}} =
+          await ledgerNode.storage.blocks.getByHeight(1);
+        const result = await consensusApi.consensusProof.verify(
+          {proof, blockHash, witnesses});
+        result.verified.should.equal(false);
+        result.error.name.should.equal('DataError');
+      });
+  });
+});
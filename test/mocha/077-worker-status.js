@@ -0,0 +1,49 @@
+/*!
+ * Copyright (c) 2017-2021 Digital Bazaar, Inc. All rights reserved.
+ */
+'use strict';
+
+const brLedgerNode = require('bedrock-ledger-node');
+const helpers = require('./helpers');
+const mockData = require('./mock.data');
+
+describe('Worker status API', () => {
+  before(async () => {
+    await helpers.prepareDatabase();
+  });
+  let consensusApi;
+  let ledgerNode;
+  beforeEach(async function() {
+    this.timeout(120000);
+    const ledgerConfiguration = mockData.ledgerConfiguration;
+    await helpers.flushCache();
+    await helpers.removeCollections(['ledger', 'ledgerNode']);
+    const consensusPlugin = await helpers.use('Continuity2017');
+    consensusApi = consensusPlugin.api;
+    ledgerNode = await brLedgerNode.add(null, {ledgerConfiguration});
+  });
+
+  it('gets a snapshot of worker state', async () => {
+    const {Worker} = consensusApi._worker;
+    const worker = new Worker({session: {ledgerNode}});
+    await worker.init();
+    const status = worker.getStatus();
+    status.localPeerId.should.equal(worker.localPeerId);
+    status.consensusState.blockHeight.should.equal(0);
+    status.consensusState.witnesses.should.be.an('array');
+    status.historyMapSize.should.equal(worker.historyMap.size);
+    status.peerChildlessMapSize.should.equal(0);
+    should.equal(status.mergeCommitment, null);
+    should.equal(status.withheld.eventHash, null);
+    status.withheld.peers.should.eql([]);
+    status.lastLocalContributorConsensus.should.equal(false);
+    // must be serializable as JSON
+    JSON.parse(JSON.stringify(status)).should.eql(status);
+  });
+  it('gets ledger node status without a work session', async () => {
+    const status = await consensusApi._worker.getStatus({ledgerNode});
+    status.ledgerNodeId.should.equal(ledgerNode.id);
+    should.equal(status.worker, null);
+    status.peers.should.eql([]);
+  });
+});
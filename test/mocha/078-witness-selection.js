@@ -0,0 +1,298 @@
+/*!
+ * Copyright (c) 2017-2021 Digital Bazaar, Inc. All rights reserved.
+ */
+'use strict';
+
+const brLedgerNode = require('bedrock-ledger-node');
+const {
+  _blocks, _witnesses
+} = require('bedrock-ledger-consensus-continuity');
+const mockData = require('./mock.data');
+
+describe('Witness selection methods', () => {
+  const peerIds = [];
+  before(() => {
+    for(let i = 0; i < 10; ++i) {
+      peerIds.push(`https://example.com/consensus/continuity2017/voters/z${i}`);
+    }
+  });
+
+  it('registers the built-in methods', () => {
+    for(const name of [
+      'Continuity2017StaticWitnesses',
+      'Continuity2017WeightedWitnesses',
+      'Continuity2017ReputationWitnesses'
+    ]) {
+      brLedgerNode.use(name).type.should.equal('electorSelection');
+    }
+  });
+  it('selects static witnesses', async () => {
+    const {api} = brLedgerNode.use('Continuity2017StaticWitnesses');
+    const ledgerConfiguration = {
+      ...mockData.ledgerConfiguration,
+      electorSelectionMethod: {
+        type: 'Continuity2017StaticWitnesses',
+        witnesses: peerIds.slice(0, 4)
+      }
+    };
+    const {electors} = await api.getBlockElectors(
+      {ledgerConfiguration, blockHeight: 1});
+    electors.map(({id}) => id).should.eql(peerIds.slice(0, 4));
+  });
+  it('rejects duplicate static witnesses', async () => {
+    const {api} = brLedgerNode.use('Continuity2017StaticWitnesses');
+    const ledgerConfiguration = {
+      ...mockData.ledgerConfiguration,
+      electorSelectionMethod: {
+        type: 'Continuity2017StaticWitnesses',
+        witnesses: [peerIds[0], peerIds[0]]
+      }
+    };
+    let error;
+    try {
+      await api.getBlockElectors({ledgerConfiguration, blockHeight: 1});
+    } catch(e) {
+      error = e;
+    }
+    should.exist(error);
+    error.name.should.equal('InvalidStateError');
+  });
+  it('selects a deterministic 3f+1 set of weighted witnesses', async () => {
+    const {api} = brLedgerNode.use('Continuity2017WeightedWitnesses');
+    const candidates = peerIds.map((id, i) => ({id, weight: i + 1}));
+    const ledgerConfiguration = {
+      ...mockData.ledgerConfiguration,
+      electorSelectionMethod: {
+        type: 'Continuity2017WeightedWitnesses',
+        candidates,
+        witnessCount: 6,
+        rotationPeriod: 10
+      }
+    };
+    const {electors} = await api.getBlockElectors(
+      {ledgerConfiguration, blockHeight: 20});
+    electors.should.have.length(4);
+    new Set(electors.map(({id}) => id)).size.should.equal(4);
+    // same rotation, different candidate order
+    const {electors: sameRotation} = await api.getBlockElectors({
+      ledgerConfiguration: {
+        ...ledgerConfiguration,
+        electorSelectionMethod: {
+          ...ledgerConfiguration.electorSelectionMethod,
+          candidates: candidates.slice().reverse()
+        }
+      },
+      blockHeight: 29
+    });
+    sameRotation.should.eql(electors);
+  });
+  it('favors witnesses with greater weight', async () => {
+    const {api} = brLedgerNode.use('Continuity2017WeightedWitnesses');
+    const candidates = peerIds.map(
+      (id, i) => ({id, weight: i === 0 ? 1000 : 1}));
+    const ledgerConfiguration = {
+      ...mockData.ledgerConfiguration,
+      electorSelectionMethod: {
+        type: 'Continuity2017WeightedWitnesses',
+        candidates,
+        witnessCount: 1
+      }
+    };
+    let count = 0;
+    for(let blockHeight = 1; blockHeight <= 50; ++blockHeight) {
+      const {electors} = await api.getBlockElectors(
+        {ledgerConfiguration, blockHeight});
+      if(electors[0].id === peerIds[0]) {
+        count++;
+      }
+    }
+    count.should.be.above(40);
+  });
+  it('rejects a witness count of zero', async () => {
+    const {api} = brLedgerNode.use('Continuity2017WeightedWitnesses');
+    const ledgerConfiguration = {
+      ...mockData.ledgerConfiguration,
+      electorSelectionMethod: {
+        type: 'Continuity2017WeightedWitnesses',
+        candidates: peerIds.map(id => ({id, weight: 1})),
+        witnessCount: 0
+      }
+    };
+    let error;
+    try {
+      await api.getBlockElectors({ledgerConfiguration, blockHeight: 1});
+    } catch(e) {
+      error = e;
+    }
+    should.exist(error);
+    error.name.should.equal('InvalidStateError');
+  });
+
+  describe('reputation witnesses', () => {
+    const {getParticipants} = _blocks;
+    let participants;
+    beforeEach(() => {
+      // every peer has participated in every block by default
+      participants = () => peerIds;
+      _blocks.getParticipants = async ({blockHeight}) =>
+        ({mergeEventPeers: participants(blockHeight)});
+    });
+    afterEach(() => {
+      _blocks.getParticipants = getParticipants;
+    });
+
+    // a minimal ledger node that records the blocks it was asked for
+    function _createLedgerNode() {
+      const heights = [];
+      return {
+        heights,
+        storage: {
+          blocks: {
+            getByHeight: async height => {
+              heights.push(height);
+              return {meta: {blockHash: `zBlockHash${height}`}};
+            }
+          }
+        }
+      };
+    }
+
+    it('keeps the same witnesses for a rotation period', async () => {
+      const {api} = brLedgerNode.use('Continuity2017ReputationWitnesses');
+      const ledgerConfiguration = {
+        ...mockData.ledgerConfiguration,
+        electorSelectionMethod: {
+          type: 'Continuity2017ReputationWitnesses',
+          witnessCount: 4,
+          rotationPeriod: 10
+        }
+      };
+      // participation changes every block
+      participants = blockHeight => peerIds.slice(blockHeight % 5);
+      const ledgerNode = _createLedgerNode();
+      const {electors} = await api.getBlockElectors(
+        {ledgerNode, ledgerConfiguration, blockHeight: 20});
+      electors.should.have.length(4);
+      for(let blockHeight = 21; blockHeight < 30; ++blockHeight) {
+        const result = await api.getBlockElectors(
+          {ledgerNode, ledgerConfiguration, blockHeight});
+        result.electors.should.eql(electors);
+      }
+      ledgerNode.heights.should.eql(new Array(10).fill(19));
+      await api.getBlockElectors(
+        {ledgerNode, ledgerConfiguration, blockHeight: 30});
+      ledgerNode.heights.pop().should.equal(29);
+    });
+    it('rejects a selection without candidates', async () => {
+      const {api} = brLedgerNode.use('Continuity2017ReputationWitnesses');
+      const ledgerConfiguration = {
+        ...mockData.ledgerConfiguration,
+        electorSelectionMethod: {type: 'Continuity2017ReputationWitnesses'}
+      };
+      participants = () => [];
+      let error;
+      try {
+        await api.getBlockElectors({
+          ledgerNode: _createLedgerNode(), ledgerConfiguration, blockHeight: 1
+        });
+      } catch(e) {
+        error = e;
+      }
+      should.exist(error);
+      error.name.should.equal('InvalidStateError');
+      error.details.candidateCount.should.equal(0);
+    });
+  });
+
+  describe('witness rotation schedule', () => {
+    // a minimal ledger node that stores the witnesses of its previous block
+    function _createLedgerNode({id, previousWitnesses, selected}) {
+      const ledgerConfiguration = {
+        ...mockData.ledgerConfiguration,
+        electorSelectionMethod: {
+          type: 'Continuity2017StaticWitnesses',
+          witnesses: selected
+        },
+        witnessRotation: {period: 5, maxReplaced: 2}
+      };
+      return {
+        id,
+        storage: {
+          events: {
+            getLatestConfig: async () => ({event: {ledgerConfiguration}})
+          },
+          blocks: {
+            getLatestSummary: async () => ({}),
+            getByHeight: async () => {
+              if(!previousWitnesses) {
+                const error = new Error('Block not found.');
+                error.name = 'NotFoundError';
+                throw error;
+              }
+              return {meta: {continuity2017: {witness: previousWitnesses}}};
+            }
+          }
+        }
+      };
+    }
+
+    it('replaces at most f witnesses at a rotation', async () => {
+      const ledgerNode = _createLedgerNode({
+        id: 'urn:uuid:4d7cb6a6-2b8c-4b59-9d0f-0ad1c1d8d1a1',
+        previousWitnesses: peerIds.slice(0, 4),
+        selected: peerIds.slice(4, 8)
+      });
+      const {witnesses} = await _witnesses.getBlockWitnesses(
+        {ledgerNode, blockHeight: 10});
+      [...witnesses].should.eql([...peerIds.slice(1, 4), peerIds[4]]);
+    });
+    it('keeps the previous witnesses between rotations', async () => {
+      const ledgerNode = _createLedgerNode({
+        id: 'urn:uuid:2b9e0f0e-6a3e-4ac2-9d6b-7b1f0c1f8e52',
+        previousWitnesses: peerIds.slice(0, 4),
+        selected: peerIds.slice(4, 8)
+      });
+      const {witnesses} = await _witnesses.getBlockWitnesses(
+        {ledgerNode, blockHeight: 11});
+      [...witnesses].should.eql(peerIds.slice(0, 4));
+    });
+    it('replaces a single witness at a rotation', async () => {
+      const ledgerNode = _createLedgerNode({
+        id: 'urn:uuid:9a0c3f55-0f5e-4d3b-8f0b-3c4f1e6b2d7a',
+        previousWitnesses: [peerIds[0]],
+        selected: [peerIds[4]]
+      });
+      const {witnesses} = await _witnesses.getBlockWitnesses(
+        {ledgerNode, blockHeight: 10});
+      [...witnesses].should.eql([peerIds[4]]);
+    });
+    it('uses the selected witnesses when the witness count changes',
+      async () => {
+        const ledgerNode = _createLedgerNode({
+          id: 'urn:uuid:5e2d8c1b-7f4a-4e6c-b3a9-1d0e2f3c4b5a',
+          previousWitnesses: peerIds.slice(0, 4),
+          selected: [peerIds[4]]
+        });
+        const {witnesses} = await _witnesses.getBlockWitnesses(
+          {ledgerNode, blockHeight: 11});
+        [...witnesses].should.eql([peerIds[4]]);
+      });
+    it('does not cache witnesses without a previous block', async () => {
+      const ledgerNode = _createLedgerNode({
+        id: 'urn:uuid:c7b1e4d2-3a5f-4b8e-9c6d-0f1a2b3c4d5e',
+        selected: peerIds.slice(4, 8)
+      });
+      let result = await _witnesses.getBlockWitnesses(
+        {ledgerNode, blockHeight: 11});
+      [...result.witnesses].should.eql(peerIds.slice(4, 8));
+
+      // once the previous block is stored its witnesses must be used
+      ledgerNode.storage.blocks.getByHeight = async () => ({
+        meta: {continuity2017: {witness: peerIds.slice(0, 4)}}
+      });
+      result = await _witnesses.getBlockWitnesses(
+        {ledgerNode, blockHeight: 11});
+      [...result.witnesses].should.eql(peerIds.slice(0, 4));
+    });
+  });
+});
@@ -0,0 +1,121 @@
+/*!
+ * Copyright (c) 2017-2021 Digital Bazaar, Inc. All rights reserved.
+ */
+'use strict';
+
+const bedrock = require('bedrock');
+const brLedgerNode = require('bedrock-ledger-node');
+const cache = require('bedrock-redis');
+const helpers = require('./helpers');
+const mockData = require('./mock.data');
+
+describe('Durable operation queue', () => {
+  const queueConfig =
+    bedrock.config['ledger-consensus-continuity'].operations.queue;
+  let backend;
+  before(async () => {
+    await helpers.prepareDatabase();
+    ({backend} = queueConfig);
+    queueConfig.backend = 'mongodb';
+  });
+  after(() => {
+    queueConfig.backend = backend;
+  });
+
+  let consensusApi;
+  let ledgerNode;
+  let Worker;
+  beforeEach(async () => {
+    await helpers.flushCache();
+    await helpers.removeCollections(
+      ['ledger', 'ledgerNode', 'continuity2017_operation_queue']);
+    const consensusPlugin = await helpers.use('Continuity2017');
+    consensusApi = consensusPlugin.api;
+    Worker = consensusApi._worker.Worker;
+    ledgerNode = await brLedgerNode.add(
+      null, {ledgerConfiguration: mockData.ledgerConfiguration});
+  });
+
+  it('does not lose operations when the cache is flushed', async () => {
+    const operationHashes = await _addOperations({count: 10});
+
+    // simulate the loss of all cached state, e.g., a Redis restart
+    await helpers.flushCache();
+
+    const worker = await _startWorkSession();
+    await _createEvents({worker});
+    await _assertStored({operationHashes});
+  });
+  it('notifies the ledger node that it needs to merge', async () => {
+    const {client: subscriber} = new cache.Client();
+    try {
+      await subscriber.subscribe(`continuity2017|needsMerge|${ledgerNode.id}`);
+      const message = new Promise(
+        resolve => subscriber.once('message', (channel, m) => resolve(m)));
+      await _addOperations({count: 1});
+      (await message).should.equal('operation');
+    } finally {
+      await subscriber.quit();
+    }
+  });
+  it('recovers a selected chunk after a failed work session', async () => {
+    const operationHashes = await _addOperations({count: 10});
+
+    // select the next chunk but fail before it is written to an event
+    const {_operationQueue} = consensusApi;
+    const queue = _operationQueue.create({ledgerNodeId: ledgerNode.id});
+    (await queue.hasNextChunk()).should.equal(true);
+    const {operations} = await queue.getNextChunk();
+    operations.should.have.length(operationHashes.length);
+
+    // restart with a flushed cache
+    await helpers.flushCache();
+    const worker = await _startWorkSession();
+    const recovered = _operationQueue.create({ledgerNodeId: ledgerNode.id});
+    (await recovered.hasNextChunk()).should.equal(true);
+    recovered.chunkCached.should.equal(true);
+    (await recovered.getNextChunk()).operations.should.eql(operations);
+
+    await _createEvents({worker});
+    await _assertStored({operationHashes});
+    (await _operationQueue.isEmpty({ledgerNodeId: ledgerNode.id}))
+      .should.equal(true);
+  });
+  it('rejects a duplicate operation', async () => {
+    const [operation] = Object.values(
+      await helpers.addOperation({ledgerNode}));
+    let error;
+    try {
+      await ledgerNode.operations.add({operation});
+    } catch(e) {
+      error = e;
+    }
+    should.exist(error);
+    error.name.should.equal('DuplicateError');
+  });
+
+  async function _addOperations({count}) {
+    return Object.keys(await helpers.addOperation({count, ledgerNode}));
+  }
+
+  async function _startWorkSession() {
+    const worker = new Worker({session: {ledgerNode}});
+    await worker.init();
+    return worker;
+  }
+
+  async function _createEvents({worker}) {
+    let hasMore;
+    do {
+      ({hasMore} = await consensusApi._events.create({ledgerNode, worker}));
+    } while(hasMore);
+  }
+
+  async function _assertStored({operationHashes}) {
+    for(const operationHash of operationHashes) {
+      const exists = await ledgerNode.storage.operations.exists(
+        {operationHash});
+      exists.should.equal(true);
+    }
+  }
+});
@@ -0,0 +1,297 @@
+/*!
+ * Copyright (c) 2017-2021 Digital Bazaar, Inc. All rights reserved.
+ */
+'use strict';
+
+const _ = require('lodash');
+const bedrock = require('bedrock');
+const brLedgerNode = require('bedrock-ledger-node');
+const helpers = require('./helpers');
+const mockData = require('./mock.data');
+
+// NOTE: the tests in this file are designed to run in series
+// DO NOT use `it.only`
+
+const nodeCount = 4;
+
+describe('Multinode Configuration Change', () => {
+  before(async () => {
+    await helpers.prepareDatabase();
+  });
+
+  let consensusApi;
+  let genesisLedgerNode;
+  let Worker;
+  const {ledgerConfiguration} = mockData;
+  before(async function() {
+    await helpers.flushCache();
+    await helpers.removeCollections(['ledger', 'ledgerNode']);
+    const consensusPlugin = await helpers.use('Continuity2017');
+    genesisLedgerNode = await brLedgerNode.add(null, {ledgerConfiguration});
+    consensusApi = consensusPlugin.api;
+    Worker = consensusApi._worker.Worker;
+  });
+
+  // add N - 1 more nodes
+  const peers = [];
+  before(async function() {
+    this.timeout(120000);
+    const {genesisBlock} = await genesisLedgerNode.blocks.getGenesis();
+    peers.push(genesisLedgerNode);
+    const promises = [];
+    for(let i = 0; i < nodeCount - 1; ++i) {
+      promises.push(brLedgerNode.add(null, {genesisBlock: genesisBlock.block}));
+    }
+    peers.push(...await Promise.all(promises));
+  });
+
+  // populate peers ids
+  before(async function() {
+    for(const ledgerNode of peers) {
+      ledgerNode._peerId = await consensusApi._localPeers.getPeerId(
+        {ledgerNodeId: ledgerNode.id});
+      if(ledgerNode === genesisLedgerNode) {
+        continue;
+      }
+      // FIXME: use proper URL do not just repeat ID
+      await consensusApi._peers.optionallyAdd({
+        ledgerNode,
+        remotePeer: {
+          id: genesisLedgerNode._peerId,
+          url: genesisLedgerNode._peerId
+        }
+      });
+      await consensusApi._peers.optionallyAdd({
+        ledgerNode: genesisLedgerNode,
+        remotePeer: {id: ledgerNode._peerId, url: ledgerNode._peerId}
+      });
+    }
+  });
+
+  // override elector selection so every node is a witness
+  before(() => {
+    const witnessSelectionApi = brLedgerNode.use('MostRecentParticipants');
+    witnessSelectionApi.api.getBlockElectors = async () => ({
+      electors: peers.map(({_peerId}) => ({id: _peerId}))
+    });
+  });
+
+  it('continues work sessions across a configuration change',
+    async function() {
+      this.timeout(120000);
+      const opTemplate = mockData.operations.alpha;
+      const mergeOptions = {nonEmptyThreshold: 1};
+      const results = await helpers.addOperations({nodes: peers, opTemplate});
+
+      const newLedgerConfiguration = bedrock.util.clone(ledgerConfiguration);
+      newLedgerConfiguration.creator = genesisLedgerNode._peerId;
+      newLedgerConfiguration.sequence = 1;
+      const worker = new Worker({session: {ledgerNode: genesisLedgerNode}});
+      await worker.init();
+      genesisLedgerNode.worker = worker;
+      await genesisLedgerNode.config.change(
+        {ledgerConfiguration: newLedgerConfiguration, worker});
+
+      // keep adding operations while long work sessions reach consensus on
+      // the configuration change
+      for(let i = 0; i < 3; ++i) {
+        results.push(
+          ...await helpers.addOperations({nodes: peers, opTemplate}));
+        await helpers.runWorkerCycle({
+          consensusApi, nodes: peers, mergeOptions, targetCyclesPerNode: 10
+        });
+      }
+      await helpers.settleNetwork(
+        {consensusApi, nodes: peers, mergeOptions, series: false});
+
+      const recordIds = _extractRecordIds(results);
+      for(const ledgerNode of peers) {
+        // no work session should have been terminated by the change
+        should.not.exist(ledgerNode.stop);
+        const ledgerConfig = await ledgerNode.config.get();
+        ledgerConfig.should.eql(newLedgerConfiguration);
+        for(const recordId of recordIds) {
+          const result = await ledgerNode.records.get({recordId});
+          result.should.be.an('object');
+        }
+      }
+    });
+  it('updates the work session with the reloaded ledger node', async () => {
+    const [, ledgerNode] = peers;
+    const session = {ledgerNode};
+    const worker = new Worker({session});
+    await worker.init();
+    const {nextBlockHeight: blockHeight} = worker.consensusState;
+    await worker._reloadLedgerNode({blockHeight});
+    worker.ledgerNode.should.not.equal(ledgerNode);
+    session.ledgerNode.should.equal(worker.ledgerNode);
+    worker.peerEventWriter.ledgerNode.should.equal(worker.ledgerNode);
+  });
+
+  describe('Scheduled Configuration Change', () => {
+    const mergeOptions = {nonEmptyThreshold: 1};
+    before(() => {
+      // changes are only scheduled outside of a work session
+      delete genesisLedgerNode.worker;
+    });
+
+    it('rejects a change with an invalid creator', async () => {
+      const current = await genesisLedgerNode.config.get();
+      const ledgerConfiguration = bedrock.util.clone(current);
+      ledgerConfiguration.creator = 'https://example.com/invalidCreator';
+      ledgerConfiguration.sequence = current.sequence + 1;
+      let error;
+      try {
+        await consensusApi.config.change(
+          {ledgerNode: genesisLedgerNode, ledgerConfiguration});
+      } catch(e) {
+        error = e;
+      }
+      should.exist(error);
+      error.name.should.equal('SyntaxError');
+      error.message.should.equal(`Invalid configuration 'creator' value.`);
+    });
+    it('adds a scheduled change in a work session', async function() {
+      this.timeout(120000);
+      const current = await genesisLedgerNode.config.get();
+      const ledgerConfiguration = bedrock.util.clone(current);
+      ledgerConfiguration.sequence = current.sequence + 1;
+      const handle = await consensusApi.config.change(
+        {ledgerNode: genesisLedgerNode, ledgerConfiguration});
+      handle.status.should.equal('pending');
+      let change = await consensusApi.config.getChange(
+        {id: handle.id, ledgerNode: genesisLedgerNode});
+      change.status.should.equal('pending');
+
+      await helpers.settleNetwork(
+        {consensusApi, nodes: peers, mergeOptions, series: false});
+      // the status is updated by the next work session
+      await helpers.runWorkerCycle(
+        {consensusApi, nodes: [genesisLedgerNode], mergeOptions});
+      change = await consensusApi.config.getChange(
+        {id: handle.id, ledgerNode: genesisLedgerNode});
+      change.status.should.equal('consensus');
+      change.blockHeight.should.be.a('number');
+      should.exist(change.eventHash);
+      for(const ledgerNode of peers) {
+        const ledgerConfig = await ledgerNode.config.get();
+        ledgerConfig.should.eql(ledgerConfiguration);
+      }
+    });
+    it('fails a scheduled change with an invalid sequence', async function() {
+      this.timeout(120000);
+      const current = await genesisLedgerNode.config.get();
+      const ledgerConfiguration = bedrock.util.clone(current);
+      ledgerConfiguration.sequence = current.sequence + 5;
+      const handle = await consensusApi.config.change(
+        {ledgerNode: genesisLedgerNode, ledgerConfiguration});
+      await helpers.runWorkerCycle(
+        {consensusApi, nodes: [genesisLedgerNode], mergeOptions});
+      const change = await consensusApi.config.getChange(
+        {id: handle.id, ledgerNode: genesisLedgerNode});
+      change.status.should.equal('failed');
+      change.error.name.should.equal('SyntaxError');
+    });
+    it('throws NotFoundError for an unknown change', async () => {
+      let error;
+      try {
+        await consensusApi.config.getChange(
+          {id: 'unknown', ledgerNode: genesisLedgerNode});
+      } catch(e) {
+        error = e;
+      }
+      should.exist(error);
+      error.name.should.equal('NotFoundError');
+    });
+  });
+
+  describe('Configuration Approval', () => {
+    const mergeOptions = {nonEmptyThreshold: 1};
+
+    it('requires approval once `configurationApproval` is effective',
+      async function() {
+        this.timeout(120000);
+        const {sequence} = await genesisLedgerNode.config.get();
+        const newLedgerConfiguration = bedrock.util.clone(ledgerConfiguration);
+        newLedgerConfiguration.creator = genesisLedgerNode._peerId;
+        newLedgerConfiguration.sequence = sequence + 1;
+        newLedgerConfiguration.configurationApproval = {
+          threshold: 'supermajority'
+        };
+        await _changeConfig({
+          ledgerNode: genesisLedgerNode,
+          ledgerConfiguration: newLedgerConfiguration
+        });
+        await helpers.settleNetwork(
+          {consensusApi, nodes: peers, mergeOptions, series: false});
+        for(const ledgerNode of peers) {
+          const ledgerConfig = await ledgerNode.config.get();
+          ledgerConfig.should.eql(newLedgerConfiguration);
+        }
+      });
+    it('does not apply a proposal without approvals', async function() {
+      this.timeout(120000);
+      const current = await genesisLedgerNode.config.get();
+      const proposal = bedrock.util.clone(current);
+      proposal.sequence = current.sequence + 1;
+      proposal.witnessRotation = {period: 10, maxReplaced: 1};
+      await _changeConfig(
+        {ledgerNode: genesisLedgerNode, ledgerConfiguration: proposal});
+      await helpers.settleNetwork(
+        {consensusApi, nodes: peers, mergeOptions, series: false});
+      for(const ledgerNode of peers) {
+        const ledgerConfig = await ledgerNode.config.get();
+        ledgerConfig.should.eql(current);
+      }
+    });
+    it('rejects an approval of an unknown proposal', async () => {
+      const [, ledgerNode] = peers;
+      const worker = new Worker({session: {ledgerNode}});
+      await worker.init();
+      let error;
+      try {
+        await consensusApi.config.approve({
+          ledgerNode, proposalHash: 'zUnknownProposal', worker
+        });
+      } catch(e) {
+        error = e;
+      }
+      should.exist(error);
+      error.name.should.equal('NotFoundError');
+    });
+    it('applies a proposal approved by a supermajority of witnesses',
+      async function() {
+        this.timeout(120000);
+        const {sequence} = await genesisLedgerNode.config.get();
+        const {collection} = genesisLedgerNode.storage.events;
+        const {event: {ledgerConfiguration: proposal}, meta: {eventHash}} =
+          await collection.findOne(
+            {'event.ledgerConfiguration.sequence': sequence + 1});
+        // with 4 witnesses, the proposer and 2 approvals are required
+        for(const ledgerNode of peers.slice(1, 3)) {
+          const worker = new Worker({session: {ledgerNode}});
+          await worker.init();
+          ledgerNode.worker = worker;
+          await consensusApi.config.approve(
+            {ledgerNode, proposalHash: eventHash, worker});
+        }
+        await helpers.settleNetwork(
+          {consensusApi, nodes: peers, mergeOptions, series: false});
+        for(const ledgerNode of peers) {
+          const ledgerConfig = await ledgerNode.config.get();
+          ledgerConfig.should.eql(proposal);
+        }
+      });
+  });
+
+  async function _changeConfig({ledgerNode, ledgerConfiguration}) {
+    const worker = new Worker({session: {ledgerNode}});
+    await worker.init();
+    ledgerNode.worker = worker;
+    await ledgerNode.config.change({ledgerConfiguration, worker});
+  }
+});
+
+function _extractRecordIds(operations) {
+  return _.flatten(operations.map(o => _.values(o))).map(o => o.record.id);
+}
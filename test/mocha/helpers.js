@@ -7,6 +7,7 @@ const bedrock = require('bedrock');
 const brLedgerNode = require('bedrock-ledger-node');
 const cache = require('bedrock-redis');
 const database = require('bedrock-mongodb');
+const mockData = require('./mock.data');
 const hasher = brLedgerNode.consensus._hasher;
 const {util: {uuid}} = bedrock;
 
@@ -126,17 +127,30 @@ api.addEventMultiNode = async ({
   return rVal;
 };
 
-// this helper is for test that execute the consensus worker
-api.addOperation = async ({count = 1, ledgerNode, opTemplate} = {}) => {
+// this helper is for test that execute the consensus worker; `meta` is
+// passed to the consensus plugin if given
+api.addOperation = async ({
+  count = 1, ledgerNode, meta, opTemplate = mockData.operations.alpha
+} = {}) => {
+  // _peerId added for convenience in test framework
+  const creator = ledgerNode._peerId ||
+    await ledgerNode.consensus._localPeers.getPeerId(
+      {ledgerNodeId: ledgerNode.id});
   const operations = {};
   for(let i = 0; i < count; ++i) {
     const operation = bedrock.util.clone(opTemplate);
-    // _peerId added for convenience in test framework
-    operation.creator = ledgerNode._peerId;
+    operation.creator = creator;
     operation.record.id = `https://example.com/event/${uuid()}`;
     operation.record.creator = ledgerNode.id;
-    const result = await ledgerNode.operations.add({operation, ledgerNode});
-    operations[result.meta.operationHash] = operation;
+    if(meta) {
+      const operationMeta = {...meta};
+      await ledgerNode.consensus.operations.add(
+        {meta: operationMeta, operation, ledgerNode});
+      operations[operationMeta.operationHash] = operation;
+    } else {
+      const result = await ledgerNode.operations.add({operation, ledgerNode});
+      operations[result.meta.operationHash] = operation;
+    }
   }
   return operations;
 };
@@ -0,0 +1,47 @@
+/*!
+ * Copyright (c) 2021 Digital Bazaar, Inc. All rights reserved.
+ */
+'use strict';
+
+const bedrock = require('bedrock');
+const brLedgerNode = require('bedrock-ledger-node');
+const continuity =
+  require('bedrock-ledger-consensus-continuity/lib/continuity');
+
+// a consensus engine that wraps the reference algorithm and tracks calls
+const api = {};
+module.exports = api;
+
+api.calls = 0;
+// `{resolve}` for the latest call to `PendingConsensusEngine`
+api.pending = null;
+
+api.findConsensus = async options => {
+  api.calls++;
+  return continuity.findConsensus(options);
+};
+
+bedrock.events.on('bedrock.start', () => {
+  brLedgerNode.use('MockConsensusEngine', {
+    type: 'continuityConsensusEngine',
+    api
+  });
+  // never finds consensus, used to cause shadow divergences
+  brLedgerNode.use('DivergentConsensusEngine', {
+    type: 'continuityConsensusEngine',
+    api: {findConsensus: () => ({consensus: false, priorityPeers: []})}
+  });
+  // only returns once `api.pending` is resolved by a test
+  brLedgerNode.use('PendingConsensusEngine', {
+    type: 'continuityConsensusEngine',
+    api: {
+      findConsensus: () => new Promise(resolve => {
+        api.pending = {resolve};
+      })
+    }
+  });
+  brLedgerNode.use('InvalidConsensusEngine', {
+    type: 'consensus',
+    api: {}
+  });
+});
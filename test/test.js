@@ -9,6 +9,8 @@ require('bedrock-ledger-storage-mongodb');
 
 // initialize a mock alternate consensus method used in testing
 require('./mocha/mock.alternate-consensus');
+// initialize a mock consensus engine used in testing
+require('./mocha/mock.consensus-engine');
 
 bedrock.events.on('bedrock.init', () => {
   const mockData = require('./mocha/mock.data');